@@ -2,6 +2,7 @@ const express = require('express');
 const session = require('express-session');
 const helmet = require('helmet');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const path = require('path');
 const dotenv = require('dotenv');
@@ -11,6 +12,7 @@ const rateLimit = require('express-rate-limit');
 const { errorHandler } = require('./middleware/error');
 const { protect, authorize } = require('./middleware/auth');
 const upload = require('./middleware/upload');
+const { startUnpaidOrderSweeper, stopUnpaidOrderSweeper } = require('./jobs/unpaidOrderSweeper');
 
 // Load environment variables
 dotenv.config();
@@ -23,7 +25,7 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Cart-Token'],
   exposedHeaders: ['Content-Disposition'],
   credentials: true
 }));
@@ -59,13 +61,22 @@ const apiLimiter = rateLimit({
 // Apply rate limiting to all API routes
 app.use('/api', apiLimiter);
 
-// Parse JSON and URL-encoded bodies with size limits from environment variables
-app.use(express.json({ limit: `${process.env.MAX_FILE_UPLOAD || 5}mb` }));
+// Parse JSON and URL-encoded bodies with size limits from environment variables.
+// The raw JSON is kept so payment webhooks can check the provider signature.
+app.use(express.json({
+  limit: `${process.env.MAX_FILE_UPLOAD || 5}mb`,
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ 
   extended: true,
   limit: `${process.env.MAX_FILE_UPLOAD || 5}mb`
 }));
 
+// Parse cookies so the auth token can be read from browser clients
+app.use(cookieParser());
+
 // Session configuration
 app.use(session({
   secret: process.env.SESSION_SECRET || 'school-vendor-secret',
@@ -130,6 +141,9 @@ app.use('/api/users', safeImport('./routes/userRoutes', 'user'));
 // Product routes
 app.use('/api/products', safeImport('./routes/productRoutes', 'product'));
 
+// Cart routes
+app.use('/api/cart', safeImport('./routes/cartRoutes', 'cart'));
+
 // Order routes
 app.use('/api/orders', safeImport('./routes/orderRoutes', 'order'));
 
@@ -142,6 +156,18 @@ app.use('/api/payments', safeImport('./routes/paymentRoutes', 'payment'));
 // Category routes
 app.use('/api/categories', safeImport('./routes/categoryRoutes', 'category'));
 
+// Shipping routes
+app.use('/api/shipping', safeImport('./routes/shippingRoutes', 'shipping'));
+
+// Pickup point routes
+app.use('/api/pickup-points', safeImport('./routes/pickupRoutes', 'pickup'));
+
+// Return request routes
+app.use('/api/returns', safeImport('./routes/returnRoutes', 'return'));
+
+// Grade supply list routes
+app.use('/api/supply-lists', safeImport('./routes/supplyListRoutes', 'supply list'));
+
 // Payment webhook endpoints
 const paymentWebhookLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -153,7 +179,7 @@ const paymentWebhookLimiter = rateLimit({
 app.post('/webhooks/expresspay', 
   express.raw({ type: 'application/json' }),
   paymentWebhookLimiter,
-  (req, res) => {
+  (req, res, next) => {
     const signature = req.headers['x-expresspay-signature'];
     if (!signature) {
       return res.status(400).json({ error: 'Missing signature header' });
@@ -161,8 +187,8 @@ app.post('/webhooks/expresspay',
     
     try {
       // Import the controller dynamically to handle webhook logic
-      const { handleExpressPayWebhook } = require('./controllers/paymentController');
-      return handleExpressPayWebhook(req, res);
+      const { expressPayWebhook } = require('./controllers/paymentController');
+      return expressPayWebhook(req, res, next);
     } catch (error) {
       console.error('ExpressPay webhook error:', error);
       return res.status(500).json({ error: 'Webhook processing failed' });
@@ -173,11 +199,11 @@ app.post('/webhooks/expresspay',
 app.post('/webhooks/momo', 
   express.raw({ type: 'application/json' }),
   paymentWebhookLimiter,
-  (req, res) => {
+  (req, res, next) => {
     try {
       // Import the controller dynamically to handle webhook logic
-      const { handleMobileMoneyWebhook } = require('./controllers/paymentController');
-      return handleMobileMoneyWebhook(req, res);
+      const { mobileMoneyWebhook } = require('./controllers/paymentController');
+      return mobileMoneyWebhook(req, res, next);
     } catch (error) {
       console.error('Mobile Money webhook error:', error);
       return res.status(500).json({ error: 'Webhook processing failed' });
@@ -188,16 +214,16 @@ app.post('/webhooks/momo',
 app.post('/webhooks/hubtel', 
   express.raw({ type: 'application/json' }),
   paymentWebhookLimiter,
-  (req, res) => {
-    const hubtelToken = req.headers['x-hubtel-token'];
-    if (!hubtelToken) {
-      return res.status(400).json({ error: 'Missing Hubtel authorization token' });
+  (req, res, next) => {
+    const signature = req.headers['x-hubtel-signature'];
+    if (!signature) {
+      return res.status(400).json({ error: 'Missing signature header' });
     }
     
     try {
       // Import the controller dynamically to handle webhook logic
-      const { handleHubtelWebhook } = require('./controllers/paymentController');
-      return handleHubtelWebhook(req, res);
+      const { hubtelWebhook } = require('./controllers/paymentController');
+      return hubtelWebhook(req, res, next);
     } catch (error) {
       console.error('Hubtel webhook error:', error);
       return res.status(500).json({ error: 'Webhook processing failed' });
@@ -242,6 +268,9 @@ const createServer = async () => {
     // Ensure upload directories exist
     createUploadDirs();
     
+    // Release stock held by orders that were never paid
+    startUnpaidOrderSweeper();
+    
     // Set port
     const PORT = process.env.PORT || 3000;
     
@@ -272,6 +301,7 @@ const createServer = async () => {
     // Graceful shutdown handler
     const gracefulShutdown = () => {
       console.log('Received shutdown signal, closing server gracefully...');
+      stopUnpaidOrderSweeper();
       server.close(() => {
         console.log('Server closed. Exiting process.');
         process.exit(0);
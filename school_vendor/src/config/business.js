@@ -0,0 +1,37 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Seller details printed on invoices and receipts
+ * Each value can be overridden with the matching BUSINESS_* variable.
+ */
+const BUSINESS = {
+  name: process.env.BUSINESS_NAME || 'School Vendor',
+  address: process.env.BUSINESS_ADDRESS || '123 Education Street, Accra, Ghana',
+  email: process.env.BUSINESS_EMAIL || process.env.SMTP_FROM_EMAIL || 'noreply@yourschool.com',
+  phone: process.env.BUSINESS_PHONE || '',
+  taxId: process.env.BUSINESS_TAX_ID || ''
+};
+
+// Account that bank transfer payments are made into
+const BANK_ACCOUNT = {
+  bankName: process.env.BANK_NAME || 'School Vendor Bank',
+  accountName: process.env.BANK_ACCOUNT_NAME || 'School Vendor Account',
+  accountNumber: process.env.BANK_ACCOUNT_NUMBER || '1234567890',
+  swiftCode: process.env.BANK_SWIFT_CODE || 'SCHVEND'
+};
+
+/**
+ * Reference a customer quotes on a bank transfer for an order
+ * @param {Object} order - Order document
+ * @returns {String} Transfer reference
+ */
+const getBankTransferReference = (order) => `BT-${order.orderNumber}`;
+
+module.exports = {
+  BUSINESS,
+  BANK_ACCOUNT,
+  getBankTransferReference
+};
@@ -45,6 +45,28 @@ const connectDB = async () => {
   }
 };
 
+/**
+ * Run a unit of work inside a MongoDB transaction
+ * The callback receives the session and must pass it to every query it makes.
+ * Transient errors are retried by the driver; any other error aborts the
+ * transaction and is rethrown to the caller.
+ * @param {Function} fn - Async callback receiving the session
+ * @returns {Promise} Result of the callback
+ */
+const withTransaction = async (fn) => {
+  const session = await mongoose.startSession();
+
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
 // Connection event listeners
 mongoose.connection.on('connected', () => {
   console.log(`Mongoose connected to ${MONGODB_URI[environment]}`);
@@ -90,6 +112,7 @@ process.on('SIGTERM', () => {
 
 module.exports = {
   connectDB,
+  withTransaction,
   mongoose
 };
 
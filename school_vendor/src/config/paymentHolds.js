@@ -0,0 +1,49 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * How long an unpaid order may hold stock, per payment method (in minutes)
+ * Instant methods only need minutes; manual transfers need days to clear.
+ * Each value can be overridden with PAYMENT_HOLD_MINUTES_<METHOD>.
+ */
+const DEFAULT_HOLD_MINUTES = {
+  expresspay: 60,
+  mobile_money: 15,
+  hubtel: 60,
+  bank_transfer: 3 * 24 * 60, // 3 days
+  western_union: 2 * 24 * 60 // 2 days
+};
+
+// Payment methods that are confirmed by an admin rather than a gateway
+const MANUAL_PAYMENT_METHODS = ['bank_transfer', 'western_union'];
+
+/**
+ * Get the hold window for a payment method
+ * @param {String} paymentMethod - Payment method
+ * @returns {Number} Hold window in milliseconds
+ */
+const getHoldWindow = (paymentMethod) => {
+  const override = parseInt(process.env[`PAYMENT_HOLD_MINUTES_${String(paymentMethod).toUpperCase()}`]);
+  const minutes = override > 0 ? override : (DEFAULT_HOLD_MINUTES[paymentMethod] || 60);
+  
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Get the moment a hold started at `from` runs out
+ * @param {String} paymentMethod - Payment method
+ * @param {Number|Date} from - Start of the hold (defaults to now)
+ * @returns {Date} Expiry date
+ */
+const getHoldExpiry = (paymentMethod, from = Date.now()) => {
+  return new Date(new Date(from).getTime() + getHoldWindow(paymentMethod));
+};
+
+module.exports = {
+  DEFAULT_HOLD_MINUTES,
+  MANUAL_PAYMENT_METHODS,
+  getHoldWindow,
+  getHoldExpiry
+};
@@ -0,0 +1,47 @@
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Formats of generated reference numbers, keyed by document type
+ * Tokens: {prefix}, {YYYY}, {YY}, {MM}, {DD} and {seq}, or {seq:N} to pad the
+ * counter to N digits. The counter restarts whenever the date part of the
+ * number changes, so a format with {DD} counts per day and one with only
+ * {YYYY} per year. Each format and prefix can be overridden with
+ * SEQUENCE_FORMAT_<TYPE> and SEQUENCE_PREFIX_<TYPE>.
+ */
+const DEFAULT_SEQUENCES = {
+  order: { prefix: 'SV', format: '{prefix}-{YY}{MM}{DD}-{seq:4}' },
+  // The prefix comes from the payment method when the ID is generated
+  transaction: { prefix: 'TXN', format: '{prefix}-{YY}{MM}{DD}-{seq:6}' },
+  proforma: { prefix: 'PF', format: '{prefix}-{seq:6}' },
+  invoice: { prefix: 'INV', format: '{prefix}-{seq:6}' },
+  receipt: { prefix: 'RCT', format: '{prefix}-{seq:6}' },
+  refund: { prefix: 'RF', format: '{prefix}-{YYYY}-{seq:6}' },
+  rma: { prefix: 'RMA', format: '{prefix}-{YY}{MM}{DD}-{seq:4}' }
+};
+
+/**
+ * Get the format and prefix for a document type
+ * @param {String} type - Document type
+ * @returns {Object} { format, prefix }
+ */
+const getSequenceFormat = (type) => {
+  const defaults = DEFAULT_SEQUENCES[type];
+
+  if (!defaults) {
+    throw new Error(`No sequence is configured for ${type}`);
+  }
+
+  const key = type.toUpperCase();
+  return {
+    format: process.env[`SEQUENCE_FORMAT_${key}`] || defaults.format,
+    prefix: process.env[`SEQUENCE_PREFIX_${key}`] || defaults.prefix
+  };
+};
+
+module.exports = {
+  DEFAULT_SEQUENCES,
+  getSequenceFormat
+};
@@ -33,10 +33,29 @@ exports.getDashboardStats = catchAsync(async (req, res) => {
 
   // Get low stock items
   const lowStockItems = await Product.countDocuments({ 
-    productType: 'physical',
-    quantity: { $lte: 10 } 
+    productType: { $ne: 'digital' },
+    stockManagement: true,
+    isLowStock: true
   });
 
+  // Get stock totals: on the shelf, promised to open orders, and still sellable
+  const inventory = await Product.aggregate([
+    { $match: { productType: { $ne: 'digital' }, stockManagement: true } },
+    {
+      $group: {
+        _id: null,
+        onHand: { $sum: '$stock' },
+        reserved: { $sum: { $ifNull: ['$reservedStock', 0] } },
+        available: {
+          $sum: {
+            $max: [0, { $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] }]
+          }
+        }
+      }
+    },
+    { $project: { _id: 0 } }
+  ]);
+
   // Get recent orders (last 10)
   const recentOrders = await Order.find()
     .sort({ createdAt: -1 })
@@ -81,6 +100,7 @@ exports.getDashboardStats = catchAsync(async (req, res) => {
       totalOrders,
       activeUsers: activeUsers.length > 0 ? activeUsers[0].activeUserCount : 0,
       lowStockItems,
+      inventory: inventory.length > 0 ? inventory[0] : { onHand: 0, reserved: 0, available: 0 },
       recentOrders,
       salesByCategory
     }
@@ -97,6 +117,9 @@ exports.getDashboardStats = catchAsync(async (req, res) => {
  * @access  Admin
  */
 exports.createProduct = catchAsync(async (req, res) => {
+  // Add the current user as creator
+  req.body.createdBy = req.user._id;
+
   const newProduct = await Product.create(req.body);
 
   res.status(201).json({
@@ -113,15 +136,24 @@ exports.createProduct = catchAsync(async (req, res) => {
  * @access  Admin
  */
 exports.updateProduct = catchAsync(async (req, res, next) => {
-  const product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-    new: true,
-    runValidators: true
-  });
+  req.body.updatedBy = req.user._id;
+
+  // Saving the document runs the bundle checks and re-pricing
+  const product = await Product.findById(req.params.id);
 
   if (!product) {
     return next(new AppError('No product found with that ID', 404));
   }
 
+  const priceChanged = req.body.price !== undefined && req.body.price !== product.price;
+  product.set(req.body);
+  await product.save();
+
+  // Discounted bundles follow their components' prices
+  if (priceChanged && product.productType !== 'bundle') {
+    await Product.refreshBundlePrices(product._id);
+  }
+
   res.status(200).json({
     status: 'success',
     data: {
@@ -154,12 +186,20 @@ exports.deleteProduct = catchAsync(async (req, res, next) => {
  * @access  Admin
  */
 exports.getLowStockProducts = catchAsync(async (req, res) => {
-  const lowStockThreshold = req.query.threshold || 10;
-
-  const products = await Product.find({ 
-    productType: 'physical',
-    quantity: { $lte: lowStockThreshold } 
-  }).populate('category', 'name');
+  // Use the per-product threshold unless an explicit one is requested.
+  // Products serialise stock (on hand), reservedStock and availableStock.
+  const products = req.query.threshold
+    ? await Product.find({
+      productType: { $ne: 'digital' },
+      stockManagement: true,
+      $expr: {
+        $lte: [
+          { $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }] },
+          parseInt(req.query.threshold)
+        ]
+      }
+    }).sort({ stock: 1 }).populate('category', 'name')
+    : await Product.getLowStockProducts().populate('category', 'name');
 
   res.status(200).json({
     status: 'success',
@@ -263,79 +303,3 @@ exports.deleteUser = catchAsync(async (req, res, next) => {
     data: null
   });
 });
-
-// =========================
-// ORDER MANAGEMENT
-// =========================
-
-/**
- * @desc    Get all orders
- * @route   GET /api/admin/orders
- * @access  Admin
- */
-exports.getAllOrders = catchAsync(async (req, res) => {
-  const orders = await Order.find()
-    .populate('user', 'firstName lastName email')
-    .populate('items.product', 'name price imageUrl');
-
-  res.status(200).json({
-    status: 'success',
-    results: orders.length,
-    data: {
-      orders
-    }
-  });
-});
-
-/**
- * @desc    Update order status
- * @route   PUT /api/admin/orders/:id/status
- * @access  Admin
- */
-exports.updateOrderStatus = catchAsync(async (req, res, next) => {
-  const { status } = req.body;
-
-  if (!status) {
-    return next(new AppError('Status is required', 400));
-  }
-
-  // Validate status value
-  const validStatuses = ['pending', 'processing', 'shipped', 'delivered', 'cancelled'];
-  if (!validStatuses.includes(status)) {
-    return next(new AppError(`Invalid status. Must be one of: ${validStatuses.join(', ')}`, 400));
-  }
-
-  const order = await Order.findByIdAndUpdate(
-    req.params.id,
-    { status },
-    { new: true, runValidators: true }
-  ).populate('user', 'firstName lastName email');
-
-  if (!order) {
-    return next(new AppError('No order found with that ID', 404));
-  }
-
-  // If order was delivered, update the transaction status
-  if (status === 'delivered') {
-    await Transaction.findOneAndUpdate(
-      { orderId: order._id },
-      { status: 'completed' }
-    );
-  }
-
-  // If order was cancelled and there's a transaction, mark it as refunded
-  if (status === 'cancelled') {
-    await Transaction.findOneAndUpdate(
-      { orderId: order._id },
-      { status: 'refunded' }
-    );
-  }
-
-  res.status(200).json({
-    status: 'success',
-    data: {
-      order
-    }
-  });
-});
-
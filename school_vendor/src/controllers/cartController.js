@@ -0,0 +1,179 @@
+const {
+  findCart,
+  getOrCreateCart,
+  addToCart,
+  updateCartItem: setCartItemQuantity,
+  removeCartItem: deleteCartItem,
+  getCartDetails,
+  mergeGuestCart,
+  checkoutCart: placeCartOrder
+} = require('../services/cartService');
+const { getPlacedOrderSummary } = require('../services/orderService');
+const {
+  NotFoundError,
+  ValidationError,
+  catchAsync
+} = require('../middleware/error');
+
+// Guests identify their cart with the token returned when it was created
+const getCartToken = (req) => req.headers['x-cart-token'];
+
+/**
+ * Load the current cart or fail
+ * @param {Object} req - Express request
+ * @returns {Object} Cart document
+ */
+const requireCart = async (req) => {
+  const cart = await findCart(req.user, getCartToken(req));
+
+  if (!cart) {
+    throw new NotFoundError('Cart not found');
+  }
+
+  return cart;
+};
+
+/**
+ * Send a cart with its live prices and stock warnings
+ * @param {Object} res - Express response
+ * @param {Object} cart - Cart document
+ * @param {String} message - Optional message
+ */
+const sendCart = async (res, cart, message) => {
+  const details = await getCartDetails(cart);
+
+  res.status(200).json({
+    success: true,
+    message,
+    cart: {
+      id: cart._id,
+      // Only guests need the token; signed-in carts are found by user
+      cartToken: cart.user ? undefined : cart.token,
+      ...details
+    }
+  });
+};
+
+/**
+ * @desc   Get the current cart
+ * @route  GET /api/cart
+ * @access Public (guest carts by X-Cart-Token header)
+ */
+const getCart = catchAsync(async (req, res) => {
+  const cart = await findCart(req.user, getCartToken(req));
+
+  if (!cart) {
+    return res.status(200).json({
+      success: true,
+      cart: {
+        items: [],
+        subtotal: 0,
+        itemsCount: 0,
+        canCheckout: false
+      }
+    });
+  }
+
+  await sendCart(res, cart);
+});
+
+/**
+ * @desc   Add a product to the cart
+ * @route  POST /api/cart/items
+ * @access Public (guest carts by X-Cart-Token header)
+ */
+const addCartItem = catchAsync(async (req, res) => {
+  const cart = await getOrCreateCart(req.user, getCartToken(req));
+
+  await addToCart(cart, req.body.product, req.body.quantity);
+
+  await sendCart(res, cart, 'Item added to cart');
+});
+
+/**
+ * @desc   Change the quantity of a cart item
+ * @route  PUT /api/cart/items/:itemId
+ * @access Public (guest carts by X-Cart-Token header)
+ */
+const updateCartItem = catchAsync(async (req, res) => {
+  const cart = await requireCart(req);
+
+  await setCartItemQuantity(cart, req.params.itemId, req.body.quantity);
+
+  await sendCart(res, cart, 'Cart updated');
+});
+
+/**
+ * @desc   Remove an item from the cart
+ * @route  DELETE /api/cart/items/:itemId
+ * @access Public (guest carts by X-Cart-Token header)
+ */
+const removeCartItem = catchAsync(async (req, res) => {
+  const cart = await requireCart(req);
+
+  await deleteCartItem(cart, req.params.itemId);
+
+  await sendCart(res, cart, 'Item removed from cart');
+});
+
+/**
+ * @desc   Empty the cart
+ * @route  DELETE /api/cart
+ * @access Public (guest carts by X-Cart-Token header)
+ */
+const clearCart = catchAsync(async (req, res) => {
+  const cart = await requireCart(req);
+
+  cart.items = [];
+  await cart.save();
+
+  await sendCart(res, cart, 'Cart cleared');
+});
+
+/**
+ * @desc   Merge a guest cart into the signed-in user's cart
+ * @route  POST /api/cart/merge
+ * @access Private
+ */
+const mergeCart = catchAsync(async (req, res) => {
+  const token = req.body.cartToken || getCartToken(req);
+
+  if (!token) {
+    throw new ValidationError('Cart token is required');
+  }
+
+  await mergeGuestCart(req.user, token);
+
+  const cart = await getOrCreateCart(req.user);
+  await sendCart(res, cart, 'Cart merged successfully');
+});
+
+/**
+ * @desc   Place an order for everything in the cart
+ * @route  POST /api/cart/checkout
+ * @access Private
+ */
+const checkoutCart = catchAsync(async (req, res) => {
+  const cart = await findCart(req.user);
+
+  const { order, pickupSlot } = await placeCartOrder(req.user, cart, req.body, {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Order created successfully',
+    ...getPlacedOrderSummary(order, pickupSlot)
+  });
+});
+
+module.exports = {
+  getCart,
+  addCartItem,
+  updateCartItem,
+  removeCartItem,
+  clearCart,
+  mergeCart,
+  checkoutCart
+};
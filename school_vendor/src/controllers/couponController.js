@@ -0,0 +1,159 @@
+const Coupon = require('../models/Coupon');
+const {
+  NotFoundError,
+  ValidationError,
+  catchAsync
+} = require('../middleware/error');
+
+/**
+ * @desc   Create a new coupon
+ * @route  POST /api/admin/coupons
+ * @access Admin
+ */
+const createCoupon = catchAsync(async (req, res) => {
+  const existing = await Coupon.findOne({ code: req.body.code });
+
+  if (existing) {
+    throw new ValidationError(`Coupon code ${req.body.code} already exists`);
+  }
+
+  req.body.createdBy = req.user._id;
+
+  const coupon = await Coupon.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created successfully',
+    coupon
+  });
+});
+
+/**
+ * @desc   Get all coupons
+ * @route  GET /api/admin/coupons
+ * @access Admin
+ */
+const getAllCoupons = catchAsync(async (req, res) => {
+  const { isActive, search, page = 1, limit = 20 } = req.query;
+
+  // Build query
+  const query = {};
+
+  if (isActive !== undefined) {
+    query.isActive = isActive === 'true';
+  }
+
+  if (search) {
+    query.$or = [
+      { code: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  // Redemption lists can grow long, so leave them out of the listing
+  const coupons = await Coupon.find(query)
+    .select('-redemptions')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+
+  const total = await Coupon.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: coupons.length,
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+    currentPage: parseInt(page),
+    coupons
+  });
+});
+
+/**
+ * @desc   Get coupon by ID
+ * @route  GET /api/admin/coupons/:id
+ * @access Admin
+ */
+const getCouponById = catchAsync(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id)
+    .populate('applicableCategories', 'name slug')
+    .populate('applicableProducts', 'name sku')
+    .populate('redemptions.user', 'firstName lastName email')
+    .populate('redemptions.order', 'orderNumber status');
+
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    coupon
+  });
+});
+
+/**
+ * @desc   Update coupon
+ * @route  PUT /api/admin/coupons/:id
+ * @access Admin
+ */
+const updateCoupon = catchAsync(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+
+  // Apply changes through the document so the model validators see the
+  // combined discount type and value
+  coupon.set({ ...req.body, updatedBy: req.user._id });
+  await coupon.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon updated successfully',
+    coupon
+  });
+});
+
+/**
+ * @desc   Delete coupon
+ * @route  DELETE /api/admin/coupons/:id
+ * @access Admin
+ */
+const deleteCoupon = catchAsync(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    throw new NotFoundError('Coupon not found');
+  }
+
+  // Orders keep a reference to the coupon they used, so a redeemed coupon is
+  // only deactivated
+  if (coupon.usageCount > 0) {
+    coupon.isActive = false;
+    coupon.updatedBy = req.user._id;
+    await coupon.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Coupon has been redeemed and was deactivated instead of deleted'
+    });
+  }
+
+  await coupon.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Coupon deleted successfully'
+  });
+});
+
+module.exports = {
+  createCoupon,
+  getAllCoupons,
+  getCouponById,
+  updateCoupon,
+  deleteCoupon
+};
@@ -1,210 +1,78 @@
 const Order = require('../models/Order');
 const Product = require('../models/Product');
 const Transaction = require('../models/Transaction');
+const { placeOrder, quoteOrder, editOrder, getPlacedOrderSummary } = require('../services/orderService');
+const {
+  createShipment,
+  addShipmentTracking,
+  updateShipmentStatus: changeShipmentStatus
+} = require('../services/shipmentService');
+const { reorderToCart, quoteReorder, confirmReorder } = require('../services/reorderService');
+const {
+  DOCUMENT_TYPES,
+  issueDocument,
+  getOrderDocuments,
+  renderDocument
+} = require('../services/invoiceService');
+const { getOrderTimeline } = require('../services/trackingService');
+const { getHoldExpiry } = require('../config/paymentHolds');
 const { 
   NotFoundError, 
   ValidationError, 
   DatabaseError,
   PaymentError,
+  InvalidTransitionError,
   catchAsync 
 } = require('../middleware/error');
 
+/**
+ * An order as the requesting user may see it
+ * Internal notes are staff-only and are left out for everyone but admins.
+ * @param {Object} order - Order document
+ * @param {Object} user - Requesting user
+ * @returns {Object} Order document or plain object
+ */
+const toOrderView = (order, user) => {
+  if (user.role === 'admin') {
+    return order;
+  }
+
+  const view = order.toJSON();
+  view.notes = view.notes.filter(note => !note.isInternal);
+  return view;
+};
+
 /**
  * @desc   Create a new order
  * @route  POST /api/orders
  * @access Private
  */
 const createOrder = catchAsync(async (req, res) => {
-  const { items, shipping, billingAddress, notes, paymentMethod } = req.body;
-  
-  // Verify items and check stock
-  const orderItems = [];
-  let subtotal = 0;
-  let hasDigitalItems = false;
-  let hasPhysicalItems = false;
-  
-  // Validate all products and check stock
-  for (const item of items) {
-    const product = await Product.findById(item.product);
-    
-    if (!product) {
-      throw new NotFoundError(`Product with ID ${item.product} not found`);
-    }
-    
-    // Check if product is active and published
-    if (!product.isPublished || product.status !== 'active') {
-      throw new ValidationError(`Product ${product.name} is not available for purchase`);
-    }
-    
-    // Check stock for physical products
-    if (product.productType !== 'digital') {
-      if (product.stock < item.quantity) {
-        throw new ValidationError(`Insufficient stock for ${product.name}. Available: ${product.stock}`);
-      }
-      hasPhysicalItems = true;
-    }
-    
-    if (product.productType === 'digital' || product.productType === 'both') {
-      hasDigitalItems = true;
-    }
-    
-    // Calculate price (consider sale price if applicable)
-    const price = product.saleActive && product.salePrice ? product.salePrice : product.price;
-    
-    // Add to order items
-    orderItems.push({
-      product: product._id,
-      name: product.name,
-      sku: product.sku,
-      price,
-      quantity: item.quantity,
-      productType: product.productType,
-      productSnapshot: {
-        name: product.name,
-        price,
-        description: product.shortDescription || product.description.substring(0, 100),
-        image: product.images && product.images.length > 0 ? product.images[0].url : null
-      },
-      // For digital products, initialize delivery status
-      digitalDelivery: product.productType === 'digital' || product.productType === 'both' ? {
-        deliveryStatus: 'pending',
-        downloadLimit: product.digitalDetails?.downloadLimit || 0,
-        accessExpiration: product.digitalDetails?.accessDuration ? 
-          new Date(Date.now() + product.digitalDetails.accessDuration * 24 * 60 * 60 * 1000) : null
-      } : undefined
-    });
-    
-    // Add to subtotal
-    subtotal += price * item.quantity;
-  }
-  
-  // Calculate shipping cost (simplified, would typically use a shipping service)
-  const shippingAmount = hasPhysicalItems ? calculateShippingCost(shipping.shippingMethod, orderItems) : 0;
-  
-  // Calculate tax (simplified, would typically use tax service)
-  const taxRate = 0.05; // 5% tax
-  const taxAmount = subtotal * taxRate;
-  
-  // Calculate total
-  const totalAmount = subtotal + shippingAmount + taxAmount;
-  
-  // Generate a unique order number
-  const orderNumber = await Order.generateOrderNumber();
-  
-  // Create order
-  const order = await Order.create({
-    orderNumber,
-    user: req.user._id,
-    customerInfo: {
-      name: `${req.user.firstName} ${req.user.lastName}`,
-      email: req.user.email,
-      phone: shipping.contactPhone,
-      studentId: req.user.studentId
-    },
-    items: orderItems,
-    itemsCount: orderItems.length,
-    hasDigitalItems,
-    hasPhysicalItems,
-    subtotal,
-    taxAmount,
-    taxRate,
-    shippingAmount,
-    totalAmount,
-    status: 'pending',
-    shipping: hasPhysicalItems ? shipping : undefined,
-    billingAddress,
-    payment: {
-      method: paymentMethod,
-      amount: totalAmount,
-      status: 'pending'
-    },
-    notes,
+  const { order, pickupSlot } = await placeOrder(req.user, req.body, {
     ipAddress: req.ip,
-    userAgent: req.headers['user-agent'],
-    statusHistory: [{
-      status: 'pending',
-      timestamp: Date.now(),
-      note: 'Order created'
-    }]
+    userAgent: req.headers['user-agent']
   });
   
-  // If order has physical items, reserve the stock
-  if (hasPhysicalItems) {
-    try {
-      await reserveStock(orderItems);
-    } catch (error) {
-      // If stock reservation fails, mark order as failed
-      await order.updateStatus('cancelled', 'Failed to reserve stock', null);
-      throw new ValidationError(error.message);
-    }
-  }
-  
-  // Return the new order
   res.status(201).json({
     success: true,
     message: 'Order created successfully',
-    order: {
-      id: order._id,
-      orderNumber: order.orderNumber,
-      totalAmount: order.totalAmount,
-      status: order.status,
-      paymentMethod: order.payment.method
-    },
-    paymentDetails: {
-      amount: order.totalAmount,
-      currency: order.currency,
-      paymentMethod: order.payment.method
-    }
+    ...getPlacedOrderSummary(order, pickupSlot)
   });
 });
 
 /**
- * Helper function to calculate shipping cost
- * @param {String} shippingMethod - Shipping method (standard, express, pickup)
- * @param {Array} items - Order items
- * @returns {Number} Shipping cost
- */
-const calculateShippingCost = (shippingMethod, items) => {
-  // This is a simplified shipping cost calculator
-  // In a real application, this would use shipping APIs, weight, dimensions, etc.
-  switch (shippingMethod) {
-    case 'express':
-      return 50; // Higher cost for express
-    case 'pickup':
-      return 0; // No cost for pickup
-    case 'standard':
-    default:
-      return 25; // Standard shipping cost
-  }
-};
-
-/**
- * Helper function to reserve stock for order items
- * @param {Array} items - Order items
+ * @desc   Price an order without placing it
+ * @route  POST /api/orders/quote
+ * @access Private
  */
-const reserveStock = async (items) => {
-  for (const item of items) {
-    if (item.productType !== 'digital') {
-      const product = await Product.findById(item.product);
-      
-      if (!product) {
-        throw new NotFoundError(`Product with ID ${item.product} not found`);
-      }
-      
-      if (product.stock < item.quantity) {
-        throw new ValidationError(`Insufficient stock for ${product.name}. Available: ${product.stock}`);
-      }
-      
-      // Update stock
-      await product.updateStock(
-        item.quantity,
-        'remove',
-        `Reserved for order`,
-        null
-      );
-    }
-  }
-};
+const getOrderQuote = catchAsync(async (req, res) => {
+  const quote = await quoteOrder(req.user, req.body);
+  
+  res.status(200).json({
+    success: true,
+    quote
+  });
+});
 
 /**
  * @desc   Get all orders for current user
@@ -232,7 +100,7 @@ const getUserOrders = catchAsync(async (req, res) => {
     total,
     totalPages: Math.ceil(total / limit),
     currentPage: page,
-    orders
+    orders: orders.map(order => toOrderView(order, req.user))
   });
 });
 
@@ -255,7 +123,97 @@ const getOrderById = catchAsync(async (req, res) => {
   
   res.status(200).json({
     success: true,
-    order
+    order: toOrderView(order, req.user)
+  });
+});
+
+/**
+ * @desc   Get digital orders for current user
+ * @route  GET /api/orders/digital
+ * @access Private
+ */
+const getDigitalOrders = catchAsync(async (req, res) => {
+  // Implement pagination
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 10;
+  const skip = (page - 1) * limit;
+
+  const query = { user: req.user._id, hasDigitalItems: true };
+
+  const orders = await Order.find(query)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  // Get total count for pagination
+  const total = await Order.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: orders.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    orders: orders.map(order => toOrderView(order, req.user))
+  });
+});
+
+/**
+ * @desc   Get order tracking information, for all shipments or one
+ * @route  GET /api/orders/:id/track
+ *         GET /api/orders/:id/shipments/:shipmentId/track
+ * @access Private
+ */
+const getOrderTracking = catchAsync(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  // Check if order belongs to current user or user is admin
+  if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new ValidationError('Not authorized to access this order');
+  }
+
+  // A single shipment can be tracked on its own
+  if (req.params.shipmentId && !order.shipments.id(req.params.shipmentId)) {
+    throw new NotFoundError('Shipment not found');
+  }
+
+  const tracking = await getOrderTimeline(order);
+
+  if (req.params.shipmentId) {
+    tracking.shipments = tracking.shipments.filter(shipment => shipment.id.equals(req.params.shipmentId));
+  }
+
+  res.status(200).json({
+    success: true,
+    tracking: {
+      orderId: order._id,
+      ...tracking
+    }
+  });
+});
+
+/**
+ * @desc   Track an order by order number and email, without signing in
+ * @route  POST /api/orders/track
+ * @access Public
+ */
+const trackOrderByNumber = catchAsync(async (req, res) => {
+  const { orderNumber, email } = req.body;
+
+  const order = await Order.findOne({ orderNumber });
+
+  // The same answer whether the order or the email is wrong
+  if (!order || order.customerInfo.email.toLowerCase() !== email.toLowerCase()) {
+    throw new NotFoundError('No order found with that order number and email');
+  }
+
+  res.status(200).json({
+    success: true,
+    tracking: await getOrderTimeline(order, { publicView: true })
   });
 });
 
@@ -273,15 +231,9 @@ const updateOrderStatus = catchAsync(async (req, res) => {
     throw new NotFoundError('Order not found');
   }
   
-  // Validate status transition
-  validateStatusTransition(order.status, status);
-  
-  // Update order status
+  // The state machine rejects illegal transitions and runs the side-effects
   await order.updateStatus(status, note, req.user._id);
   
-  // Handle post-status-change actions
-  await handleStatusChangeActions(order, status);
-  
   res.status(200).json({
     success: true,
     message: `Order status updated to ${status}`,
@@ -295,143 +247,35 @@ const updateOrderStatus = catchAsync(async (req, res) => {
 });
 
 /**
- * Helper function to validate status transitions
- * @param {String} currentStatus - Current order status
- * @param {String} newStatus - New order status
+ * @desc   Create a shipment for some or all of an order's items
+ * @route  POST /api/orders/:id/shipments
+ * @access Admin
  */
-const validateStatusTransition = (currentStatus, newStatus) => {
-  // Define allowed status transitions
-  const allowedTransitions = {
-    'pending': ['processing', 'payment_pending', 'cancelled'],
-    'processing': ['ready_for_shipping', 'shipped', 'completed', 'cancelled'],
-    'payment_pending': ['paid', 'payment_failed', 'cancelled'],
-    'payment_failed': ['payment_pending', 'cancelled'],
-    'paid': ['processing', 'ready_for_shipping', 'completed', 'refunded'],
-    'ready_for_shipping': ['shipped', 'cancelled'],
-    'shipped': ['delivered', 'cancelled'],
-    'delivered': ['completed', 'refunded'],
-    'completed': ['refunded'],
-    'cancelled': [],
-    'refunded': []
-  };
+const createOrderShipment = catchAsync(async (req, res) => {
+  const order = await Order.findById(req.params.id);
   
-  if (!allowedTransitions[currentStatus].includes(newStatus)) {
-    throw new ValidationError(`Cannot transition from ${currentStatus} to ${newStatus}`);
-  }
-};
-
-/**
- * Helper function to handle actions after status change
- * @param {Object} order - Order object
- * @param {String} status - New status
- */
-const handleStatusChangeActions = async (order, status) => {
-  // Handle specific status change actions
-  switch (status) {
-    case 'paid':
-      // Update payment status
-      order.payment.status = 'completed';
-      order.payment.paymentDate = Date.now();
-      
-      // For digital-only orders, mark as completed
-      if (order.hasDigitalItems && !order.hasPhysicalItems) {
-        await order.updateStatus('completed', 'Digital order fulfilled automatically', null);
-        
-        // Create download links for digital items
-        await generateDigitalDownloadLinks(order);
-      }
-      break;
-      
-    case 'cancelled':
-      // If order had physical items and was not already 'completed', restore stock
-      if (order.hasPhysicalItems && order.status !== 'completed') {
-        await restoreStock(order.items);
-      }
-      break;
-      
-    case 'refunded':
-      // Update payment status
-      order.payment.status = 'refunded';
-      break;
-      
-    case 'completed':
-      order.completedAt = Date.now();
-      break;
+  if (!order) {
+    throw new NotFoundError('Order not found');
   }
   
-  await order.save();
-};
-
-/**
- * Helper function to generate download links for digital items
- * @param {Object} order - Order object
- */
-const generateDigitalDownloadLinks = async (order) => {
-  for (const item of order.items) {
-    if (item.productType === 'digital' || item.productType === 'both') {
-      // Get product to get file URL
-      const product = await Product.findById(item.product);
-      
-      if (product && product.digitalDetails && product.digitalDetails.fileUrl) {
-        // Generate secure download link (typically with token, expiry, etc.)
-        const downloadLink = generateSecureDownloadLink(
-          product.digitalDetails.fileUrl,
-          order._id,
-          item.product
-        );
-        
-        // Update item with download link
-        item.digitalDelivery.downloadLink = downloadLink;
-        item.digitalDelivery.deliveryStatus = 'delivered';
-      }
-    }
-  }
+  const shipment = await createShipment(order, req.body, req.user._id);
   
-  await order.save();
-};
-
-/**
- * Helper function to generate secure download link
- * @param {String} fileUrl - Original file URL
- * @param {String} orderId - Order ID
- * @param {String} productId - Product ID
- * @returns {String} Secure download link
- */
-const generateSecureDownloadLink = (fileUrl, orderId, productId) => {
-  // In a real application, this would generate a secure, time-limited link
-  // For simplicity, we're just appending tokens to the URL
-  return `${process.env.API_URL}/api/downloads/${orderId}/${productId}`;
-};
-
-/**
- * Helper function to restore stock for cancelled orders
- * @param {Array} items - Order items
- */
-const restoreStock = async (items) => {
-  for (const item of items) {
-    if (item.productType !== 'digital') {
-      const product = await Product.findById(item.product);
-      
-      if (product) {
-        // Add stock back
-        await product.updateStock(
-          item.quantity,
-          'add',
-          'Restored from cancelled order',
-          null
-        );
-      }
-    }
-  }
-};
+  res.status(201).json({
+    success: true,
+    message: 'Shipment created successfully',
+    orderStatus: order.status,
+    shipment
+  });
+});
 
 /**
- * @desc   Add tracking information to order
- * @route  PUT /api/orders/:id/tracking
+ * @desc   Add tracking information to a shipment
+ * @route  PUT /api/orders/:id/shipments/:shipmentId/tracking
+ *         PUT /api/orders/:id/tracking
  * @access Admin
  */
 const addTrackingInfo = catchAsync(async (req, res) => {
-  const { trackingNumber, carrier, estimatedDelivery } = req.body;
+  const { trackingNumber, carrier, estimatedDelivery, shipmentId } = req.body;
   
   const order = await Order.findById(req.params.id);
   
@@ -443,25 +287,53 @@ const addTrackingInfo = catchAsync(async (req, res) => {
     throw new ValidationError('Cannot add tracking to an order without physical items');
   }
   
-  // Add tracking information
-  await order.addTracking(trackingNumber, carrier, estimatedDelivery);
-  
-  // If order is in 'ready_for_shipping' status, update to 'shipped'
-  if (order.status === 'ready_for_shipping') {
-    await order.updateStatus('shipped', 'Order shipped with tracking information', req.user._id);
-  }
+  // Without a shipment, everything not yet shipped goes out as one shipment
+  const targetShipmentId = req.params.shipmentId || shipmentId;
+  const shipment = targetShipmentId
+    ? await addShipmentTracking(order, targetShipmentId, req.body, req.user._id)
+    : await createShipment(order, { trackingNumber, carrier, estimatedDelivery }, req.user._id);
   
   res.status(200).json({
     success: true,
     message: 'Tracking information added successfully',
+    orderStatus: order.status,
     tracking: {
-      trackingNumber: order.shipping.trackingNumber,
-      carrier: order.shipping.carrier,
-      estimatedDelivery: order.shipping.estimatedDelivery
+      shipmentId: shipment._id,
+      shipmentNumber: shipment.shipmentNumber,
+      trackingNumber: shipment.trackingNumber,
+      carrier: shipment.carrier,
+      estimatedDelivery: shipment.estimatedDelivery
     }
   });
 });
 
+/**
+ * @desc   Update a shipment's status
+ * @route  PUT /api/orders/:id/shipments/:shipmentId/status
+ * @access Admin
+ */
+const updateShipmentStatus = catchAsync(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+  
+  const shipment = await changeShipmentStatus(
+    order,
+    req.params.shipmentId,
+    req.body.status,
+    req.user._id
+  );
+  
+  res.status(200).json({
+    success: true,
+    message: `Shipment marked as ${shipment.status}`,
+    orderStatus: order.status,
+    shipment
+  });
+});
+
 /**
  * @desc   Process payment for an order
  * @route  POST /api/orders/:id/payment
@@ -496,7 +368,7 @@ const processPayment = catchAsync(async (req, res) => {
   
   try {
     // Generate a unique transaction ID
-    const transactionId = Transaction.generateTransactionId(order.payment.method);
+    const transactionId = await Transaction.generateTransactionId(order.payment.method);
     
     // Create transaction record
     const transaction = await Transaction.create({
@@ -510,7 +382,7 @@ const processPayment = catchAsync(async (req, res) => {
       paymentReference: `ORD-${order.orderNumber}`,
       ipAddress: req.ip,
       userAgent: req.headers['user-agent'],
-      expiresAt: new Date(Date.now() + 60 * 60 * 1000), // 1 hour expiry
+      expiresAt: getHoldExpiry(order.payment.method),
       statusHistory: [{
         status: 'initiated',
         timestamp: Date.now(),
@@ -518,7 +390,8 @@ const processPayment = catchAsync(async (req, res) => {
       }]
     });
     
-    // Store transaction ID in order
+    // Store transaction ID in order, retiring the attempt it replaces
+    await Transaction.expireSuperseded(order, transactionId, req.user._id);
     order.payment.transactionId = transactionId;
     await order.save();
     
@@ -571,7 +444,7 @@ const getPaymentRedirectUrl = (paymentMethod, transactionId) => {
 /**
  * @desc   Verify payment
  * @route  POST /api/orders/:id/verify-payment
- * @access Private
+ * @access Admin
  */
 const verifyPayment = catchAsync(async (req, res) => {
   const { paymentReference, transactionId, receiptNumber } = req.body;
@@ -582,11 +455,6 @@ const verifyPayment = catchAsync(async (req, res) => {
     throw new NotFoundError('Order not found');
   }
   
-  // Check if order belongs to current user or user is admin
-  if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-    throw new ValidationError('Not authorized to verify payment for this order');
-  }
-  
   // Find transaction
   const transaction = await Transaction.findOne({
     order: order._id,
@@ -597,6 +465,11 @@ const verifyPayment = catchAsync(async (req, res) => {
     throw new NotFoundError('Transaction record not found');
   }
   
+  // Check the order can be marked paid before verifying the transaction
+  if (order.status !== 'paid' && !order.canTransitionTo('paid')) {
+    throw new InvalidTransitionError(order.status, 'paid');
+  }
+  
   // For methods requiring manual verification (bank transfer, western union)
   if (['bank_transfer', 'western_union'].includes(order.payment.method)) {
     // Update transaction with verification details
@@ -620,9 +493,6 @@ const verifyPayment = catchAsync(async (req, res) => {
     await order.updateStatus('paid', 'Payment verified', req.user._id);
   }
   
-  // Handle post-payment actions
-  await handleStatusChangeActions(order, 'paid');
-  
   res.status(200).json({
     success: true,
     message: 'Payment verified successfully',
@@ -634,6 +504,100 @@ const verifyPayment = catchAsync(async (req, res) => {
   });
 });
 
+/**
+ * @desc   Change an unpaid order's items, delivery or coupon
+ * @route  PUT /api/orders/:id
+ * @access Private
+ */
+const updateOrder = catchAsync(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  // Only the customer who placed the order can change it
+  if (order.user.toString() !== req.user._id.toString()) {
+    throw new ValidationError('Not authorized to update this order');
+  }
+
+  await editOrder(order, req.user, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: 'Order updated successfully',
+    order: toOrderView(order, req.user)
+  });
+});
+
+/**
+ * Load a past order of the current user for buying again
+ * @param {Object} req - Express request
+ * @returns {Object} Order document
+ */
+const findOrderToReorder = async (req) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (order.user.toString() !== req.user._id.toString()) {
+    throw new ValidationError('Not authorized to reorder this order');
+  }
+
+  return order;
+};
+
+/**
+ * @desc   Buy a past order again, into the cart or as a quote
+ * @route  POST /api/orders/:id/reorder
+ * @access Private
+ */
+const reorder = catchAsync(async (req, res) => {
+  const order = await findOrderToReorder(req);
+
+  if (req.body.target === 'cart') {
+    const { cart, cartDetails, lines } = await reorderToCart(req.user, order);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Items added to cart',
+      lines,
+      cart: { id: cart._id, ...cartDetails }
+    });
+  }
+
+  const { quote, lines } = await quoteReorder(req.user, order, req.body);
+
+  res.status(200).json({
+    success: true,
+    lines,
+    quote
+  });
+});
+
+/**
+ * @desc   Place a new order for a past order's items
+ * @route  POST /api/orders/:id/reorder/confirm
+ * @access Private
+ */
+const confirmOrderReorder = catchAsync(async (req, res) => {
+  const previousOrder = await findOrderToReorder(req);
+
+  const { order, pickupSlot, lines } = await confirmReorder(req.user, previousOrder, req.body, {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Order created successfully',
+    lines,
+    ...getPlacedOrderSummary(order, pickupSlot)
+  });
+});
+
 /**
  * @desc   Cancel an order
  * @route  PUT /api/orders/:id/cancel
@@ -662,6 +626,7 @@ const cancelOrder = catchAsync(async (req, res) => {
     'pending', 
     'payment_pending', 
     'payment_failed', 
+    'backordered',
     'processing',
     'ready_for_shipping'
   ];
@@ -670,12 +635,9 @@ const cancelOrder = catchAsync(async (req, res) => {
     throw new ValidationError(`Cannot cancel order in ${order.status} status`);
   }
   
-  // Update order status to cancelled
+  // Cancelling releases the stock, coupon use and pickup slot
   await order.updateStatus('cancelled', reason, req.user._id);
   
-  // Handle post-cancellation actions (like restoring stock)
-  await handleStatusChangeActions(order, 'cancelled');
-  
   res.status(200).json({
     success: true,
     message: 'Order cancelled successfully',
@@ -756,6 +718,57 @@ const downloadDigitalProduct = catchAsync(async (req, res) => {
   res.redirect(product.digitalDetails.fileUrl);
 });
 
+/**
+ * Load an order the current user may see documents for
+ * @param {Object} req - Express request
+ * @returns {Object} Order document
+ */
+const findOrderForDocuments = async (req) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new ValidationError('Not authorized to access this order');
+  }
+
+  return order;
+};
+
+/**
+ * @desc   List the invoice, proforma and receipt for an order
+ * @route  GET /api/orders/:id/documents
+ * @access Private
+ */
+const getOrderDocumentList = catchAsync(async (req, res) => {
+  const order = await findOrderForDocuments(req);
+
+  res.status(200).json({
+    success: true,
+    documents: getOrderDocuments(order)
+  });
+});
+
+/**
+ * @desc   Download an order's proforma invoice, tax invoice or receipt as a PDF
+ * @route  GET /api/orders/:id/documents/:type
+ * @access Private
+ */
+const downloadOrderDocument = catchAsync(async (req, res) => {
+  const order = await issueDocument(await findOrderForDocuments(req), req.params.type);
+  const pdf = await renderDocument(order, req.params.type);
+  const number = order.get(DOCUMENT_TYPES[req.params.type].numberPath);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${number}.pdf"`,
+    'Content-Length': pdf.length
+  });
+  res.send(pdf);
+});
+
 /**
  * @desc   Process refund for an order
  * @route  POST /api/orders/:id/refund
@@ -1172,15 +1185,9 @@ const bulkUpdateOrderStatus = catchAsync(async (req, res) => {
   // Update each order
   for (const order of orders) {
     try {
-      // Validate status transition
-      validateStatusTransition(order.status, status);
-      
-      // Update order status
+      // Illegal transitions throw and are reported per order
       await order.updateStatus(status, note || `Bulk update to ${status}`, req.user._id);
       
-      // Handle post-status-change actions
-      await handleStatusChangeActions(order, status);
-      
       results.success.push({
         id: order._id,
         orderNumber: order.orderNumber,
@@ -1238,14 +1245,25 @@ const getOrderCountByStatus = catchAsync(async (req, res) => {
 
 module.exports = {
   createOrder,
+  getOrderQuote,
   getUserOrders,
   getOrderById,
+  getDigitalOrders,
+  getOrderTracking,
+  trackOrderByNumber,
   updateOrderStatus,
+  createOrderShipment,
   addTrackingInfo,
+  updateShipmentStatus,
   processPayment,
   verifyPayment,
+  updateOrder,
+  reorder,
+  confirmOrderReorder,
   cancelOrder,
   downloadDigitalProduct,
+  getOrderDocumentList,
+  downloadOrderDocument,
   processRefund,
   getAllOrders,
   getOrderAnalytics,
@@ -0,0 +1,153 @@
+const Order = require('../models/Order');
+const {
+  postMessage,
+  markThreadRead,
+  formatMessage,
+  getThread,
+  getUnreadCounts
+} = require('../services/orderMessageService');
+const {
+  NotFoundError,
+  ValidationError,
+  catchAsync
+} = require('../middleware/error');
+
+/**
+ * Load an order whose thread the current user may see
+ * @param {Object} req - Express request
+ * @returns {Object} Order document
+ */
+const findOrderForThread = async (req) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new ValidationError('Not authorized to access this order');
+  }
+
+  return order;
+};
+
+/**
+ * @desc   Get the message thread for an order and mark it read
+ * @route  GET /api/orders/:id/messages
+ * @access Private
+ */
+const getOrderMessages = catchAsync(async (req, res) => {
+  const order = await findOrderForThread(req);
+  const messages = await getThread(order, req.user);
+
+  res.status(200).json({
+    success: true,
+    count: messages.length,
+    messages
+  });
+});
+
+/**
+ * @desc   Send a message about an order, optionally with a document
+ * @route  POST /api/orders/:id/messages
+ * @access Private
+ */
+const sendOrderMessage = catchAsync(async (req, res) => {
+  const order = await findOrderForThread(req);
+
+  if (!req.body.body && !req.file) {
+    throw new ValidationError('Message text or an attachment is required');
+  }
+
+  const message = await postMessage(order, req.user, req.body.body, req.file);
+
+  res.status(201).json({
+    success: true,
+    message: 'Message sent',
+    data: formatMessage(message, req.user)
+  });
+});
+
+/**
+ * @desc   Mark every message on an order's thread as read
+ * @route  PUT /api/orders/:id/messages/read
+ * @access Private
+ */
+const markOrderMessagesRead = catchAsync(async (req, res) => {
+  const order = await findOrderForThread(req);
+  const marked = await markThreadRead(order, req.user);
+
+  res.status(200).json({
+    success: true,
+    marked
+  });
+});
+
+/**
+ * @desc   Count unread order messages for the current user
+ * @route  GET /api/orders/messages/unread
+ * @access Private
+ */
+const getUnreadMessageCounts = catchAsync(async (req, res) => {
+  const unread = await getUnreadCounts(req.user);
+
+  res.status(200).json({
+    success: true,
+    ...unread
+  });
+});
+
+/**
+ * @desc   Get the staff-only notes on an order
+ * @route  GET /api/admin/orders/:id/notes
+ * @access Admin
+ */
+const getInternalNotes = catchAsync(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .select('orderNumber notes')
+    .populate('notes.createdBy', 'firstName lastName');
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    notes: order.notes.filter(note => note.isInternal)
+  });
+});
+
+/**
+ * @desc   Add a staff-only note to an order
+ * @route  POST /api/admin/orders/:id/notes
+ * @access Admin
+ */
+const addInternalNote = catchAsync(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  order.notes.push({
+    content: req.body.content,
+    createdBy: req.user._id,
+    isInternal: true
+  });
+  await order.save();
+
+  res.status(201).json({
+    success: true,
+    message: 'Note added',
+    note: order.notes[order.notes.length - 1]
+  });
+});
+
+module.exports = {
+  getOrderMessages,
+  sendOrderMessage,
+  markOrderMessagesRead,
+  getUnreadMessageCounts,
+  getInternalNotes,
+  addInternalNote
+};
@@ -4,10 +4,35 @@ const {
   NotFoundError,
   ValidationError,
   PaymentError,
+  InvalidTransitionError,
   catchAsync 
 } = require('../middleware/error');
+const { getHoldExpiry } = require('../config/paymentHolds');
+const { BANK_ACCOUNT, getBankTransferReference } = require('../config/business');
 const crypto = require('crypto');
 
+/**
+ * Mark an order paid from a gateway webhook
+ * Webhooks always answer 200, so a confirmation the order can no longer take
+ * (e.g. it was cancelled in the meantime) is logged instead of thrown.
+ * @param {String} orderId - Order ID
+ * @param {String} note - Status history note
+ */
+const markOrderPaidFromWebhook = async (orderId, note) => {
+  const order = await Order.findById(orderId);
+  
+  if (!order || order.status === 'paid') {
+    return;
+  }
+  
+  if (!order.canTransitionTo('paid')) {
+    console.log(`Payment confirmation ignored for order ${order.orderNumber} in ${order.status} status`);
+    return;
+  }
+  
+  await order.updateStatus('paid', note, null);
+};
+
 /**
  * @desc   Initialize payment for an order
  * @route  POST /api/payments/initialize
@@ -44,7 +69,7 @@ const initializePayment = catchAsync(async (req, res) => {
   }
   
   // Generate a transaction ID
-  const transactionId = Transaction.generateTransactionId(paymentMethod);
+  const transactionId = await Transaction.generateTransactionId(paymentMethod);
   
   // Create transaction record
   const transaction = await Transaction.create({
@@ -58,7 +83,7 @@ const initializePayment = catchAsync(async (req, res) => {
     paymentReference: `ORD-${order.orderNumber}`,
     ipAddress: req.ip,
     userAgent: req.headers['user-agent'],
-    expiresAt: new Date(Date.now() + 2 * 60 * 60 * 1000), // 2 hour expiry
+    expiresAt: getHoldExpiry(paymentMethod),
     statusHistory: [{
       status: 'initiated',
       timestamp: Date.now(),
@@ -66,9 +91,12 @@ const initializePayment = catchAsync(async (req, res) => {
     }]
   });
   
-  // Update order with transaction ID
+  // Point the order at the new transaction. updateStatus does not save when the
+  // order is already payment_pending, so a retry has to save it here.
+  await Transaction.expireSuperseded(order, transactionId, req.user._id);
   order.payment.transactionId = transactionId;
   await order.updateStatus('payment_pending', 'Payment initiated', req.user._id);
+  await order.save();
   
   // Process payment based on method
   let paymentDetails;
@@ -201,9 +229,9 @@ const processBankTransferPayment = async (transaction, order, user) => {
   
   // Update transaction with Bank Transfer details
   transaction.bankTransferDetails = {
-    bankName: 'School Vendor Bank',
-    accountNumber: '1234567890',
-    transferReference: `BT-${order.orderNumber}`
+    bankName: BANK_ACCOUNT.bankName,
+    accountNumber: BANK_ACCOUNT.accountNumber,
+    transferReference: getBankTransferReference(order)
   };
   
   await transaction.save();
@@ -212,8 +240,8 @@ const processBankTransferPayment = async (transaction, order, user) => {
     bankDetails: {
       bankName: transaction.bankTransferDetails.bankName,
       accountNumber: transaction.bankTransferDetails.accountNumber,
-      accountName: 'School Vendor Account',
-      swiftCode: 'SCHVEND'
+      accountName: BANK_ACCOUNT.accountName,
+      swiftCode: BANK_ACCOUNT.swiftCode
     },
     paymentReference: transaction.bankTransferDetails.transferReference,
     amount: transaction.amount,
@@ -389,7 +417,7 @@ const verifyManualPayment = catchAsync(async (req, res) => {
   
   // Find order and update status
   const order = await Order.findById(transaction.order);
-  if (order) {
+  if (order && order.canTransitionTo('payment_pending')) {
     await order.updateStatus('payment_pending', 'Payment verification submitted, pending review', null);
   }
   
@@ -422,21 +450,24 @@ const adminVerifyPayment = catchAsync(async (req, res) => {
     ? 'Payment verified and approved by admin' 
     : `Payment verification rejected: ${note || 'No reason provided'}`;
   
+  // Check the order can take the result before touching the transaction
+  const order = await Order.findById(transaction.order);
+  const orderStatus = approved ? 'paid' : 'payment_failed';
+  
+  if (order && order.status !== orderStatus && !order.canTransitionTo(orderStatus)) {
+    throw new InvalidTransitionError(order.status, orderStatus);
+  }
+  
   // Update transaction status
   await transaction.updateStatus(newStatus, statusNote, req.user._id);
   
-  // Update order status if transaction was approved
-  if (approved) {
-    const order = await Order.findById(transaction.order);
-    if (order) {
-      await order.updateStatus('paid', 'Payment verified by admin', req.user._id);
-    }
-  } else {
-    // Update order status if transaction was rejected
-    const order = await Order.findById(transaction.order);
-    if (order) {
-      await order.updateStatus('payment_failed', `Payment verification rejected: ${note || 'No reason provided'}`, req.user._id);
-    }
+  // Update order status to match
+  if (order) {
+    await order.updateStatus(
+      orderStatus,
+      approved ? 'Payment verified by admin' : statusNote,
+      req.user._id
+    );
   }
   
   res.status(200).json({
@@ -450,15 +481,44 @@ const adminVerifyPayment = catchAsync(async (req, res) => {
   });
 });
 
+// Shared secret and signature header for each provider's webhooks
+const WEBHOOK_SIGNATURES = {
+  expresspay: { secret: 'EXPRESSPAY_WEBHOOK_SECRET', header: 'x-expresspay-signature' },
+  mobile_money: { secret: 'MOBILE_MONEY_SECRET', header: 'x-momo-signature' },
+  hubtel: { secret: 'HUBTEL_CLIENT_SECRET', header: 'x-hubtel-signature' }
+};
+
+/**
+ * Check a webhook's HMAC-SHA256 signature against the raw request body
+ * Fails closed: no secret configured, no signature or no raw body is invalid.
+ * @param {Object} req - Express request
+ * @param {String} provider - Key of WEBHOOK_SIGNATURES
+ * @returns {Boolean} Whether the payload came from the provider
+ */
+const verifyWebhookSignature = (req, provider) => {
+  const { secret, header } = WEBHOOK_SIGNATURES[provider];
+  const key = process.env[secret];
+  const signature = req.headers[header];
+
+  if (!key || typeof signature !== 'string' || !req.rawBody) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', key).update(req.rawBody).digest('hex')
+  );
+  const received = Buffer.from(signature.trim().toLowerCase());
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
 /**
  * @desc   ExpressPay webhook handler
  * @route  POST /api/payments/webhook/expresspay
  * @access Public
  */
 const expressPayWebhook = catchAsync(async (req, res) => {
-  // In a real implementation, verify webhook signature for security
-  // const isValidSignature = verifyExpressPaySignature(req);
-  const isValidSignature = true; // Simplified for example
+  const isValidSignature = verifyWebhookSignature(req, 'expresspay');
   
   if (!isValidSignature) {
     return res.status(401).json({ success: false, message: 'Invalid signature' });
@@ -509,10 +569,7 @@ const expressPayWebhook = catchAsync(async (req, res) => {
   
   // Update order status if payment was successful
   if (newStatus === 'completed') {
-    const order = await Order.findById(transaction.order);
-    if (order) {
-      await order.updateStatus('paid', 'Payment confirmed by ExpressPay', null);
-    }
+    await markOrderPaidFromWebhook(transaction.order, 'Payment confirmed by ExpressPay');
   }
   
   // Always return 200 success response for webhooks
@@ -521,12 +578,11 @@ const expressPayWebhook = catchAsync(async (req, res) => {
 
 /**
  * @desc   Mobile Money webhook handler
- * @route  POST /api/payments/webhook/mobile-money
+ * @route  POST /api/payments/webhook/mobile_money
  * @access Public
  */
 const mobileMoneyWebhook = catchAsync(async (req, res) => {
-  // In a real implementation, verify webhook signature for security
-  const isValidSignature = true; // Simplified for example
+  const isValidSignature = verifyWebhookSignature(req, 'mobile_money');
   
   if (!isValidSignature) {
     return res.status(401).json({ success: false, message: 'Invalid signature' });
@@ -586,10 +642,7 @@ const mobileMoneyWebhook = catchAsync(async (req, res) => {
   
   // Update order status if payment was successful
   if (newStatus === 'completed') {
-    const order = await Order.findById(transaction.order);
-    if (order) {
-      await order.updateStatus('paid', `Payment confirmed by ${provider || 'Mobile Money'}`, null);
-    }
+    await markOrderPaidFromWebhook(transaction.order, `Payment confirmed by ${provider || 'Mobile Money'}`);
   }
   
   // Always return 200 success response for webhooks
@@ -602,8 +655,7 @@ const mobileMoneyWebhook = catchAsync(async (req, res) => {
  * @access Public
  */
 const hubtelWebhook = catchAsync(async (req, res) => {
-  // In a real implementation, verify webhook signature for security
-  const isValidSignature = true; // Simplified for example
+  const isValidSignature = verifyWebhookSignature(req, 'hubtel');
   
   if (!isValidSignature) {
     return res.status(401).json({ success: false, message: 'Invalid signature' });
@@ -663,10 +715,7 @@ const hubtelWebhook = catchAsync(async (req, res) => {
   
   // Update order status if payment was successful
   if (newStatus === 'completed') {
-    const order = await Order.findById(transaction.order);
-    if (order) {
-      await order.updateStatus('paid', 'Payment confirmed by Hubtel', null);
-    }
+    await markOrderPaidFromWebhook(transaction.order, 'Payment confirmed by Hubtel');
   }
   
   // Always return 200 success response for webhooks
@@ -845,16 +894,21 @@ const processRefund = catchAsync(async (req, res) => {
     throw new ValidationError('Only completed transactions can be refunded');
   }
   
+  // A full refund moves the order to refunded, so check it can get there first
+  const order = await Order.findById(transaction.order);
+  const fullRefund = parseFloat(amount) >= transaction.remainingAmount;
+  
+  if (order && fullRefund && !order.canTransitionTo('refunded')) {
+    throw new InvalidTransitionError(order.status, 'refunded');
+  }
+  
   try {
     // Process refund (in a real app, this would call payment provider's API)
     await transaction.addRefund(parseFloat(amount), reason, req.user._id);
     
     // Update order status if fully refunded
-    if (parseFloat(amount) >= transaction.amount - transaction.totalRefundAmount) {
-      const order = await Order.findById(transaction.order);
-      if (order) {
-        await order.updateStatus('refunded', reason, req.user._id);
-      }
+    if (order && fullRefund) {
+      await order.updateStatus('refunded', reason, req.user._id);
     }
     
     res.status(200).json({
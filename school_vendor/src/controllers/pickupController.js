@@ -0,0 +1,218 @@
+const PickupPoint = require('../models/PickupPoint');
+const Order = require('../models/Order');
+const { getAvailableSlots } = require('../services/pickupService');
+const {
+  NotFoundError,
+  ValidationError,
+  catchAsync
+} = require('../middleware/error');
+
+// Order statuses in which a pickup order can be handed over
+const COLLECTABLE_STATUSES = ['paid', 'processing', 'ready_for_shipping'];
+
+/**
+ * @desc   Get active pickup points
+ * @route  GET /api/pickup-points
+ * @access Public
+ */
+const getPickupPoints = catchAsync(async (req, res) => {
+  const pickupPoints = await PickupPoint.find({ isActive: true })
+    .select('-createdBy -updatedBy')
+    .sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: pickupPoints.length,
+    pickupPoints
+  });
+});
+
+/**
+ * @desc   Get pickup slots for a date with the places left
+ * @route  GET /api/pickup-points/:id/slots?date=YYYY-MM-DD
+ * @access Public
+ */
+const getPickupSlots = catchAsync(async (req, res) => {
+  const { date } = req.query;
+
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new ValidationError('Please provide a date in YYYY-MM-DD format');
+  }
+
+  const pickupPoint = await PickupPoint.findById(req.params.id);
+
+  if (!pickupPoint || !pickupPoint.isActive) {
+    throw new NotFoundError('Pickup point not found');
+  }
+
+  const slots = await getAvailableSlots(pickupPoint, date);
+
+  res.status(200).json({
+    success: true,
+    pickupPoint: {
+      id: pickupPoint._id,
+      name: pickupPoint.name,
+      location: pickupPoint.location
+    },
+    date,
+    slots
+  });
+});
+
+/**
+ * @desc   Verify a pickup code and hand the order over
+ * @route  POST /api/admin/pickups/verify
+ * @access Admin
+ */
+const verifyPickup = catchAsync(async (req, res) => {
+  let { orderNumber, code } = req.body;
+
+  // The QR code carries PICKUP:<orderNumber>:<code>
+  if (req.body.qrPayload) {
+    [, orderNumber, code] = req.body.qrPayload.split(':');
+  }
+
+  const order = await Order.findOne({ orderNumber });
+
+  // Same message for unknown orders and wrong codes, so codes can't be probed
+  if (!order || order.shipping?.shippingMethod !== 'pickup' || !order.shipping.pickup ||
+      order.shipping.pickup.code !== code) {
+    throw new ValidationError('Invalid order number or pickup code');
+  }
+
+  const { pickup } = order.shipping;
+
+  if (pickup.status === 'collected') {
+    throw new ValidationError(`Order was already collected on ${pickup.collectedAt.toISOString()}`);
+  }
+
+  if (!COLLECTABLE_STATUSES.includes(order.status)) {
+    throw new ValidationError(`Cannot hand over an order in ${order.status} status`);
+  }
+
+  pickup.status = 'collected';
+  pickup.collectedAt = Date.now();
+  pickup.handedOverBy = req.user._id;
+
+  // Handing over fulfils the reserved stock through the delivered hook
+  await order.updateStatus(
+    'delivered',
+    `Collected at ${pickup.pickupPointName} with pickup code`,
+    req.user._id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: 'Order handed over successfully',
+    order: {
+      id: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      customer: order.customerInfo.name,
+      items: order.items.map(item => ({ name: item.name, quantity: item.quantity })),
+      collectedAt: pickup.collectedAt
+    }
+  });
+});
+
+/**
+ * @desc   Create a pickup point
+ * @route  POST /api/admin/pickup-points
+ * @access Admin
+ */
+const createPickupPoint = catchAsync(async (req, res) => {
+  const existing = await PickupPoint.findOne({ code: req.body.code });
+
+  if (existing) {
+    throw new ValidationError(`Pickup point code ${req.body.code} already exists`);
+  }
+
+  req.body.createdBy = req.user._id;
+
+  const pickupPoint = await PickupPoint.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Pickup point created successfully',
+    pickupPoint
+  });
+});
+
+/**
+ * @desc   Get all pickup points, including inactive ones
+ * @route  GET /api/admin/pickup-points
+ * @access Admin
+ */
+const getAllPickupPoints = catchAsync(async (req, res) => {
+  const pickupPoints = await PickupPoint.find().sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: pickupPoints.length,
+    pickupPoints
+  });
+});
+
+/**
+ * @desc   Update pickup point
+ * @route  PUT /api/admin/pickup-points/:id
+ * @access Admin
+ */
+const updatePickupPoint = catchAsync(async (req, res) => {
+  req.body.updatedBy = req.user._id;
+
+  const pickupPoint = await PickupPoint.findByIdAndUpdate(
+    req.params.id,
+    req.body,
+    { new: true, runValidators: true }
+  );
+
+  if (!pickupPoint) {
+    throw new NotFoundError('Pickup point not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Pickup point updated successfully',
+    pickupPoint
+  });
+});
+
+/**
+ * @desc   Delete pickup point
+ * @route  DELETE /api/admin/pickup-points/:id
+ * @access Admin
+ */
+const deletePickupPoint = catchAsync(async (req, res) => {
+  const pickupPoint = await PickupPoint.findById(req.params.id);
+
+  if (!pickupPoint) {
+    throw new NotFoundError('Pickup point not found');
+  }
+
+  const hasOpenOrders = await Order.exists({
+    'shipping.pickup.pickupPoint': pickupPoint._id,
+    'shipping.pickup.status': 'booked'
+  });
+
+  if (hasOpenOrders) {
+    throw new ValidationError('Cannot delete a pickup point with orders waiting to be collected. Deactivate it instead.');
+  }
+
+  await pickupPoint.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Pickup point deleted successfully'
+  });
+});
+
+module.exports = {
+  getPickupPoints,
+  getPickupSlots,
+  verifyPickup,
+  createPickupPoint,
+  getAllPickupPoints,
+  updatePickupPoint,
+  deletePickupPoint
+};
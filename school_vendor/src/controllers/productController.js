@@ -1,5 +1,11 @@
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const {
+  allocateRestockedProduct,
+  subscribeStockAlert,
+  unsubscribeStockAlert,
+  getStockAlerts
+} = require('../services/backorderService');
 const { 
   NotFoundError, 
   ValidationError, 
@@ -164,6 +170,20 @@ const getProductById = catchAsync(async (req, res) => {
     throw new NotFoundError('Product not found');
   }
   
+  // Bundles show their components and the kits those make up
+  if (product.productType === 'bundle') {
+    await product.populate('bundle.components.product', 'name sku price images stock reservedStock stockManagement');
+    const availableStock = await product.getAvailableStock();
+    
+    return res.status(200).json({
+      success: true,
+      product: {
+        ...product.toJSON(),
+        availableStock: availableStock === Infinity ? null : availableStock
+      }
+    });
+  }
+  
   res.status(200).json({
     success: true,
     product
@@ -195,18 +215,27 @@ const updateProduct = catchAsync(async (req, res) => {
     }
   }
   
-  // Find product and update
-  const product = await Product.findByIdAndUpdate(
-    req.params.id,
-    req.body,
-    { new: true, runValidators: true }
-  ).populate('category', 'name slug')
-   .populate('subcategory', 'name slug');
+  // Find product and update; saving runs the bundle checks and re-pricing
+  const product = await Product.findById(req.params.id);
   
   if (!product) {
     throw new NotFoundError('Product not found');
   }
   
+  const priceChanged = req.body.price !== undefined && req.body.price !== product.price;
+  product.set(req.body);
+  await product.save();
+  
+  // Discounted bundles follow their components' prices
+  if (priceChanged && product.productType !== 'bundle') {
+    await Product.refreshBundlePrices(product._id);
+  }
+  
+  await product.populate([
+    { path: 'category', select: 'name slug' },
+    { path: 'subcategory', select: 'name slug' }
+  ]);
+  
   res.status(200).json({
     success: true,
     message: 'Product updated successfully',
@@ -226,6 +255,10 @@ const deleteProduct = catchAsync(async (req, res) => {
     throw new NotFoundError('Product not found');
   }
   
+  if (await Product.exists({ 'bundle.components.product': product._id })) {
+    throw new ValidationError('Product is part of a bundle. Remove it from the bundle first');
+  }
+  
   await product.deleteOne();
   
   res.status(200).json({
@@ -261,6 +294,11 @@ const updateStock = catchAsync(async (req, res) => {
     throw new ValidationError('Cannot update stock for digital products');
   }
   
+  // Bundles are stocked through their components
+  if (product.productType === 'bundle') {
+    throw new ValidationError('Cannot update stock for bundles. Update their components instead');
+  }
+  
   try {
     // Call the stock update method defined in the Product model
     await product.updateStock(
@@ -269,16 +307,71 @@ const updateStock = catchAsync(async (req, res) => {
       reason || `Stock ${action} by ${req.user.firstName} ${req.user.lastName}`, 
       req.user._id
     );
-    
-    res.status(200).json({
-      success: true,
-      message: `Stock ${action}ed successfully`,
-      currentStock: product.stock,
-      isLowStock: product.isLowStock
-    });
   } catch (error) {
     throw new DatabaseError(error.message);
   }
+  
+  // New stock goes to waiting back-orders first, then wakes up stock alerts
+  let backorders;
+  if (action !== 'remove') {
+    backorders = await allocateRestockedProduct(product._id, { userId: req.user._id });
+  }
+  
+  const updated = await Product.findById(product._id);
+  
+  res.status(200).json({
+    success: true,
+    message: `Stock ${action}ed successfully`,
+    currentStock: updated.stock,
+    reservedStock: updated.reservedStock,
+    availableStock: updated.availableStock,
+    isLowStock: updated.isLowStock,
+    backorders
+  });
+});
+
+/**
+ * @desc   Watch an out-of-stock product until it is back
+ * @route  POST /api/products/:id/stock-alert
+ * @access Private
+ */
+const createStockAlert = catchAsync(async (req, res) => {
+  const alert = await subscribeStockAlert(req.params.id, req.user);
+  
+  res.status(201).json({
+    success: true,
+    message: 'Stock alert saved; your alert list shows when this product is back in stock',
+    alert
+  });
+});
+
+/**
+ * @desc   Cancel a back-in-stock alert
+ * @route  DELETE /api/products/:id/stock-alert
+ * @access Private
+ */
+const deleteStockAlert = catchAsync(async (req, res) => {
+  await unsubscribeStockAlert(req.params.id, req.user);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Stock alert removed'
+  });
+});
+
+/**
+ * @desc   Get the current user's back-in-stock alerts
+ * @route  GET /api/products/stock-alerts
+ * @access Private
+ */
+const getMyStockAlerts = catchAsync(async (req, res) => {
+  const alerts = await getStockAlerts(req.user);
+  
+  res.status(200).json({
+    success: true,
+    count: alerts.length,
+    alerts
+  });
 });
 
 /**
@@ -630,6 +723,10 @@ const bulkDeleteProducts = catchAsync(async (req, res) => {
     throw new ValidationError('Product IDs are required');
   }
   
+  if (await Product.exists({ 'bundle.components.product': { $in: productIds } })) {
+    throw new ValidationError('Some of these products are part of a bundle. Remove them from the bundle first');
+  }
+  
   const result = await Product.deleteMany({ _id: { $in: productIds } });
   
   res.status(200).json({
@@ -696,6 +793,8 @@ const getStockHistory = catchAsync(async (req, res) => {
       name: product.name,
       sku: product.sku,
       currentStock: product.stock,
+      reservedStock: product.reservedStock,
+      availableStock: product.availableStock,
       lowStockThreshold: product.lowStockThreshold,
       isLowStock: product.isLowStock
     },
@@ -758,6 +857,9 @@ module.exports = {
   updateProduct,
   deleteProduct,
   updateStock,
+  createStockAlert,
+  deleteStockAlert,
+  getMyStockAlerts,
   getLowStockProducts,
   getProductsByCategory,
   getDigitalProducts,
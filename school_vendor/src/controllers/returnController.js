@@ -0,0 +1,199 @@
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const {
+  createReturnRequest,
+  reviewReturnRequest,
+  receiveReturn: settleReturn
+} = require('../services/returnService');
+const {
+  NotFoundError,
+  ValidationError,
+  catchAsync
+} = require('../middleware/error');
+
+/**
+ * Load a return request the current user may see
+ * @param {Object} req - Express request
+ * @returns {Object} ReturnRequest document
+ */
+const findAccessibleReturn = async (req) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+
+  if (!returnRequest) {
+    throw new NotFoundError('Return request not found');
+  }
+
+  if (returnRequest.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new ValidationError('Not authorized to access this return request');
+  }
+
+  return returnRequest;
+};
+
+/**
+ * @desc   Request a return for items on a delivered order
+ * @route  POST /api/returns
+ * @access Private
+ */
+const createReturn = catchAsync(async (req, res) => {
+  const order = await Order.findById(req.body.order);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (order.user.toString() !== req.user._id.toString()) {
+    throw new ValidationError('Not authorized to return items on this order');
+  }
+
+  const photos = (req.files || []).map(file => `/uploads/returns/${file.filename}`);
+
+  const returnRequest = await createReturnRequest(order, req.body, photos);
+
+  res.status(201).json({
+    success: true,
+    message: 'Return request submitted successfully',
+    returnRequest
+  });
+});
+
+/**
+ * @desc   Get current user's return requests
+ * @route  GET /api/returns
+ * @access Private
+ */
+const getMyReturns = catchAsync(async (req, res) => {
+  const returns = await ReturnRequest.find({ user: req.user._id })
+    .populate('order', 'orderNumber')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: returns.length,
+    returns
+  });
+});
+
+/**
+ * @desc   Get return request by ID
+ * @route  GET /api/returns/:id
+ * @access Private
+ */
+const getReturnById = catchAsync(async (req, res) => {
+  const returnRequest = await findAccessibleReturn(req);
+
+  await returnRequest.populate('order', 'orderNumber status');
+
+  res.status(200).json({
+    success: true,
+    returnRequest
+  });
+});
+
+/**
+ * @desc   Withdraw a return request before the goods are sent back
+ * @route  PUT /api/returns/:id/cancel
+ * @access Private
+ */
+const cancelReturn = catchAsync(async (req, res) => {
+  const returnRequest = await findAccessibleReturn(req);
+
+  if (!['requested', 'approved'].includes(returnRequest.status)) {
+    throw new ValidationError(`Cannot cancel a return in ${returnRequest.status} status`);
+  }
+
+  await returnRequest.updateStatus('cancelled', 'Return cancelled by customer', req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return request cancelled successfully',
+    returnRequest
+  });
+});
+
+/**
+ * @desc   Get all return requests
+ * @route  GET /api/admin/returns
+ * @access Admin
+ */
+const getAllReturns = catchAsync(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const query = {};
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const returns = await ReturnRequest.find(query)
+    .populate('order', 'orderNumber')
+    .populate('user', 'name email')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await ReturnRequest.countDocuments(query);
+
+  res.status(200).json({
+    success: true,
+    count: returns.length,
+    total,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    returns
+  });
+});
+
+/**
+ * @desc   Approve or reject a return request
+ * @route  PUT /api/admin/returns/:id/review
+ * @access Admin
+ */
+const reviewReturn = catchAsync(async (req, res) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+
+  if (!returnRequest) {
+    throw new NotFoundError('Return request not found');
+  }
+
+  await reviewReturnRequest(returnRequest, req.body.approved, req.body.note, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: `Return request ${returnRequest.status}`,
+    returnRequest
+  });
+});
+
+/**
+ * @desc   Record returned goods, restock them and settle the outcome
+ * @route  PUT /api/admin/returns/:id/receive
+ * @access Admin
+ */
+const receiveReturn = catchAsync(async (req, res) => {
+  const returnRequest = await ReturnRequest.findById(req.params.id);
+
+  if (!returnRequest) {
+    throw new NotFoundError('Return request not found');
+  }
+
+  await settleReturn(returnRequest, req.body, req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Return received and settled successfully',
+    returnRequest
+  });
+});
+
+module.exports = {
+  createReturn,
+  getMyReturns,
+  getReturnById,
+  cancelReturn,
+  getAllReturns,
+  reviewReturn,
+  receiveReturn
+};
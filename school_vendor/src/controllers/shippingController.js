@@ -0,0 +1,166 @@
+const ShippingZone = require('../models/ShippingZone');
+const Product = require('../models/Product');
+const PickupPoint = require('../models/PickupPoint');
+const { quoteShipping } = require('../services/shippingService');
+const {
+  NotFoundError,
+  ValidationError,
+  catchAsync
+} = require('../middleware/error');
+
+/**
+ * @desc   Get delivery options and prices for a cart before ordering
+ * @route  POST /api/shipping/quote
+ * @access Public
+ */
+const getShippingQuote = catchAsync(async (req, res) => {
+  const { address, items } = req.body;
+
+  const lines = [];
+  let subtotal = 0;
+
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+
+    if (!product || !product.isPublished || product.status !== 'active') {
+      throw new NotFoundError(`Product with ID ${item.product} not found`);
+    }
+
+    // Same pricing as createOrder so the free-shipping threshold matches
+    const price = product.currentPrice;
+    subtotal += price * item.quantity;
+
+    // Bundles are weighed as the components that go in the parcel
+    if (product.productType === 'bundle') {
+      for (const component of await product.getBundleComponents()) {
+        lines.push({ product: component.product, quantity: component.quantity * item.quantity });
+      }
+    } else if (product.productType !== 'digital') {
+      lines.push({ product, quantity: item.quantity });
+    }
+  }
+
+  if (lines.length === 0) {
+    throw new ValidationError('None of these items need delivery');
+  }
+
+  const quote = await quoteShipping(address, lines, subtotal);
+
+  // Campus pickup is offered alongside delivery; slots are listed per point
+  const pickupPoints = await PickupPoint.find({ isActive: true })
+    .select('name location fee')
+    .sort({ name: 1 });
+
+  res.status(200).json({
+    success: true,
+    subtotal,
+    ...quote,
+    pickupPoints
+  });
+});
+
+/**
+ * @desc   Create a shipping zone
+ * @route  POST /api/admin/shipping-zones
+ * @access Admin
+ */
+const createShippingZone = catchAsync(async (req, res) => {
+  req.body.createdBy = req.user._id;
+
+  const zone = await ShippingZone.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipping zone created successfully',
+    zone
+  });
+});
+
+/**
+ * @desc   Get all shipping zones
+ * @route  GET /api/admin/shipping-zones
+ * @access Admin
+ */
+const getAllShippingZones = catchAsync(async (req, res) => {
+  const query = {};
+
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === 'true';
+  }
+
+  const zones = await ShippingZone.find(query).sort({ isDefault: 1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: zones.length,
+    zones
+  });
+});
+
+/**
+ * @desc   Get shipping zone by ID
+ * @route  GET /api/admin/shipping-zones/:id
+ * @access Admin
+ */
+const getShippingZoneById = catchAsync(async (req, res) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    throw new NotFoundError('Shipping zone not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    zone
+  });
+});
+
+/**
+ * @desc   Update shipping zone
+ * @route  PUT /api/admin/shipping-zones/:id
+ * @access Admin
+ */
+const updateShippingZone = catchAsync(async (req, res) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    throw new NotFoundError('Shipping zone not found');
+  }
+
+  // Saving through the document keeps the single-default rule in the model
+  zone.set({ ...req.body, updatedBy: req.user._id });
+  await zone.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone updated successfully',
+    zone
+  });
+});
+
+/**
+ * @desc   Delete shipping zone
+ * @route  DELETE /api/admin/shipping-zones/:id
+ * @access Admin
+ */
+const deleteShippingZone = catchAsync(async (req, res) => {
+  const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+  if (!zone) {
+    throw new NotFoundError('Shipping zone not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Shipping zone deleted successfully'
+  });
+});
+
+module.exports = {
+  getShippingQuote,
+  createShippingZone,
+  getAllShippingZones,
+  getShippingZoneById,
+  updateShippingZone,
+  deleteShippingZone
+};
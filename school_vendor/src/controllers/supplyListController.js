@@ -0,0 +1,233 @@
+const SupplyList = require('../models/SupplyList');
+const Product = require('../models/Product');
+const { getPlacedOrderSummary } = require('../services/orderService');
+const {
+  getStudents,
+  findStudent,
+  getListsForStudent,
+  findListForStudent,
+  getSupplyListProgress,
+  supplyListToCart,
+  orderSupplyList
+} = require('../services/supplyListService');
+const {
+  NotFoundError,
+  ValidationError,
+  catchAsync
+} = require('../middleware/error');
+
+/**
+ * Throw unless every product on a list exists
+ * @param {Array} items - Supply list items
+ */
+const checkListProducts = async (items) => {
+  if (!items) {
+    return;
+  }
+
+  const ids = items.map(item => item.product);
+  const found = await Product.countDocuments({ _id: { $in: ids } });
+
+  if (found !== new Set(ids.map(String)).size) {
+    throw new NotFoundError('One or more products on the list were not found');
+  }
+};
+
+/**
+ * @desc   Get the pupils the current user shops for
+ * @route  GET /api/supply-lists/students
+ * @access Private
+ */
+const getMyStudents = catchAsync(async (req, res) => {
+  const students = await getStudents(req.user);
+
+  res.status(200).json({
+    success: true,
+    count: students.length,
+    students: students.map(student => ({
+      id: student._id,
+      name: `${student.firstName} ${student.lastName}`,
+      studentId: student.studentId,
+      grade: student.grade
+    }))
+  });
+});
+
+/**
+ * @desc   Get supply lists: a pupil's published lists, or every list for staff
+ * @route  GET /api/supply-lists
+ * @access Private
+ */
+const getSupplyLists = catchAsync(async (req, res) => {
+  if (req.user.role === 'admin' && !req.query.student) {
+    const { grade, academicYear, term } = req.query;
+    const query = {};
+
+    if (grade) {
+      query.grade = grade;
+    }
+    if (academicYear) {
+      query.academicYear = academicYear;
+    }
+    if (term) {
+      query.term = parseInt(term);
+    }
+
+    const supplyLists = await SupplyList.find(query).sort({ academicYear: -1, grade: 1, term: -1 });
+
+    return res.status(200).json({
+      success: true,
+      count: supplyLists.length,
+      supplyLists
+    });
+  }
+
+  const student = await findStudent(req.user, req.query.student);
+  const supplyLists = await getListsForStudent(student);
+
+  res.status(200).json({
+    success: true,
+    count: supplyLists.length,
+    student: { id: student._id, name: `${student.firstName} ${student.lastName}`, grade: student.grade },
+    supplyLists
+  });
+});
+
+/**
+ * @desc   Get a supply list with what a pupil has already bought
+ * @route  GET /api/supply-lists/:id
+ * @access Private
+ */
+const getSupplyList = catchAsync(async (req, res) => {
+  const student = await findStudent(req.user, req.query.student);
+  const list = await findListForStudent(req.params.id, student, req.user);
+  const progress = await getSupplyListProgress(list, student);
+
+  res.status(200).json({
+    success: true,
+    ...progress
+  });
+});
+
+/**
+ * @desc   Add what is left on a supply list to the cart
+ * @route  POST /api/supply-lists/:id/cart
+ * @access Private
+ */
+const addSupplyListToCart = catchAsync(async (req, res) => {
+  const student = await findStudent(req.user, req.body.student);
+  const list = await findListForStudent(req.params.id, student, req.user);
+
+  const { cart, cartDetails, progress } = await supplyListToCart(req.user, list, student, {
+    includeOptional: req.body.includeOptional
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Items added to cart',
+    lines: progress.lines,
+    cart: { id: cart._id, ...cartDetails }
+  });
+});
+
+/**
+ * @desc   Order what is left on a supply list
+ * @route  POST /api/supply-lists/:id/order
+ * @access Private
+ */
+const orderFromSupplyList = catchAsync(async (req, res) => {
+  const { student: studentId, ...details } = req.body;
+  const student = await findStudent(req.user, studentId);
+  const list = await findListForStudent(req.params.id, student, req.user);
+
+  const { order, pickupSlot, progress } = await orderSupplyList(req.user, list, student, details, {
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Order created successfully',
+    lines: progress.lines,
+    ...getPlacedOrderSummary(order, pickupSlot)
+  });
+});
+
+/**
+ * @desc   Create a supply list
+ * @route  POST /api/supply-lists
+ * @access Admin
+ */
+const createSupplyList = catchAsync(async (req, res) => {
+  const { grade, academicYear, term } = req.body;
+
+  if (await SupplyList.exists({ grade, academicYear, term })) {
+    throw new ValidationError(`A supply list for ${grade}, ${academicYear} term ${term} already exists`);
+  }
+
+  await checkListProducts(req.body.items);
+  req.body.createdBy = req.user._id;
+
+  const supplyList = await SupplyList.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Supply list created successfully',
+    supplyList
+  });
+});
+
+/**
+ * @desc   Update a supply list
+ * @route  PUT /api/supply-lists/:id
+ * @access Admin
+ */
+const updateSupplyList = catchAsync(async (req, res) => {
+  await checkListProducts(req.body.items);
+  req.body.updatedBy = req.user._id;
+
+  const supplyList = await SupplyList.findByIdAndUpdate(
+    req.params.id,
+    req.body,
+    { new: true, runValidators: true }
+  );
+
+  if (!supplyList) {
+    throw new NotFoundError('Supply list not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Supply list updated successfully',
+    supplyList
+  });
+});
+
+/**
+ * @desc   Delete a supply list
+ * @route  DELETE /api/supply-lists/:id
+ * @access Admin
+ */
+const deleteSupplyList = catchAsync(async (req, res) => {
+  const supplyList = await SupplyList.findByIdAndDelete(req.params.id);
+
+  if (!supplyList) {
+    throw new NotFoundError('Supply list not found');
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Supply list deleted successfully'
+  });
+});
+
+module.exports = {
+  getMyStudents,
+  getSupplyLists,
+  getSupplyList,
+  addSupplyListToCart,
+  orderFromSupplyList,
+  createSupplyList,
+  updateSupplyList,
+  deleteSupplyList
+};
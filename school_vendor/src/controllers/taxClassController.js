@@ -0,0 +1,138 @@
+const TaxClass = require('../models/TaxClass');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const {
+  NotFoundError,
+  ValidationError,
+  catchAsync
+} = require('../middleware/error');
+
+/**
+ * @desc   Create a new tax class
+ * @route  POST /api/admin/tax-classes
+ * @access Admin
+ */
+const createTaxClass = catchAsync(async (req, res) => {
+  const existing = await TaxClass.findOne({ code: req.body.code });
+
+  if (existing) {
+    throw new ValidationError(`Tax class code ${req.body.code} already exists`);
+  }
+
+  req.body.createdBy = req.user._id;
+
+  const taxClass = await TaxClass.create(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Tax class created successfully',
+    taxClass
+  });
+});
+
+/**
+ * @desc   Get all tax classes
+ * @route  GET /api/admin/tax-classes
+ * @access Admin
+ */
+const getAllTaxClasses = catchAsync(async (req, res) => {
+  const query = {};
+
+  if (req.query.isActive !== undefined) {
+    query.isActive = req.query.isActive === 'true';
+  }
+
+  const taxClasses = await TaxClass.find(query).sort({ isDefault: -1, name: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: taxClasses.length,
+    taxClasses
+  });
+});
+
+/**
+ * @desc   Get tax class by ID
+ * @route  GET /api/admin/tax-classes/:id
+ * @access Admin
+ */
+const getTaxClassById = catchAsync(async (req, res) => {
+  const taxClass = await TaxClass.findById(req.params.id);
+
+  if (!taxClass) {
+    throw new NotFoundError('Tax class not found');
+  }
+
+  // Show where the class is in use
+  const [categoryCount, productCount] = await Promise.all([
+    Category.countDocuments({ taxClass: taxClass._id }),
+    Product.countDocuments({ taxClass: taxClass._id })
+  ]);
+
+  res.status(200).json({
+    success: true,
+    taxClass,
+    usage: {
+      categories: categoryCount,
+      products: productCount
+    }
+  });
+});
+
+/**
+ * @desc   Update tax class
+ * @route  PUT /api/admin/tax-classes/:id
+ * @access Admin
+ */
+const updateTaxClass = catchAsync(async (req, res) => {
+  const taxClass = await TaxClass.findById(req.params.id);
+
+  if (!taxClass) {
+    throw new NotFoundError('Tax class not found');
+  }
+
+  // Saving through the document keeps the single-default rule in the model
+  taxClass.set({ ...req.body, updatedBy: req.user._id });
+  await taxClass.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax class updated successfully',
+    taxClass
+  });
+});
+
+/**
+ * @desc   Delete tax class
+ * @route  DELETE /api/admin/tax-classes/:id
+ * @access Admin
+ */
+const deleteTaxClass = catchAsync(async (req, res) => {
+  const taxClass = await TaxClass.findById(req.params.id);
+
+  if (!taxClass) {
+    throw new NotFoundError('Tax class not found');
+  }
+
+  const inUse = await Category.exists({ taxClass: taxClass._id }) ||
+    await Product.exists({ taxClass: taxClass._id });
+
+  if (inUse) {
+    throw new ValidationError('Cannot delete a tax class that is assigned to categories or products. Deactivate it instead.');
+  }
+
+  await taxClass.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Tax class deleted successfully'
+  });
+});
+
+module.exports = {
+  createTaxClass,
+  getAllTaxClasses,
+  getTaxClassById,
+  updateTaxClass,
+  deleteTaxClass
+};
@@ -11,6 +11,7 @@ const {
   generateToken, 
   updateLastLogin 
 } = require('../middleware/auth');
+const { mergeGuestCart } = require('../services/cartService');
 
 /**
  * @desc   Register a new user
@@ -99,6 +100,11 @@ const loginUser = catchAsync(async (req, res) => {
   // Update last login time
   await updateLastLogin(user._id);
 
+  // Bring along the cart the user filled in before signing in
+  if (req.headers['x-cart-token']) {
+    await mergeGuestCart(user, req.headers['x-cart-token']);
+  }
+
   // Generate JWT token
   const token = generateToken(user);
 
@@ -0,0 +1,180 @@
+const Order = require('../models/Order');
+const Transaction = require('../models/Transaction');
+const { withTransaction } = require('../config/database');
+const {
+  DEFAULT_HOLD_MINUTES,
+  MANUAL_PAYMENT_METHODS,
+  getHoldWindow
+} = require('../config/paymentHolds');
+
+/**
+ * Unpaid order sweeper
+ * Periodically expires payment transactions that ran past their expiresAt and
+ * cancels orders that stayed unpaid longer than their payment method's hold
+ * window, giving the reserved stock, coupon use and pickup slot back.
+ */
+
+// Order statuses that still hold stock while waiting for payment
+const UNPAID_ORDER_STATUSES = ['pending', 'payment_pending', 'payment_failed'];
+
+// Transaction statuses that are still waiting on the customer or the gateway
+const OPEN_TRANSACTION_STATUSES = ['initiated', 'pending', 'processing'];
+
+let sweepTimer = null;
+let sweepInProgress = false;
+
+/**
+ * Query matching transactions that can still complete
+ * Manual payments whose proof is awaiting admin review never lapse on their own.
+ * @param {Date} now - Reference time
+ * @returns {Object} Mongo filter
+ */
+const liveTransactionFilter = (now) => ({
+  $or: [
+    { status: { $in: OPEN_TRANSACTION_STATUSES }, expiresAt: { $gt: now } },
+    { status: 'pending', paymentMethod: { $in: MANUAL_PAYMENT_METHODS } }
+  ]
+});
+
+/**
+ * Mark open transactions past their expiry as expired
+ * @param {Date} now - Reference time
+ * @returns {Number} Number of transactions expired
+ */
+const expireStaleTransactions = async (now = new Date()) => {
+  const transactions = await Transaction.find({
+    expiresAt: { $lte: now },
+    $or: [
+      { status: { $in: ['initiated', 'processing'] } },
+      { status: 'pending', paymentMethod: { $nin: MANUAL_PAYMENT_METHODS } }
+    ]
+  });
+
+  for (const transaction of transactions) {
+    await transaction.updateStatus('expired', 'Payment window elapsed', null);
+  }
+
+  return transactions.length;
+};
+
+/**
+ * Cancel one unpaid order and release its stock
+ * The order is re-read inside the transaction so a payment that lands at the
+ * same moment wins and the order is left alone.
+ * @param {String} orderId - Order ID
+ * @param {Date} now - Reference time
+ * @returns {Boolean} Whether the order was cancelled
+ */
+const releaseUnpaidOrder = async (orderId, now = new Date()) => {
+  return withTransaction(async (session) => {
+    const order = await Order.findOne({
+      _id: orderId,
+      status: { $in: UNPAID_ORDER_STATUSES }
+    }).session(session);
+
+    if (!order) {
+      return false;
+    }
+
+    const hasLiveTransaction = await Transaction.exists({
+      order: order._id,
+      ...liveTransactionFilter(now)
+    }).session(session);
+
+    if (hasLiveTransaction) {
+      return false;
+    }
+
+    // The cancelled hook releases the stock, coupon use and pickup slot
+    await order.updateStatus('cancelled', 'Payment window expired, order cancelled automatically', null, {
+      session,
+      reason: `Released from unpaid order ${order.orderNumber}`
+    });
+
+    return true;
+  });
+};
+
+/**
+ * Run one sweep: expire transactions, then cancel orders out of hold time
+ * @param {Date} now - Reference time
+ * @returns {Object} Counts of expired transactions and cancelled orders
+ */
+const sweepUnpaidOrders = async (now = new Date()) => {
+  const expiredTransactions = await expireStaleTransactions(now);
+  let cancelledOrders = 0;
+
+  for (const paymentMethod of Object.keys(DEFAULT_HOLD_MINUTES)) {
+    const cutoff = new Date(now.getTime() - getHoldWindow(paymentMethod));
+
+    const orders = await Order.find({
+      status: { $in: UNPAID_ORDER_STATUSES },
+      'payment.method': paymentMethod,
+      createdAt: { $lte: cutoff }
+    }).select('_id orderNumber');
+
+    for (const order of orders) {
+      try {
+        if (await releaseUnpaidOrder(order._id, now)) {
+          cancelledOrders += 1;
+        }
+      } catch (error) {
+        console.error(`Failed to release unpaid order ${order.orderNumber}:`, error.message);
+      }
+    }
+  }
+
+  return { expiredTransactions, cancelledOrders };
+};
+
+/**
+ * Start sweeping on an interval
+ * @param {Number} intervalMinutes - Minutes between sweeps
+ */
+const startUnpaidOrderSweeper = (
+  intervalMinutes = parseInt(process.env.ORDER_SWEEP_INTERVAL_MINUTES) || 5
+) => {
+  if (sweepTimer) {
+    return;
+  }
+
+  sweepTimer = setInterval(async () => {
+    // Skip this tick if the previous sweep is still running
+    if (sweepInProgress) {
+      return;
+    }
+
+    sweepInProgress = true;
+    try {
+      const { expiredTransactions, cancelledOrders } = await sweepUnpaidOrders();
+      if (expiredTransactions || cancelledOrders) {
+        console.log(`Unpaid order sweep: ${expiredTransactions} transactions expired, ${cancelledOrders} orders cancelled`);
+      }
+    } catch (error) {
+      console.error('Unpaid order sweep failed:', error.message);
+    } finally {
+      sweepInProgress = false;
+    }
+  }, intervalMinutes * 60 * 1000);
+
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+};
+
+/**
+ * Stop the interval started by startUnpaidOrderSweeper
+ */
+const stopUnpaidOrderSweeper = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  expireStaleTransactions,
+  releaseUnpaidOrder,
+  sweepUnpaidOrders,
+  startUnpaidOrderSweeper,
+  stopUnpaidOrderSweeper
+};
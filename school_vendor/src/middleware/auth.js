@@ -14,6 +14,15 @@ const loginLimiter = rateLimit({
   legacyHeaders: false,
 });
 
+// Public order lookups are keyed on an email, so limit guessing
+const orderLookupLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 20, // 20 lookups per window
+  message: 'Too many tracking requests, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * Authentication middleware to protect routes
  * Verifies JWT token and attaches user to request object
@@ -99,6 +108,41 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Optional authentication middleware
+ * Attaches the user when a valid token is sent and carries on anonymously
+ * otherwise, for routes open to guests and signed-in users alike
+ */
+const optionalAuth = async (req, res, next) => {
+  let token;
+
+  if (
+    req.headers.authorization &&
+    req.headers.authorization.startsWith('Bearer')
+  ) {
+    token = req.headers.authorization.split(' ')[1];
+  } else if (req.cookies && req.cookies.token) {
+    token = req.cookies.token;
+  }
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id);
+
+    if (user && user.isActive) {
+      req.user = user;
+    }
+  } catch (error) {
+    // An invalid or expired token is treated as a guest
+  }
+
+  next();
+};
+
 /**
  * Role-based authorization middleware
  * Restricts access to routes based on user roles
@@ -231,6 +275,7 @@ const ownerOrAdmin = (getOwnerId) => async (req, res, next) => {
 
 module.exports = {
   protect,
+  optionalAuth,
   authorize,
   adminOnly,
   validateSession,
@@ -238,6 +283,7 @@ module.exports = {
   generateToken,
   verifyToken,
   loginLimiter,
+  orderLookupLimiter,
   ownerOrAdmin,
 };
 
@@ -53,6 +53,14 @@ class PaymentError extends AppError {
   }
 }
 
+class InvalidTransitionError extends AppError {
+  constructor(from, to) {
+    super(`Cannot move order from ${from} to ${to}`, 409);
+    this.from = from;
+    this.to = to;
+  }
+}
+
 /**
  * Log error to file
  * @param {Error} err - Error object
@@ -275,6 +283,7 @@ module.exports = {
   AuthorizationError,
   DatabaseError,
   PaymentError,
+  InvalidTransitionError,
   errorHandler,
   catchAsync,
   validateRequest,
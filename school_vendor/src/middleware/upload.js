@@ -14,10 +14,11 @@ const PRODUCT_IMG_DIR = path.join(UPLOAD_DIR, 'products');
 const PROFILE_IMG_DIR = path.join(UPLOAD_DIR, 'profiles');
 const RECEIPT_DIR = path.join(UPLOAD_DIR, 'receipts');
 const DOCUMENT_DIR = path.join(UPLOAD_DIR, 'documents');
+const RETURN_IMG_DIR = path.join(UPLOAD_DIR, 'returns');
 
 // Ensure upload directories exist
 const createUploadDirs = () => {
-  [UPLOAD_DIR, PRODUCT_IMG_DIR, PROFILE_IMG_DIR, RECEIPT_DIR, DOCUMENT_DIR].forEach(dir => {
+  [UPLOAD_DIR, PRODUCT_IMG_DIR, PROFILE_IMG_DIR, RECEIPT_DIR, DOCUMENT_DIR, RETURN_IMG_DIR].forEach(dir => {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
     }
@@ -185,6 +186,15 @@ const documentUpload = handleMulterErrors(
   }).single('document')
 );
 
+// Configure multer for return request photos (multiple)
+const returnPhotosUpload = handleMulterErrors(
+  multer({
+    storage: configureStorage(RETURN_IMG_DIR),
+    limits: { fileSize: MAX_IMAGE_SIZE },
+    fileFilter: imageFilter
+  }).array('photos', 5) // Maximum 5 photos per return
+);
+
 /**
  * Delete file utility function
  * 
@@ -241,7 +251,7 @@ const deleteFiles = async (filePaths = []) => {
  * Creates the appropriate file path for a file based on its type
  * 
  * @param {String} fileName - Name of the file
- * @param {String} fileType - Type of file (product, profile, receipt, document)
+ * @param {String} fileType - Type of file (product, profile, receipt, return, document)
  * @returns {String} Complete file path
  */
 const getFilePath = (fileName, fileType = 'document') => {
@@ -258,6 +268,9 @@ const getFilePath = (fileName, fileType = 'document') => {
     case 'receipt':
       dir = RECEIPT_DIR;
       break;
+    case 'return':
+      dir = RETURN_IMG_DIR;
+      break;
     case 'document':
     default:
       dir = DOCUMENT_DIR;
@@ -288,6 +301,7 @@ module.exports = {
   profileImageUpload,
   receiptUpload,
   documentUpload,
+  returnPhotosUpload,
   
   // Utility functions
   deleteFile,
@@ -300,5 +314,6 @@ module.exports = {
   PRODUCT_IMG_DIR,
   PROFILE_IMG_DIR,
   RECEIPT_DIR,
-  DOCUMENT_DIR
+  DOCUMENT_DIR,
+  RETURN_IMG_DIR
 };
@@ -179,11 +179,8 @@ const userSchemas = {
     email: commonSchemas.email
   }),
   
-  // Password reset validation
+  // Password reset validation (the reset token is taken from the URL)
   resetPassword: Joi.object({
-    token: Joi.string().required().messages({
-      'string.empty': 'Reset token is required'
-    }),
     password: commonSchemas.password,
     confirmPassword: Joi.string()
       .valid(Joi.ref('password'))
@@ -211,6 +208,7 @@ const productSchemas = {
       'string.empty': 'Description is required'
     }),
     shortDescription: Joi.string().trim().max(200).optional(),
+    sku: Joi.string().trim().max(50).optional(),
     price: commonSchemas.price.required(),
     salePrice: Joi.number().precision(2).min(0).less(Joi.ref('price')).optional().messages({
       'number.less': 'Sale price must be less than regular price'
@@ -220,9 +218,10 @@ const productSchemas = {
     saleEndDate: Joi.date().iso().min(Joi.ref('saleStartDate')).optional().messages({
       'date.min': 'Sale end date must be after sale start date'
     }),
-    productType: Joi.string().valid('physical', 'digital', 'both').required(),
+    productType: Joi.string().valid('physical', 'digital', 'both', 'bundle').required(),
     category: commonSchemas.id.required(),
     subcategory: commonSchemas.id.optional(),
+    taxClass: commonSchemas.id.optional().allow(null),
     tags: Joi.array().items(Joi.string().trim()).optional(),
     images: Joi.array().items(
       Joi.object({
@@ -244,6 +243,28 @@ const productSchemas = {
     }),
     lowStockThreshold: Joi.number().integer().min(1).default(10).optional(),
     stockManagement: commonSchemas.boolean.default(true),
+    backorders: Joi.object({
+      mode: Joi.string().valid('none', 'backorder', 'preorder').default('none'),
+      expectedRestockDate: Joi.date().iso().allow(null).optional()
+    }).optional(),
+    
+    // Bundle specific fields
+    bundle: Joi.when('productType', {
+      is: 'bundle',
+      then: Joi.object({
+        components: Joi.array().items(
+          Joi.object({
+            product: commonSchemas.id.required(),
+            quantity: Joi.number().integer().min(1).default(1)
+          })
+        ).min(1).required().messages({
+          'array.min': 'A bundle needs at least one component'
+        }),
+        pricing: Joi.string().valid('fixed', 'discount').default('fixed'),
+        discountPercent: Joi.number().min(0).max(100).default(0)
+      }).required(),
+      otherwise: Joi.forbidden()
+    }),
     
     // Digital product specific fields
     digitalDetails: Joi.when('productType', {
@@ -287,14 +308,16 @@ const productSchemas = {
     name: Joi.string().trim().min(3).max(100).optional(),
     description: Joi.string().trim().min(10).optional(),
     shortDescription: Joi.string().trim().max(200).optional(),
+    sku: Joi.string().trim().max(50).optional(),
     price: commonSchemas.price.optional(),
     salePrice: Joi.number().precision(2).min(0).optional(),
     saleActive: commonSchemas.boolean.optional(),
     saleStartDate: commonSchemas.date.optional(),
     saleEndDate: commonSchemas.date.optional(),
-    productType: Joi.string().valid('physical', 'digital', 'both').optional(),
+    productType: Joi.string().valid('physical', 'digital', 'both', 'bundle').optional(),
     category: commonSchemas.id.optional(),
     subcategory: commonSchemas.id.optional(),
+    taxClass: commonSchemas.id.optional().allow(null),
     tags: Joi.array().items(Joi.string().trim()).optional(),
     images: Joi.array().items(
       Joi.object({
@@ -306,6 +329,20 @@ const productSchemas = {
     stock: Joi.number().integer().min(0).optional(),
     lowStockThreshold: Joi.number().integer().min(1).optional(),
     stockManagement: commonSchemas.boolean.optional(),
+    backorders: Joi.object({
+      mode: Joi.string().valid('none', 'backorder', 'preorder').optional(),
+      expectedRestockDate: Joi.date().iso().allow(null).optional()
+    }).optional(),
+    bundle: Joi.object({
+      components: Joi.array().items(
+        Joi.object({
+          product: commonSchemas.id.required(),
+          quantity: Joi.number().integer().min(1).default(1)
+        })
+      ).min(1).optional(),
+      pricing: Joi.string().valid('fixed', 'discount').optional(),
+      discountPercent: Joi.number().min(0).max(100).optional()
+    }).optional(),
     digitalDetails: Joi.object({
       fileUrl: Joi.string().uri().optional(),
       fileType: Joi.string().valid('pdf', 'doc', 'image', 'audio', 'video', 'software', 'other').optional(),
@@ -346,9 +383,24 @@ const orderSchemas = {
       'array.base': 'Items must be an array'
     }),
     shipping: Joi.object({
-      address: addressSchema.required(),
-      contactPhone: commonSchemas.phoneNumber.required(),
-      shippingMethod: Joi.string().valid('standard', 'express', 'pickup').default('standard')
+      shippingMethod: Joi.string().valid('standard', 'express', 'pickup').default('standard'),
+      // Pickup orders name a pickup point and slot instead of an address
+      address: Joi.when('shippingMethod', {
+        is: 'pickup',
+        then: Joi.forbidden(),
+        otherwise: addressSchema.required()
+      }),
+      pickup: Joi.when('shippingMethod', {
+        is: 'pickup',
+        then: Joi.object({
+          pickupPoint: commonSchemas.id.required(),
+          slotStart: Joi.date().iso().required().messages({
+            'any.required': 'Please choose a pickup slot'
+          })
+        }).required(),
+        otherwise: Joi.forbidden()
+      }),
+      contactPhone: commonSchemas.phoneNumber.required()
     }).required(),
     billingAddress: Joi.object({
       sameAsShipping: commonSchemas.boolean.default(true),
@@ -359,7 +411,10 @@ const orderSchemas = {
       })
     }).default({ sameAsShipping: true }),
     notes: Joi.string().trim().max(500).optional(),
-    paymentMethod: Joi.string().valid('expresspay', 'mobile_money', 'hubtel', 'bank_transfer', 'western_union').required()
+    couponCode: Joi.string().trim().uppercase().max(30).optional(),
+    paymentMethod: Joi.string().valid('expresspay', 'mobile_money', 'hubtel', 'bank_transfer', 'western_union').required(),
+    // User ID of the pupil a parent is buying for, so supply lists count the order
+    student: commonSchemas.id.optional()
   }),
   
   // Order status update validation
@@ -370,7 +425,9 @@ const orderSchemas = {
       'payment_pending', 
       'payment_failed', 
       'paid', 
+      'backordered', 
       'ready_for_shipping', 
+      'partially_shipped', 
       'shipped', 
       'delivered', 
       'completed', 
@@ -391,7 +448,28 @@ const orderSchemas = {
     carrier: Joi.string().trim().required().messages({
       'string.empty': 'Carrier is required'
     }),
-    estimatedDelivery: commonSchemas.date.optional()
+    estimatedDelivery: commonSchemas.date.optional(),
+    // Omit to ship everything not yet shipped as a new shipment
+    shipmentId: commonSchemas.id.optional()
+  }),
+  
+  // Shipment creation validation
+  createShipment: Joi.object({
+    items: Joi.array().items(
+      Joi.object({
+        itemId: commonSchemas.id.required(),
+        quantity: commonSchemas.quantity.required()
+      })
+    ).unique('itemId').optional(),
+    carrier: Joi.string().trim().optional(),
+    trackingNumber: Joi.string().trim().optional(),
+    estimatedDelivery: commonSchemas.date.optional(),
+    note: Joi.string().trim().max(500).optional()
+  }).and('carrier', 'trackingNumber'),
+  
+  // Shipment status update validation
+  updateShipmentStatus: Joi.object({
+    status: Joi.string().valid('shipped', 'delivered').required()
   }),
   
   // Cancel order validation
@@ -403,6 +481,52 @@ const orderSchemas = {
   })
 };
 
+// Quotes take the order payload, before a payment method has been chosen
+orderSchemas.quote = orderSchemas.create.fork(['paymentMethod'], schema => schema.optional());
+
+// Unpaid orders can change their items, delivery or coupon; null drops the coupon
+orderSchemas.update = Joi.object({
+  items: orderSchemas.create.extract('items').optional(),
+  shipping: orderSchemas.create.extract('shipping').optional(),
+  couponCode: Joi.string().trim().uppercase().max(30).allow(null, '').optional()
+}).min(1).messages({
+  'object.min': 'Provide items, shipping or couponCode to change'
+});
+
+// Public tracking looks an order up by its number and the customer's email
+orderSchemas.track = Joi.object({
+  orderNumber: Joi.string().trim().uppercase().max(40).required().messages({
+    'string.empty': 'Order number is required'
+  }),
+  email: commonSchemas.email.required()
+});
+
+// Messages on an order's thread; the text may be left out when a document is attached
+orderSchemas.message = Joi.object({
+  body: Joi.string().trim().max(2000).allow('').optional().messages({
+    'string.max': 'Message cannot exceed {#limit} characters'
+  })
+});
+
+// Staff-only notes
+orderSchemas.internalNote = Joi.object({
+  content: Joi.string().trim().max(1000).required().messages({
+    'string.empty': 'Note content is required',
+    'string.max': 'Note cannot exceed {#limit} characters'
+  })
+});
+
+// Buying a past order again; delivery defaults to the past order's address
+orderSchemas.reorder = Joi.object({
+  target: Joi.string().valid('cart', 'quote').default('quote'),
+  shipping: orderSchemas.create.extract('shipping').optional(),
+  couponCode: Joi.string().trim().uppercase().max(30).optional()
+});
+
+orderSchemas.confirmReorder = orderSchemas.create
+  .fork(['items'], schema => schema.forbidden())
+  .fork(['shipping'], schema => schema.optional());
+
 //------------------------------------------------------
 // Payment validation schemas
 //------------------------------------------------------
@@ -518,22 +642,45 @@ const paymentSchemas = {
     })
   }),
   
-  // Payment verification validation
+  // Manual payment verification validation (bank transfer, Western Union)
   verify: Joi.object({
-    paymentId: Joi.string().trim().required().messages({
-      'string.empty': 'Payment ID is required'
+    paymentMethod: Joi.string().valid('bank_transfer', 'western_union').required().messages({
+      'string.empty': 'Payment method is required',
+      'any.only': 'Only bank transfer and Western Union payments can be verified manually'
     }),
     reference: Joi.string().trim().required().messages({
       'string.empty': 'Reference is required'
     }),
-    receiptNumber: Joi.string().trim().optional()
+    receiptNumber: Joi.when('paymentMethod', {
+      is: 'bank_transfer',
+      then: Joi.string().trim().required().messages({
+        'string.empty': 'Receipt number is required for bank transfers'
+      }),
+      otherwise: Joi.string().trim().optional()
+    }),
+    receiptUrl: Joi.string().uri().optional().messages({
+      'string.uri': 'Receipt URL must be a valid URL'
+    }),
+    senderInfo: Joi.when('paymentMethod', {
+      is: 'western_union',
+      then: Joi.object({
+        name: Joi.string().trim().required(),
+        country: Joi.string().trim().required()
+      }).required(),
+      otherwise: Joi.optional()
+    })
+  }),
+  
+  // Admin review of a manual payment
+  adminVerify: Joi.object({
+    approved: commonSchemas.boolean.required().messages({
+      'any.required': 'Approval decision is required'
+    }),
+    note: Joi.string().trim().max(500).optional()
   }),
   
   // Refund validation
   refund: Joi.object({
-    paymentId: Joi.string().trim().required().messages({
-      'string.empty': 'Payment ID is required'
-    }),
     amount: Joi.number().precision(2).min(1).required().messages({
       'number.base': 'Amount must be a number',
       'number.min': 'Amount must be at least 1',
@@ -571,7 +718,8 @@ const categorySchemas = {
     icon: Joi.string().trim().optional(),
     isActive: commonSchemas.boolean.default(true),
     order: Joi.number().integer().min(0).default(0),
-    featuredInHomepage: commonSchemas.boolean.default(false)
+    featuredInHomepage: commonSchemas.boolean.default(false),
+    taxClass: commonSchemas.id.optional().allow(null)
   }),
   
   // Category update validation (similar to create but all fields optional)
@@ -587,10 +735,366 @@ const categorySchemas = {
     icon: Joi.string().trim().optional(),
     isActive: commonSchemas.boolean.optional(),
     order: Joi.number().integer().min(0).optional(),
-    featuredInHomepage: commonSchemas.boolean.optional()
+    featuredInHomepage: commonSchemas.boolean.optional(),
+    taxClass: commonSchemas.id.optional().allow(null)
+  })
+};
+
+//------------------------------------------------------
+// Coupon validation schemas
+//------------------------------------------------------
+const couponSchemas = {
+  // Coupon creation validation
+  create: Joi.object({
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).max(30).required().messages({
+      'string.pattern.base': 'Coupon code can only contain letters, numbers, hyphens and underscores',
+      'string.empty': 'Coupon code is required'
+    }),
+    description: Joi.string().trim().max(200).optional(),
+    discountType: Joi.string().valid('percentage', 'fixed').required(),
+    value: Joi.when('discountType', {
+      is: 'percentage',
+      then: Joi.number().precision(2).greater(0).max(100).required().messages({
+        'number.max': 'Percentage discount cannot be more than 100'
+      }),
+      otherwise: commonSchemas.price.greater(0).required()
+    }),
+    maxDiscountAmount: commonSchemas.price.optional(),
+    minimumSpend: commonSchemas.price.default(0),
+    applicableCategories: Joi.array().items(commonSchemas.id).default([]),
+    applicableProducts: Joi.array().items(commonSchemas.id).default([]),
+    eligibleRoles: Joi.array().items(Joi.string().valid('admin', 'student', 'parent')).unique().default([]),
+    validFrom: commonSchemas.date.optional(),
+    validUntil: Joi.date().iso().min(Joi.ref('validFrom')).optional().messages({
+      'date.min': 'Coupon end date must be after its start date'
+    }),
+    usageLimit: Joi.number().integer().min(0).default(0),
+    perUserLimit: Joi.number().integer().min(0).default(0),
+    isActive: commonSchemas.boolean.default(true)
+  }),
+  
+  // Coupon update validation (the code itself cannot be changed)
+  update: Joi.object({
+    description: Joi.string().trim().max(200).optional(),
+    discountType: Joi.string().valid('percentage', 'fixed').optional(),
+    value: Joi.number().precision(2).greater(0).optional(),
+    maxDiscountAmount: commonSchemas.price.optional().allow(null),
+    minimumSpend: commonSchemas.price.optional(),
+    applicableCategories: Joi.array().items(commonSchemas.id).optional(),
+    applicableProducts: Joi.array().items(commonSchemas.id).optional(),
+    eligibleRoles: Joi.array().items(Joi.string().valid('admin', 'student', 'parent')).unique().optional(),
+    validFrom: commonSchemas.date.optional().allow(null),
+    validUntil: commonSchemas.date.optional().allow(null),
+    usageLimit: Joi.number().integer().min(0).optional(),
+    perUserLimit: Joi.number().integer().min(0).optional(),
+    isActive: commonSchemas.boolean.optional()
+  })
+};
+
+//------------------------------------------------------
+// Tax class validation schemas
+//------------------------------------------------------
+const taxComponentSchema = Joi.object({
+  name: Joi.string().trim().max(50).required(),
+  code: Joi.string().trim().uppercase().max(20).required(),
+  rate: Joi.number().precision(4).min(0).max(100).required().messages({
+    'number.max': 'Tax rate cannot be more than 100'
+  }),
+  appliesTo: Joi.string().valid('all', 'physical', 'digital').default('all'),
+  compound: commonSchemas.boolean.default(false)
+});
+
+const taxClassSchemas = {
+  // Tax class creation validation
+  create: Joi.object({
+    name: Joi.string().trim().max(50).required().messages({
+      'string.empty': 'Tax class name is required'
+    }),
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).max(20).required().messages({
+      'string.pattern.base': 'Tax class code can only contain letters, numbers, hyphens and underscores'
+    }),
+    description: Joi.string().trim().max(500).optional(),
+    components: Joi.array().items(taxComponentSchema).unique('code').default([]),
+    isDefault: commonSchemas.boolean.default(false),
+    isActive: commonSchemas.boolean.default(true)
+  }),
+  
+  // Tax class update validation (the code itself cannot be changed)
+  update: Joi.object({
+    name: Joi.string().trim().max(50).optional(),
+    description: Joi.string().trim().max(500).optional(),
+    components: Joi.array().items(taxComponentSchema).unique('code').optional(),
+    isDefault: commonSchemas.boolean.optional(),
+    isActive: commonSchemas.boolean.optional()
+  })
+};
+
+//------------------------------------------------------
+// Shipping validation schemas
+//------------------------------------------------------
+const shippingRateSchema = Joi.object({
+  method: Joi.string().valid('standard', 'express', 'pickup').required(),
+  label: Joi.string().trim().max(50).optional(),
+  baseRate: commonSchemas.price.default(0),
+  weightBrackets: Joi.array().items(
+    Joi.object({
+      maxWeight: Joi.number().min(0).required(),
+      rate: commonSchemas.price.required()
+    })
+  ).unique('maxWeight').default([]),
+  additionalPerKg: commonSchemas.price.default(0),
+  freeShippingThreshold: commonSchemas.price.default(0),
+  estimatedDays: Joi.object({
+    min: Joi.number().integer().min(0).required(),
+    max: Joi.number().integer().min(Joi.ref('min')).required()
+  }).optional(),
+  isActive: commonSchemas.boolean.default(true)
+});
+
+const classSurchargesSchema = Joi.object({
+  oversized: commonSchemas.price.optional(),
+  fragile: commonSchemas.price.optional(),
+  express: commonSchemas.price.optional()
+});
+
+const shippingSchemas = {
+  // Rate quote validation
+  quote: Joi.object({
+    address: addressSchema.required(),
+    items: Joi.array().items(
+      Joi.object({
+        product: commonSchemas.id.required(),
+        quantity: commonSchemas.quantity.required()
+      })
+    ).min(1).required().messages({
+      'array.min': 'At least one item is required'
+    })
+  }),
+  
+  // Shipping zone creation validation
+  createZone: Joi.object({
+    name: Joi.string().trim().max(50).required().messages({
+      'string.empty': 'Zone name is required'
+    }),
+    regions: Joi.array().items(Joi.string().trim()).default([]),
+    cities: Joi.array().items(Joi.string().trim()).default([]),
+    isDefault: commonSchemas.boolean.default(false),
+    rates: Joi.array().items(shippingRateSchema).unique('method').min(1).required().messages({
+      'array.min': 'A zone needs at least one shipping method'
+    }),
+    classSurcharges: classSurchargesSchema.optional(),
+    volumetricDivisor: Joi.number().integer().min(1).default(5000),
+    isActive: commonSchemas.boolean.default(true)
+  }),
+  
+  // Shipping zone update validation
+  updateZone: Joi.object({
+    name: Joi.string().trim().max(50).optional(),
+    regions: Joi.array().items(Joi.string().trim()).optional(),
+    cities: Joi.array().items(Joi.string().trim()).optional(),
+    isDefault: commonSchemas.boolean.optional(),
+    rates: Joi.array().items(shippingRateSchema).unique('method').min(1).optional(),
+    classSurcharges: classSurchargesSchema.optional(),
+    volumetricDivisor: Joi.number().integer().min(1).optional(),
+    isActive: commonSchemas.boolean.optional()
+  })
+};
+
+//------------------------------------------------------
+// Pickup validation schemas
+//------------------------------------------------------
+const openingHoursSchema = Joi.object({
+  dayOfWeek: Joi.number().integer().min(0).max(6).required(),
+  open: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+  close: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+}).messages({
+  'string.pattern.base': 'Opening hours must be in HH:mm format'
+});
+
+const pickupSchemas = {
+  // Pickup point creation validation
+  createPoint: Joi.object({
+    name: Joi.string().trim().max(100).required().messages({
+      'string.empty': 'Pickup point name is required'
+    }),
+    code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]+$/).max(20).required(),
+    location: Joi.string().trim().required(),
+    instructions: Joi.string().trim().max(500).optional(),
+    contactPhone: commonSchemas.phoneNumber.optional(),
+    openingHours: Joi.array().items(openingHoursSchema).default([]),
+    slotDuration: Joi.number().integer().min(15).default(60),
+    slotCapacity: Joi.number().integer().min(1).default(20),
+    leadTimeHours: Joi.number().min(0).default(24),
+    fee: commonSchemas.price.default(0),
+    isActive: commonSchemas.boolean.default(true)
+  }),
+  
+  // Pickup point update validation
+  updatePoint: Joi.object({
+    name: Joi.string().trim().max(100).optional(),
+    location: Joi.string().trim().optional(),
+    instructions: Joi.string().trim().max(500).optional(),
+    contactPhone: commonSchemas.phoneNumber.optional(),
+    openingHours: Joi.array().items(openingHoursSchema).optional(),
+    slotDuration: Joi.number().integer().min(15).optional(),
+    slotCapacity: Joi.number().integer().min(1).optional(),
+    leadTimeHours: Joi.number().min(0).optional(),
+    fee: commonSchemas.price.optional(),
+    isActive: commonSchemas.boolean.optional()
+  }),
+  
+  // Pickup handover validation, from the typed code or the scanned QR payload
+  verify: Joi.object({
+    orderNumber: Joi.string().trim().when('qrPayload', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    }),
+    code: Joi.string().trim().pattern(/^\d{6}$/).when('qrPayload', {
+      is: Joi.exist(),
+      then: Joi.optional(),
+      otherwise: Joi.required()
+    }).messages({
+      'string.pattern.base': 'Pickup code must be 6 digits'
+    }),
+    qrPayload: Joi.string().trim().pattern(/^PICKUP:[^:]+:\d{6}$/).optional().messages({
+      'string.pattern.base': 'Unrecognised pickup QR code'
+    })
   })
 };
 
+//------------------------------------------------------
+// Cart validation schemas
+//------------------------------------------------------
+const cartSchemas = {
+  // Add item validation
+  addItem: Joi.object({
+    product: commonSchemas.id.required(),
+    quantity: commonSchemas.quantity.default(1)
+  }),
+  
+  // Item quantity update validation
+  updateItem: Joi.object({
+    quantity: commonSchemas.quantity.required()
+  }),
+  
+  // Guest cart merge validation; the token may also come in the X-Cart-Token header
+  merge: Joi.object({
+    cartToken: Joi.string().trim().hex().length(48).optional()
+  }),
+  
+  // Checkout takes the same details as order creation, with items from the cart
+  checkout: orderSchemas.create.fork(['items'], schema => schema.forbidden())
+};
+
+//------------------------------------------------------
+// Return validation schemas
+//------------------------------------------------------
+const returnSchemas = {
+  // Return request validation; sent as multipart form data alongside the photos,
+  // with items as items[0][itemId], items[0][quantity] and so on
+  create: Joi.object({
+    order: commonSchemas.id.required(),
+    items: Joi.array().items(
+      Joi.object({
+        itemId: commonSchemas.id.required(),
+        quantity: commonSchemas.quantity.required(),
+        reason: Joi.string()
+          .valid('wrong_size', 'damaged', 'defective', 'wrong_item', 'not_as_described', 'other')
+          .required()
+      })
+    ).min(1).unique('itemId').required().messages({
+      'array.min': 'Please choose at least one item to return'
+    }),
+    description: Joi.string().trim().max(1000).optional(),
+    preferredOutcome: Joi.string().valid('refund', 'exchange', 'store_credit').default('refund')
+  }),
+  
+  // Admin approval or rejection
+  review: Joi.object({
+    approved: commonSchemas.boolean.required(),
+    note: Joi.string().trim().max(500).when('approved', {
+      is: false,
+      then: Joi.required(),
+      otherwise: Joi.optional()
+    }).messages({
+      'any.required': 'Please give a reason for rejecting the return'
+    })
+  }),
+  
+  // Receipt of returned goods and the outcome
+  receive: Joi.object({
+    items: Joi.array().items(
+      Joi.object({
+        itemId: commonSchemas.id.required(),
+        receivedQuantity: Joi.number().integer().min(0).required(),
+        restock: commonSchemas.boolean.default(true)
+      })
+    ).unique('itemId').optional(),
+    outcome: Joi.string().valid('refund', 'exchange', 'store_credit').required(),
+    // Replacement products for exchanges; defaults to the same items
+    exchangeItems: Joi.array().items(
+      Joi.object({
+        product: commonSchemas.id.required(),
+        quantity: commonSchemas.quantity.required()
+      })
+    ).when('outcome', {
+      is: 'exchange',
+      then: Joi.optional(),
+      otherwise: Joi.forbidden()
+    }),
+    note: Joi.string().trim().max(500).optional()
+  })
+};
+
+//------------------------------------------------------
+// Supply list validation schemas
+//------------------------------------------------------
+const supplyListSchemas = {
+  // Supply list creation validation
+  create: Joi.object({
+    title: Joi.string().trim().max(100).required().messages({
+      'string.empty': 'Title is required'
+    }),
+    grade: Joi.string().trim().max(30).required().messages({
+      'string.empty': 'Grade is required'
+    }),
+    academicYear: Joi.string().pattern(/^\d{4}\/\d{4}$/).required().messages({
+      'string.pattern.base': 'Academic year must look like 2025/2026'
+    }),
+    term: Joi.number().integer().min(1).max(3).required(),
+    items: Joi.array().items(
+      Joi.object({
+        product: commonSchemas.id.required(),
+        quantity: commonSchemas.quantity.default(1),
+        required: commonSchemas.boolean.default(true),
+        note: Joi.string().trim().max(200).optional()
+      })
+    ).min(1).unique('product').required().messages({
+      'array.min': 'A supply list needs at least one item',
+      'array.unique': 'Each product can only be listed once'
+    }),
+    purchasesFrom: commonSchemas.date.allow(null).optional(),
+    isPublished: commonSchemas.boolean.default(false)
+  }),
+
+  // Adding what is left on a list to the cart
+  cart: Joi.object({
+    student: commonSchemas.id.optional(),
+    includeOptional: commonSchemas.boolean.default(false)
+  })
+};
+
+// Updates take the same fields, all optional
+supplyListSchemas.update = supplyListSchemas.create
+  .fork(['title', 'grade', 'academicYear', 'term', 'items'], schema => schema.optional())
+  .fork(['isPublished'], () => commonSchemas.boolean.optional());
+
+// Ordering what is left takes the order payload, with items from the list
+supplyListSchemas.order = orderSchemas.create
+  .fork(['items'], schema => schema.forbidden())
+  .concat(supplyListSchemas.cart);
+
 // Middleware functions that use validateRequest from error middleware
 const validate = {
   user: {
@@ -609,8 +1113,17 @@ const validate = {
   
   order: {
     create: validateRequest(orderSchemas.create),
+    quote: validateRequest(orderSchemas.quote),
+    update: validateRequest(orderSchemas.update),
+    track: validateRequest(orderSchemas.track),
+    message: validateRequest(orderSchemas.message),
+    internalNote: validateRequest(orderSchemas.internalNote),
+    reorder: validateRequest(orderSchemas.reorder),
+    confirmReorder: validateRequest(orderSchemas.confirmReorder),
     updateStatus: validateRequest(orderSchemas.updateStatus),
     updateTracking: validateRequest(orderSchemas.updateTracking),
+    createShipment: validateRequest(orderSchemas.createShipment),
+    updateShipmentStatus: validateRequest(orderSchemas.updateShipmentStatus),
     cancelOrder: validateRequest(orderSchemas.cancelOrder)
   },
   
@@ -622,12 +1135,58 @@ const validate = {
     bankTransfer: validateRequest(paymentSchemas.bankTransfer),
     westernUnion: validateRequest(paymentSchemas.westernUnion),
     verify: validateRequest(paymentSchemas.verify),
+    adminVerify: validateRequest(paymentSchemas.adminVerify),
     refund: validateRequest(paymentSchemas.refund)
   },
   
   category: {
     create: validateRequest(categorySchemas.create),
     update: validateRequest(categorySchemas.update)
+  },
+  
+  coupon: {
+    create: validateRequest(couponSchemas.create),
+    update: validateRequest(couponSchemas.update)
+  },
+  
+  taxClass: {
+    create: validateRequest(taxClassSchemas.create),
+    update: validateRequest(taxClassSchemas.update)
+  },
+  
+  shipping: {
+    quote: validateRequest(shippingSchemas.quote)
+  },
+  
+  shippingZone: {
+    create: validateRequest(shippingSchemas.createZone),
+    update: validateRequest(shippingSchemas.updateZone)
+  },
+  
+  pickup: {
+    createPoint: validateRequest(pickupSchemas.createPoint),
+    updatePoint: validateRequest(pickupSchemas.updatePoint),
+    verify: validateRequest(pickupSchemas.verify)
+  },
+  
+  cart: {
+    addItem: validateRequest(cartSchemas.addItem),
+    updateItem: validateRequest(cartSchemas.updateItem),
+    merge: validateRequest(cartSchemas.merge),
+    checkout: validateRequest(cartSchemas.checkout)
+  },
+  
+  returns: {
+    create: validateRequest(returnSchemas.create),
+    review: validateRequest(returnSchemas.review),
+    receive: validateRequest(returnSchemas.receive)
+  },
+  
+  supplyList: {
+    create: validateRequest(supplyListSchemas.create),
+    update: validateRequest(supplyListSchemas.update),
+    cart: validateRequest(supplyListSchemas.cart),
+    order: validateRequest(supplyListSchemas.order)
   }
 };
 
@@ -639,6 +1198,13 @@ module.exports = {
   orderSchemas,
   paymentSchemas,
   categorySchemas,
+  couponSchemas,
+  taxClassSchemas,
+  shippingSchemas,
+  pickupSchemas,
+  cartSchemas,
+  returnSchemas,
+  supplyListSchemas,
   addressSchema,
   customValidators
 };
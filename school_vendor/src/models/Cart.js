@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Days a guest cart is kept after it was last touched
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS) || 30;
+
+const CartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Price when the item was added, so the cart can flag price changes
+  priceAtAdd: {
+    type: Number,
+    required: true
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const CartSchema = new mongoose.Schema({
+  // Signed-in carts belong to a user; guest carts are found by token
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true
+  },
+  token: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  items: [CartItemSchema],
+  // Guest carts are removed by the TTL index once this passes
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+CartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Keep guest carts alive while they are in use
+CartSchema.pre('save', function(next) {
+  if (this.user) {
+    this.expiresAt = undefined;
+  } else {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
+  next();
+});
+
+// Find the line for a product
+CartSchema.methods.findItem = function(productId) {
+  return this.items.find(item => item.product.toString() === productId.toString());
+};
+
+// Add units of a product, topping up an existing line
+CartSchema.methods.addItem = function(productId, quantity, price) {
+  const existing = this.findItem(productId);
+
+  if (existing) {
+    existing.quantity += quantity;
+    existing.priceAtAdd = price;
+  } else {
+    this.items.push({ product: productId, quantity, priceAtAdd: price });
+  }
+};
+
+// Move another cart's lines into this one; quantities for the same product are added
+CartSchema.methods.mergeFrom = function(otherCart) {
+  for (const item of otherCart.items) {
+    this.addItem(item.product, item.quantity, item.priceAtAdd);
+  }
+};
+
+// Generate a guest cart token
+CartSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+module.exports = mongoose.model('Cart', CartSchema);
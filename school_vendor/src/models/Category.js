@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextValue } = require('../services/sequenceService');
 
 const CategorySchema = new mongoose.Schema({
   name: {
@@ -67,6 +68,12 @@ const CategorySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Tax class for products in this category, unless the product sets its own
+  taxClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxClass',
+    default: null
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -106,12 +113,12 @@ CategorySchema.pre('validate', async function(next) {
   }
   
   // To ensure unique slugs when names are similar, 
-  // we append a random string if this is a new category (not an update)
-  if (this.isNew) {
-    const existingCategory = await mongoose.models.Category.findOne({ slug: this.slug });
-    if (existingCategory) {
-      const randomString = Math.random().toString(36).substring(2, 6);
-      this.slug = `${this.slug}-${randomString}`;
+  // we number new categories that clash (shoes, shoes-2, shoes-3, ...)
+  if (this.isNew && this.slug) {
+    const baseSlug = this.slug;
+    while (await mongoose.models.Category.exists({ slug: this.slug })) {
+      const count = await nextValue(`category-slug:${baseSlug}`);
+      this.slug = `${baseSlug}-${count + 1}`;
     }
   }
   
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Named counters for sequential document numbers (one document per sequence)
+const CounterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically take the next value of a sequence, starting it at 1
+CounterSchema.statics.next = async function(name, options = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session: options.session }
+  );
+
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', CounterSchema);
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+
+const RedemptionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const CouponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot be more than 30 characters'],
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  discountType: {
+    type: String,
+    required: [true, 'Discount type is required'],
+    enum: ['percentage', 'fixed']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative'],
+    validate: {
+      validator: function(val) {
+        return this.discountType !== 'percentage' || val <= 100;
+      },
+      message: 'Percentage discount cannot be more than 100'
+    }
+  },
+  // Upper bound for percentage discounts
+  maxDiscountAmount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  // Measured against the subtotal of the items the coupon applies to
+  minimumSpend: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum spend cannot be negative']
+  },
+  // Empty scope lists mean the coupon applies to every product
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  // Empty means every role may use the coupon
+  eligibleRoles: [{
+    type: String,
+    enum: ['admin', 'student', 'parent']
+  }],
+  validFrom: {
+    type: Date
+  },
+  validUntil: {
+    type: Date
+  },
+  usageLimit: {
+    type: Number, // 0 for unlimited
+    default: 0,
+    min: [0, 'Usage limit cannot be negative']
+  },
+  perUserLimit: {
+    type: Number, // 0 for unlimited
+    default: 0,
+    min: [0, 'Per-user limit cannot be negative']
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  redemptions: [RedemptionSchema],
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Check the validity window before saving
+CouponSchema.pre('save', function(next) {
+  if (this.validFrom && this.validUntil && this.validUntil < this.validFrom) {
+    return next(new Error('Coupon end date must be after its start date'));
+  }
+  next();
+});
+
+// Whether the coupon can be used at the given time
+CouponSchema.methods.isWithinValidity = function(date = new Date()) {
+  if (this.validFrom && date < this.validFrom) {
+    return false;
+  }
+  if (this.validUntil && date > this.validUntil) {
+    return false;
+  }
+  return true;
+};
+
+// Whether the coupon covers a product, given its ID and categories
+CouponSchema.methods.appliesTo = function(productId, categoryIds = []) {
+  const hasProductScope = this.applicableProducts.length > 0;
+  const hasCategoryScope = this.applicableCategories.length > 0;
+
+  if (!hasProductScope && !hasCategoryScope) {
+    return true;
+  }
+
+  const inProducts = hasProductScope &&
+    this.applicableProducts.some(id => id.equals(productId));
+  const inCategories = hasCategoryScope &&
+    categoryIds.some(categoryId => categoryId &&
+      this.applicableCategories.some(id => id.equals(categoryId)));
+
+  return inProducts || inCategories;
+};
+
+// Discount for a given eligible subtotal, never more than the subtotal itself
+CouponSchema.methods.calculateDiscount = function(eligibleSubtotal) {
+  let discount = this.discountType === 'percentage'
+    ? eligibleSubtotal * this.value / 100
+    : this.value;
+
+  if (this.discountType === 'percentage' && this.maxDiscountAmount) {
+    discount = Math.min(discount, this.maxDiscountAmount);
+  }
+
+  return Math.round(Math.min(discount, eligibleSubtotal) * 100) / 100;
+};
+
+// Number of times a user has redeemed the coupon
+CouponSchema.methods.getUserUsageCount = function(userId) {
+  return this.redemptions.filter(redemption => redemption.user.equals(userId)).length;
+};
+
+// Atomically record a redemption
+// The usage caps are checked in the filter so that concurrent checkouts cannot
+// push the coupon past its limits; a null result means a cap was reached.
+CouponSchema.statics.redeem = function(couponId, options = {}) {
+  const { userId, orderId, amount, session } = options;
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      $expr: {
+        $and: [
+          {
+            $or: [
+              { $lte: ['$usageLimit', 0] },
+              { $lt: ['$usageCount', '$usageLimit'] }
+            ]
+          },
+          {
+            $or: [
+              { $lte: ['$perUserLimit', 0] },
+              {
+                $lt: [
+                  {
+                    $size: {
+                      $filter: {
+                        input: { $ifNull: ['$redemptions', []] },
+                        cond: { $eq: ['$$this.user', userObjectId] }
+                      }
+                    }
+                  },
+                  '$perUserLimit'
+                ]
+              }
+            ]
+          }
+        ]
+      }
+    },
+    {
+      $inc: { usageCount: 1 },
+      $push: { redemptions: { user: userId, order: orderId, amount } }
+    },
+    { new: true, session }
+  );
+};
+
+// Atomically undo the redemption made for an order
+// Returns null when the order holds no redemption, so repeated calls are safe.
+CouponSchema.statics.releaseForOrder = function(couponId, orderId, options = {}) {
+  return this.findOneAndUpdate(
+    { _id: couponId, 'redemptions.order': orderId },
+    {
+      $inc: { usageCount: -1 },
+      $pull: { redemptions: { order: orderId } }
+    },
+    { new: true, session: options.session }
+  );
+};
+
+module.exports = mongoose.model('Coupon', CouponSchema);
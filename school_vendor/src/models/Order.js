@@ -1,4 +1,39 @@
 const mongoose = require('mongoose');
+const { assertTransition, canTransition, runStatusHooks } = require('../services/orderStateMachine');
+const { nextSequence } = require('../services/sequenceService');
+
+// Amount charged for one tax component (e.g. VAT, NHIL)
+const TaxLineSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true
+  },
+  name: String,
+  rate: {
+    type: Number,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+// What one unit of a bundle line is made of, as stocked and shipped
+const BundleComponentLineSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: String,
+  sku: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
 
 // Order item schema for products in the order
 const OrderItemSchema = new mongoose.Schema({
@@ -26,9 +61,36 @@ const OrderItemSchema = new mongoose.Schema({
   },
   productType: {
     type: String,
-    enum: ['physical', 'digital', 'both'],
+    enum: ['physical', 'digital', 'both', 'bundle'],
     required: true
   },
+  // Bundle lines show as one item but reserve and ship these per unit
+  components: [BundleComponentLineSchema],
+  // Units taken off the shelf so far, as shipments go out
+  fulfilledQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Units ordered beyond stock and waiting for it to arrive; the rest are reserved
+  backorderedQuantity: {
+    type: Number,
+    default: 0
+  },
+  expectedRestockDate: Date,
+  // Share of the order discount and the tax charged on what remains
+  discount: {
+    type: Number,
+    default: 0
+  },
+  taxClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxClass'
+  },
+  taxAmount: {
+    type: Number,
+    default: 0
+  },
+  taxes: [TaxLineSchema],
   // Store additional product details at time of purchase
   productSnapshot: {
     type: Object
@@ -50,28 +112,64 @@ const OrderItemSchema = new mongoose.Schema({
   }
 });
 
+// Pickup orders are collected on campus and need no street address
+function requiresAddress() {
+  return this.shippingMethod !== 'pickup';
+}
+
+// Campus pickup details for orders collected in person
+const PickupSchema = new mongoose.Schema({
+  pickupPoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupPoint',
+    required: true
+  },
+  pickupPointName: String,
+  slotStart: {
+    type: Date,
+    required: true
+  },
+  slotEnd: Date,
+  // booked: slot held; released: slot given back; collected: handed over
+  status: {
+    type: String,
+    enum: ['booked', 'released', 'collected'],
+    default: 'booked'
+  },
+  // One-time code shown to staff at collection
+  code: {
+    type: String,
+    required: true
+  },
+  collectedAt: Date,
+  handedOverBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
 // Shipping details schema
 const ShippingSchema = new mongoose.Schema({
   address: {
     street: {
       type: String,
-      required: true
+      required: requiresAddress
     },
     city: {
       type: String,
-      required: true
+      required: requiresAddress
     },
     state: {
       type: String,
-      required: true
+      required: requiresAddress
     },
     postalCode: {
       type: String,
-      required: true
+      required: requiresAddress
     },
     country: {
       type: String,
-      required: true,
+      required: requiresAddress,
       default: 'Ghana'
     }
   },
@@ -88,6 +186,12 @@ const ShippingSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  pickup: PickupSchema,
+  // Shipping zone the cost was worked out from
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ShippingZone'
+  },
   trackingNumber: String,
   carrier: String,
   estimatedDelivery: Date,
@@ -95,6 +199,52 @@ const ShippingSchema = new mongoose.Schema({
   deliveredDate: Date
 });
 
+// Units of one order item sent in a shipment
+const ShipmentItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // Packing list for a bundle line: what goes in the parcel for these units
+  components: [BundleComponentLineSchema]
+}, { _id: false });
+
+// One parcel of an order, so items that arrive at different times can ship separately
+const ShipmentSchema = new mongoose.Schema({
+  shipmentNumber: {
+    type: String,
+    required: true
+  },
+  items: [ShipmentItemSchema],
+  status: {
+    type: String,
+    enum: ['pending', 'shipped', 'delivered'],
+    default: 'pending'
+  },
+  carrier: String,
+  trackingNumber: String,
+  estimatedDelivery: Date,
+  shippedDate: Date,
+  deliveredDate: Date,
+  note: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
 // Payment schema
 const PaymentSchema = new mongoose.Schema({
   method: {
@@ -164,7 +314,12 @@ const OrderSchema = new mongoose.Schema({
       required: true
     },
     phone: String,
-    studentId: String
+    studentId: String,
+    // Pupil the order was bought for, when a parent shops from a supply list
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   },
   items: [OrderItemSchema],
   itemsCount: {
@@ -183,19 +338,21 @@ const OrderSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Total of the per-line taxes, broken down by component in taxBreakdown
   taxAmount: {
     type: Number,
     default: 0
   },
-  taxRate: {
-    type: Number,
-    default: 0
-  },
+  taxBreakdown: [TaxLineSchema],
   discount: {
     type: Number,
     default: 0
   },
   discountCode: String,
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
   shippingAmount: {
     type: Number,
     default: 0
@@ -217,7 +374,9 @@ const OrderSchema = new mongoose.Schema({
       'payment_pending', 
       'payment_failed', 
       'paid', 
+      'backordered',
       'ready_for_shipping', 
+      'partially_shipped', 
       'shipped', 
       'delivered', 
       'completed', 
@@ -227,7 +386,16 @@ const OrderSchema = new mongoose.Schema({
     default: 'pending',
     index: true
   },
+  shipments: [ShipmentSchema],
   statusHistory: [StatusHistorySchema],
+  // Where the order's physical stock sits: reserved at checkout, then either
+  // released (cancelled/expired) or fulfilled (taken off the shelf). Orders
+  // from before reservations get theirs from scripts/backfillInventoryStatus.
+  inventoryStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'released', 'fulfilled'],
+    default: 'none'
+  },
   notes: [{
     content: String,
     createdBy: {
@@ -244,6 +412,15 @@ const OrderSchema = new mongoose.Schema({
     }
   }],
   payment: PaymentSchema,
+  // Numbered PDF documents, set when first issued; the receipt number is on payment
+  proforma: {
+    number: String,
+    issuedAt: Date
+  },
+  invoice: {
+    number: String,
+    issuedAt: Date
+  },
   shipping: ShippingSchema,
   billingAddress: {
     sameAsShipping: {
@@ -276,6 +453,10 @@ const OrderSchema = new mongoose.Schema({
 OrderSchema.index({ createdAt: -1 });
 OrderSchema.index({ 'payment.status': 1 });
 OrderSchema.index({ 'items.product': 1 });
+OrderSchema.index({ 'customerInfo.student': 1 }, { sparse: true });
+OrderSchema.index({ 'proforma.number': 1 }, { unique: true, sparse: true });
+OrderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+OrderSchema.index({ 'payment.receiptNumber': 1 }, { unique: true, sparse: true });
 
 // Set hasDigitalItems and hasPhysicalItems flags based on order items
 OrderSchema.pre('save', function(next) {
@@ -284,7 +465,7 @@ OrderSchema.pre('save', function(next) {
   );
   
   this.hasPhysicalItems = this.items.some(item => 
-    item.productType === 'physical' || item.productType === 'both'
+    ['physical', 'both', 'bundle'].includes(item.productType)
   );
   
   this.itemsCount = this.items.length;
@@ -292,45 +473,57 @@ OrderSchema.pre('save', function(next) {
   next();
 });
 
-// Add status change to history
-OrderSchema.methods.updateStatus = async function(newStatus, note, userId) {
-  if (!this.status !== newStatus) {
-    this.status = newStatus;
-    
-    this.statusHistory.push({
-      status: newStatus,
-      timestamp: Date.now(),
-      note: note || `Order status changed to ${newStatus}`,
-      updatedBy: userId
-    });
-    
-    // Handle special status changes
-    switch (newStatus) {
-      case 'completed':
-        this.completedAt = Date.now();
-        break;
-      case 'cancelled':
-        this.cancelledAt = Date.now();
-        if (note) {
-          this.cancellationReason = note;
-        }
-        break;
-      case 'shipped':
-        if (this.shipping) {
-          this.shipping.shippedDate = Date.now();
-        }
-        break;
-      case 'delivered':
-        if (this.shipping) {
-          this.shipping.deliveredDate = Date.now();
-        }
-        break;
-    }
-    
-    await this.save();
-    return true;
+// Move the order to a new status through the state machine
+// Illegal transitions throw; hooks registered for the status run before the save.
+OrderSchema.methods.updateStatus = async function(newStatus, note, userId, options = {}) {
+  if (this.status === newStatus) {
+    return false;
+  }
+  
+  assertTransition(this, newStatus);
+  
+  const previousStatus = this.status;
+  this.status = newStatus;
+  
+  this.statusHistory.push({
+    status: newStatus,
+    timestamp: Date.now(),
+    note: note || `Order status changed to ${newStatus}`,
+    updatedBy: userId
+  });
+  
+  // Handle special status changes
+  switch (newStatus) {
+    case 'completed':
+      this.completedAt = Date.now();
+      break;
+    case 'cancelled':
+      this.cancelledAt = Date.now();
+      if (note) {
+        this.cancellationReason = note;
+      }
+      break;
+    case 'shipped':
+      if (this.shipping) {
+        this.shipping.shippedDate = Date.now();
+      }
+      break;
+    case 'delivered':
+      if (this.shipping) {
+        this.shipping.deliveredDate = Date.now();
+      }
+      break;
   }
-  return false;
+  
+  await runStatusHooks(this, { ...options, from: previousStatus, note, userId });
+  
+  await this.save(options.session ? { session: options.session } : {});
+  return true;
+};
+
+// Whether the state machine allows moving to a status
+OrderSchema.methods.canTransitionTo = function(newStatus) {
+  return canTransition(this, newStatus);
 };
 
 // Update payment status
@@ -345,18 +538,16 @@ OrderSchema.methods.updatePayment = async function(paymentStatus, transactionId,
     this.payment.gatewayResponse = gatewayResponse;
   }
   
-  if (paymentStatus === 'completed') {
-    this.payment.paymentDate = Date.now();
-    
-    // Update order status if payment is completed
-    if (this.status === 'payment_pending' || this.status === 'pending') {
-      if (this.hasPhysicalItems) {
-        await this.updateStatus('processing', 'Payment completed, processing order', null);
-      } else {
-        await this.updateStatus('completed', 'Digital order fulfilled automatically', null);
-      }
-    }
-  } else if (paymentStatus === 'failed') {
+  // The paid hook fulfils digital-only orders. Orders not yet waiting on a
+  // payment get there first, as the state machine only pays payment_pending
+  // orders; a cancelled or refunded order throws instead of losing the payment.
+  if (paymentStatus === 'completed' && ['pending', 'payment_failed'].includes(this.status)) {
+    await this.updateStatus('payment_pending', 'Payment received', null);
+  }
+  
+  if (paymentStatus === 'completed' && ['payment_pending', 'cancelled', 'refunded'].includes(this.status)) {
+    await this.updateStatus('paid', 'Payment completed', null);
+  } else if (paymentStatus === 'failed' && this.canTransitionTo('payment_failed')) {
     await this.updateStatus('payment_failed', 'Payment failed', null);
   }
   
@@ -364,40 +555,63 @@ OrderSchema.methods.updatePayment = async function(paymentStatus, transactionId,
   return true;
 };
 
-// Add tracking information
-OrderSchema.methods.addTracking = async function(trackingNumber, carrier, estimatedDelivery) {
-  if (this.shipping) {
-    this.shipping.trackingNumber = trackingNumber;
-    this.shipping.carrier = carrier;
-    
-    if (estimatedDelivery) {
-      this.shipping.estimatedDelivery = new Date(estimatedDelivery);
+// Units of each physical item not yet assigned to a shipment, keyed by item ID.
+// Back-ordered units have no stock yet and cannot be shipped.
+OrderSchema.methods.getUnshippedQuantities = function() {
+  const remaining = new Map();
+  
+  for (const item of this.items) {
+    if (item.productType !== 'digital') {
+      remaining.set(item._id.toString(), item.quantity - (item.backorderedQuantity || 0));
+    }
+  }
+  
+  for (const shipment of this.shipments) {
+    for (const line of shipment.items) {
+      const key = line.orderItem.toString();
+      remaining.set(key, (remaining.get(key) || 0) - line.quantity);
     }
-    
-    await this.save();
-    return true;
   }
-  return false;
+  
+  return remaining;
 };
 
-// Generate unique order number
-OrderSchema.statics.generateOrderNumber = async function() {
-  const date = new Date();
-  const year = date.getFullYear().toString().substr(-2);
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const day = date.getDate().toString().padStart(2, '0');
+// Order status implied by the shipments, or null while nothing has shipped
+OrderSchema.methods.getFulfilmentStatus = function() {
+  const totalUnits = this.items
+    .filter(item => item.productType !== 'digital')
+    .reduce((sum, item) => sum + item.quantity, 0);
   
-  // Get count of orders today for sequential numbering
-  const startOfDay = new Date(date.setHours(0, 0, 0, 0));
-  const endOfDay = new Date(date.setHours(23, 59, 59, 999));
+  let shippedUnits = 0;
+  let deliveredUnits = 0;
   
-  const orderCount = await this.countDocuments({
-    createdAt: { $gte: startOfDay, $lte: endOfDay }
-  });
+  for (const shipment of this.shipments) {
+    const units = shipment.items.reduce((sum, line) => sum + line.quantity, 0);
+    
+    if (shipment.status === 'shipped' || shipment.status === 'delivered') {
+      shippedUnits += units;
+    }
+    if (shipment.status === 'delivered') {
+      deliveredUnits += units;
+    }
+  }
   
-  // Format: SV-YYMMDD-XXXX (SV = School Vendor, followed by date and sequential number)
-  const sequentialNumber = (orderCount + 1).toString().padStart(4, '0');
-  return `SV-${year}${month}${day}-${sequentialNumber}`;
+  if (totalUnits === 0 || shippedUnits === 0) {
+    return null;
+  }
+  if (deliveredUnits >= totalUnits) {
+    return 'delivered';
+  }
+  if (shippedUnits >= totalUnits) {
+    return 'shipped';
+  }
+  return 'partially_shipped';
+};
+
+// Generate unique order number
+// Format: SV-YYMMDD-XXXX (SV = School Vendor, followed by date and sequential number)
+OrderSchema.statics.generateOrderNumber = function() {
+  return nextSequence('order');
 };
 
 module.exports = mongoose.model('Order', OrderSchema);
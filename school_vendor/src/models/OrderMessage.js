@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// File sent with a message
+const MessageAttachmentSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  name: String,
+  mimeType: String,
+  size: Number
+}, { _id: false });
+
+// Who has read a message, and when
+const ReadReceiptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  readAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One message in the conversation between a customer and staff about an order.
+// Staff-only internal notes stay on Order.notes and never appear here.
+const OrderMessageSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Order owner, kept here so unread counts need no join
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  senderRole: {
+    type: String,
+    enum: ['customer', 'staff'],
+    required: true
+  },
+  body: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Message cannot be more than 2000 characters']
+  },
+  attachments: [MessageAttachmentSchema],
+  readBy: [ReadReceiptSchema]
+}, {
+  timestamps: true
+});
+
+OrderMessageSchema.index({ order: 1, createdAt: 1 });
+OrderMessageSchema.index({ senderRole: 1, 'readBy.user': 1 });
+
+// A message needs some text or a file
+OrderMessageSchema.pre('validate', function(next) {
+  if (!this.body && this.attachments.length === 0) {
+    this.invalidate('body', 'Message text or an attachment is required');
+  }
+  next();
+});
+
+// Whether a user has read the message (senders have read their own)
+OrderMessageSchema.methods.isReadBy = function(userId) {
+  return this.sender.toString() === userId.toString() ||
+    this.readBy.some(receipt => receipt.user.toString() === userId.toString());
+};
+
+module.exports = mongoose.model('OrderMessage', OrderMessageSchema);
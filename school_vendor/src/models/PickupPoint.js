@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Opening hours for one day of the week, times as HH:mm in Ghana time (UTC)
+const OpeningHoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number, // 0 = Sunday
+    required: true,
+    min: 0,
+    max: 6
+  },
+  open: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Opening time must be in HH:mm format']
+  },
+  close: {
+    type: String,
+    required: true,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Closing time must be in HH:mm format']
+  }
+}, { _id: false });
+
+const PickupPointSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Pickup point name is required'],
+    trim: true,
+    maxlength: [100, 'Pickup point name cannot be more than 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Pickup point code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    index: true
+  },
+  // Where on campus, e.g. "School store, Block A ground floor"
+  location: {
+    type: String,
+    required: [true, 'Location is required'],
+    trim: true
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Instructions cannot be more than 500 characters']
+  },
+  contactPhone: {
+    type: String,
+    trim: true
+  },
+  openingHours: [OpeningHoursSchema],
+  slotDuration: {
+    type: Number, // in minutes
+    default: 60,
+    min: [15, 'Slots must be at least 15 minutes long']
+  },
+  // Orders that can be collected in one slot
+  slotCapacity: {
+    type: Number,
+    default: 20,
+    min: [1, 'Slot capacity must be at least 1']
+  },
+  // How far ahead of a slot an order must be placed to be ready in time
+  leadTimeHours: {
+    type: Number,
+    default: 24,
+    min: 0
+  },
+  // Charged instead of a delivery cost
+  fee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Fee cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Convert an HH:mm time on a date (YYYY-MM-DD) to a Date
+const atTime = (date, time) => new Date(`${date}T${time}:00.000Z`);
+
+// List the slot start/end times for a date (YYYY-MM-DD)
+PickupPointSchema.methods.getSlotsForDate = function(date) {
+  const dayOfWeek = new Date(`${date}T00:00:00.000Z`).getUTCDay();
+  const step = this.slotDuration * 60 * 1000;
+  const slots = [];
+
+  for (const hours of this.openingHours.filter(h => h.dayOfWeek === dayOfWeek)) {
+    const close = atTime(date, hours.close).getTime();
+
+    for (let start = atTime(date, hours.open).getTime(); start + step <= close; start += step) {
+      slots.push({ start: new Date(start), end: new Date(start + step) });
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+// Find the slot starting at the given time, or null if there is none
+PickupPointSchema.methods.findSlot = function(slotStart) {
+  const start = new Date(slotStart);
+
+  if (Number.isNaN(start.getTime())) {
+    return null;
+  }
+
+  const date = start.toISOString().slice(0, 10);
+  return this.getSlotsForDate(date).find(slot => slot.start.getTime() === start.getTime()) || null;
+};
+
+module.exports = mongoose.model('PickupPoint', PickupPointSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Bookings for one pickup slot, created on the first booking
+const PickupSlotSchema = new mongoose.Schema({
+  pickupPoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupPoint',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: {
+    type: Date,
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+PickupSlotSchema.index({ pickupPoint: 1, start: 1 }, { unique: true });
+
+// Atomically take a place in a slot
+// The capacity guard in the filter means a full slot never matches; the upsert
+// then collides with the unique index, which the caller treats as "full".
+PickupSlotSchema.statics.book = function(pickupPointId, slot, capacity, options = {}) {
+  return this.findOneAndUpdate(
+    { pickupPoint: pickupPointId, start: slot.start, booked: { $lt: capacity } },
+    { $inc: { booked: 1 }, $setOnInsert: { end: slot.end } },
+    { new: true, upsert: true, session: options.session }
+  );
+};
+
+// Atomically give a place back
+PickupSlotSchema.statics.release = function(pickupPointId, start, options = {}) {
+  return this.findOneAndUpdate(
+    { pickupPoint: pickupPointId, start, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { new: true, session: options.session }
+  );
+};
+
+module.exports = mongoose.model('PickupSlot', PickupSlotSchema);
@@ -1,9 +1,11 @@
 const mongoose = require('mongoose');
 
 const StockHistorySchema = new mongoose.Schema({
+  // add/remove/adjust change the on-hand count; reserve/release move units
+  // in and out of the reserved bucket; fulfil ships reserved units out
   action: {
     type: String,
-    enum: ['add', 'remove', 'adjust'],
+    enum: ['add', 'remove', 'adjust', 'reserve', 'release', 'fulfil'],
     required: true
   },
   quantity: {
@@ -18,14 +20,16 @@ const StockHistorySchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  previousReserved: Number,
+  newReserved: Number,
   reason: {
     type: String,
     trim: true
   },
+  // Empty for system actions such as releasing stock from expired orders
   performedBy: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   timestamp: {
     type: Date,
@@ -33,6 +37,20 @@ const StockHistorySchema = new mongoose.Schema({
   }
 });
 
+// One component of a bundle, per bundle sold
+const BundleComponentSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Component quantity must be at least 1']
+  }
+}, { _id: false });
+
 const ProductSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -91,9 +109,26 @@ const ProductSchema = new mongoose.Schema({
   productType: {
     type: String,
     required: [true, 'Product type is required'],
-    enum: ['physical', 'digital', 'both'],
+    enum: ['physical', 'digital', 'both', 'bundle'],
     index: true
   },
+  // Kits sold as one product but stocked and shipped as their components.
+  // Fixed bundles keep their own price; discounted ones take the components'
+  // prices less the discount, worked out again whenever the bundle is saved.
+  bundle: {
+    components: [BundleComponentSchema],
+    pricing: {
+      type: String,
+      enum: ['fixed', 'discount'],
+      default: 'fixed'
+    },
+    discountPercent: {
+      type: Number,
+      default: 0,
+      min: [0, 'Bundle discount cannot be negative'],
+      max: [100, 'Bundle discount cannot be more than 100%']
+    }
+  },
   category: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
@@ -108,6 +143,12 @@ const ProductSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  // Overrides the tax class inherited from the category
+  taxClass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxClass',
+    default: null
+  },
   images: [{
     url: {
       type: String,
@@ -122,14 +163,29 @@ const ProductSchema = new mongoose.Schema({
       default: false
     }
   }],
+  // Units physically on the shelf
   stock: {
     type: Number,
     default: 0,
     min: [0, 'Stock cannot be negative'],
     required: function() {
       return this.productType !== 'digital';
+    },
+    // Units promised to orders cannot be written off by editing the product
+    validate: {
+      validator: function(value) {
+        return typeof this.isModified !== 'function' || !this.isModified('stock') ||
+          value >= (this.reservedStock || 0);
+      },
+      message: 'Stock cannot be set below the units reserved for orders'
     }
   },
+  // Units on the shelf that are promised to orders not yet fulfilled
+  reservedStock: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved stock cannot be negative']
+  },
   lowStockThreshold: {
     type: Number,
     default: 10,
@@ -143,6 +199,16 @@ const ProductSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Selling beyond the shelf: back-orders for items that have run out,
+  // pre-orders for items not released yet. Off unless turned on per product.
+  backorders: {
+    mode: {
+      type: String,
+      enum: ['none', 'backorder', 'preorder'],
+      default: 'none'
+    },
+    expectedRestockDate: Date
+  },
   stockHistory: [StockHistorySchema],
   
   // Digital product specific fields
@@ -267,16 +333,146 @@ ProductSchema.virtual('currentPrice').get(function() {
 // Create index for efficient search
 ProductSchema.index({ name: 'text', description: 'text', tags: 'text' });
 
+// Units that can still be sold (on hand minus reserved)
+ProductSchema.virtual('availableStock').get(function() {
+  return Math.max(0, (this.stock || 0) - (this.reservedStock || 0));
+});
+
+// Whether orders may take more units than are available
+ProductSchema.virtual('acceptsBackorders').get(function() {
+  return !['digital', 'bundle'].includes(this.productType) && this.stockManagement &&
+    ['backorder', 'preorder'].includes(this.backorders?.mode);
+});
+
+// Load a bundle's component products
+// Returns the components with `product` populated; empty for other products.
+ProductSchema.methods.getBundleComponents = async function(options = {}) {
+  if (this.productType !== 'bundle') {
+    return [];
+  }
+  
+  if (!this.populated('bundle.components.product')) {
+    await this.populate({ path: 'bundle.components.product', options: { session: options.session } });
+  }
+  
+  return this.bundle.components.filter(component => component.product);
+};
+
+// Units that can be sold, counting bundles by the kits their components make up
+// heldQuantities maps product IDs to units the caller already holds, which
+// count as available to it. Infinity when stock is not tracked.
+ProductSchema.methods.getAvailableStock = async function(options = {}) {
+  const held = (product) => options.heldQuantities?.get(product._id.toString()) || 0;
+  
+  if (this.productType !== 'bundle') {
+    return this.productType === 'digital' || !this.stockManagement
+      ? Infinity
+      : this.availableStock + held(this);
+  }
+  
+  const components = await this.getBundleComponents(options);
+  
+  if (components.length < this.bundle.components.length) {
+    return 0; // A component has been deleted
+  }
+  
+  return components.reduce((kits, { product, quantity }) => {
+    const available = product.stockManagement ? product.availableStock + held(product) : Infinity;
+    return Math.min(kits, Math.floor(available / quantity));
+  }, Infinity);
+};
+
+// Bundles must be made of existing single products, and discounted ones are
+// re-priced from them
+ProductSchema.pre('validate', async function() {
+  if (this.productType !== 'bundle') {
+    return;
+  }
+  
+  if (this.bundle.components.length === 0) {
+    this.invalidate('bundle.components', 'A bundle needs at least one component');
+    return;
+  }
+  
+  const ids = this.bundle.components.map(component => (component.product._id || component.product).toString());
+  const products = await this.constructor.find({ _id: { $in: ids } });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  
+  if (new Set(ids).size !== ids.length) {
+    this.invalidate('bundle.components', 'Each component can only be listed once');
+    return;
+  }
+  
+  for (const id of ids) {
+    const product = productMap.get(id);
+    
+    if (!product || product.productType === 'bundle' || product.productType === 'digital') {
+      this.invalidate('bundle.components', `Component ${id} must be an existing physical product`);
+      return;
+    }
+  }
+  
+  if (this.bundle.pricing === 'discount') {
+    const total = this.bundle.components.reduce((sum, component) =>
+      sum + productMap.get((component.product._id || component.product).toString()).price * component.quantity, 0);
+    this.price = Math.round(total * (100 - this.bundle.discountPercent)) / 100;
+  }
+});
+
 // Check if product is low on stock before saving
 ProductSchema.pre('save', function(next) {
-  if (this.productType !== 'digital' && this.stockManagement) {
-    this.isLowStock = this.stock <= this.lowStockThreshold;
+  if (!['digital', 'bundle'].includes(this.productType) && this.stockManagement) {
+    this.isLowStock = this.availableStock <= this.lowStockThreshold;
   }
   next();
 });
 
-// Methods for stock management
-ProductSchema.methods.updateStock = async function(quantity, action, reason, userId) {
+// Aggregation expression for on-hand minus reserved, tolerating older
+// documents that predate the reservedStock field
+const AVAILABLE_STOCK_EXPR = {
+  $subtract: ['$stock', { $ifNull: ['$reservedStock', 0] }]
+};
+
+/**
+ * Apply an atomic stock update and record it in the stock history
+ * Returns the updated product, or null when the filter guard did not match.
+ */
+const applyStockChange = async (Model, filter, update, entry, session) => {
+  const product = await Model.findOneAndUpdate(filter, update, { new: true, session });
+  
+  if (!product) {
+    return null;
+  }
+  
+  const reservedStock = product.reservedStock || 0;
+  const stockDelta = entry.stockDelta || 0;
+  const reservedDelta = entry.reservedDelta || 0;
+  
+  await Model.updateOne(
+    { _id: product._id },
+    {
+      $set: { isLowStock: product.stock - reservedStock <= product.lowStockThreshold },
+      $push: {
+        stockHistory: {
+          action: entry.action,
+          quantity: entry.quantity,
+          previousStock: product.stock - stockDelta,
+          newStock: product.stock,
+          previousReserved: reservedStock - reservedDelta,
+          newReserved: reservedStock,
+          reason: entry.reason,
+          performedBy: entry.userId
+        }
+      }
+    },
+    { session }
+  );
+  
+  return product;
+};
+
+// Methods for stock management (on-hand quantity)
+ProductSchema.methods.updateStock = async function(quantity, action, reason, userId, session) {
   if (this.productType === 'digital') {
     return true; // Digital products don't need stock management
   }
@@ -285,48 +481,156 @@ ProductSchema.methods.updateStock = async function(quantity, action, reason, use
     return true; // Stock management is disabled
   }
   
-  const previousStock = this.stock;
-  let newStock;
+  const Model = this.constructor;
+  let filter;
+  let update;
+  let stockDelta;
   
   switch (action) {
     case 'add':
-      newStock = previousStock + quantity;
+      filter = { _id: this._id };
+      update = { $inc: { stock: quantity } };
+      stockDelta = quantity;
       break;
     case 'remove':
-      newStock = previousStock - quantity;
-      if (newStock < 0) {
-        throw new Error('Insufficient stock');
-      }
+      // Reserved units belong to orders and cannot be written off here
+      filter = { _id: this._id, $expr: { $gte: [AVAILABLE_STOCK_EXPR, quantity] } };
+      update = { $inc: { stock: -quantity } };
+      stockDelta = -quantity;
       break;
-    case 'adjust':
-      newStock = quantity;
+    case 'adjust': {
+      if (quantity < 0) {
+        throw new Error('Stock cannot be negative');
+      }
+      const current = await Model.findById(this._id, 'stock', { session });
+      filter = {
+        _id: this._id,
+        stock: current ? current.stock : this.stock,
+        $expr: { $lte: [{ $ifNull: ['$reservedStock', 0] }, quantity] }
+      };
+      update = { $set: { stock: quantity } };
+      stockDelta = quantity - (current ? current.stock : this.stock);
       break;
+    }
     default:
       throw new Error('Invalid stock action');
   }
   
-  // Update stock history
-  this.stockHistory.push({
+  const product = await applyStockChange(Model, filter, update, {
     action,
     quantity,
-    previousStock,
-    newStock,
+    stockDelta,
     reason,
-    performedBy: userId
-  });
+    userId
+  }, session);
+  
+  if (!product) {
+    throw new Error(action === 'adjust'
+      ? 'Stock changed or is below the reserved quantity, please retry'
+      : 'Insufficient stock');
+  }
   
-  // Update current stock
-  this.stock = newStock;
-  this.isLowStock = newStock <= this.lowStockThreshold;
+  // Keep this document in step with the stored values
+  this.stock = product.stock;
+  this.reservedStock = product.reservedStock;
+  this.isLowStock = product.availableStock <= this.lowStockThreshold;
   
-  await this.save();
   return true;
 };
 
+// Atomically reserve available stock for an order line
+// The availability guard in the filter means two concurrent checkouts can
+// never both take the last units; a null result means the guard failed.
+ProductSchema.statics.reserveStock = async function(productId, quantity, options = {}) {
+  const { session, userId, reason = 'Reserved for order' } = options;
+  
+  const product = await applyStockChange(
+    this,
+    {
+      _id: productId,
+      stockManagement: { $ne: false },
+      $expr: { $gte: [AVAILABLE_STOCK_EXPR, quantity] }
+    },
+    { $inc: { reservedStock: quantity } },
+    { action: 'reserve', quantity, reservedDelta: quantity, reason, userId },
+    session
+  );
+  
+  if (!product) {
+    const existing = await this.findById(productId, null, { session });
+    
+    if (!existing) {
+      throw new Error(`Product with ID ${productId} not found`);
+    }
+    
+    // Nothing to reserve when stock is not tracked
+    if (!existing.stockManagement || existing.productType === 'digital') {
+      return existing;
+    }
+    
+    throw new Error(`Insufficient stock for ${existing.name}. Available: ${existing.availableStock}`);
+  }
+  
+  return product;
+};
+
+// Atomically give back a reservation made by reserveStock
+ProductSchema.statics.releaseStock = async function(productId, quantity, options = {}) {
+  const { session, userId, reason = 'Restored from cancelled order' } = options;
+  
+  // Deleted products and untracked stock have nothing to restore
+  return applyStockChange(
+    this,
+    {
+      _id: productId,
+      stockManagement: { $ne: false },
+      productType: { $ne: 'digital' },
+      reservedStock: { $gte: quantity }
+    },
+    { $inc: { reservedStock: -quantity } },
+    { action: 'release', quantity, reservedDelta: -quantity, reason, userId },
+    session
+  );
+};
+
+// Atomically take reserved units off the shelf when an order is fulfilled
+ProductSchema.statics.fulfilStock = async function(productId, quantity, options = {}) {
+  const { session, userId, reason = 'Fulfilled order' } = options;
+  
+  return applyStockChange(
+    this,
+    {
+      _id: productId,
+      stockManagement: { $ne: false },
+      productType: { $ne: 'digital' },
+      reservedStock: { $gte: quantity },
+      stock: { $gte: quantity }
+    },
+    { $inc: { stock: -quantity, reservedStock: -quantity } },
+    { action: 'fulfil', quantity, stockDelta: -quantity, reservedDelta: -quantity, reason, userId },
+    session
+  );
+};
+
+// Re-price the discounted bundles that contain a product
+ProductSchema.statics.refreshBundlePrices = async function(productId) {
+  const bundles = await this.find({
+    productType: 'bundle',
+    'bundle.pricing': 'discount',
+    'bundle.components.product': productId
+  });
+  
+  for (const bundle of bundles) {
+    await bundle.save();
+  }
+  
+  return bundles.length;
+};
+
 // Static method to get low stock products
 ProductSchema.statics.getLowStockProducts = function() {
   return this.find({
-    productType: { $ne: 'digital' },
+    productType: { $nin: ['digital', 'bundle'] },
     stockManagement: true,
     isLowStock: true
   }).sort({ stock: 1 });
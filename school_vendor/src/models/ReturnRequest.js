@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { nextSequence } = require('../services/sequenceService');
+
+// Units of one order item being returned
+const ReturnItemSchema = new mongoose.Schema({
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // What the customer paid per unit after discount, including tax
+  unitAmount: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['wrong_size', 'damaged', 'defective', 'wrong_item', 'not_as_described', 'other'],
+    required: true
+  },
+  // Set on receipt: units that came back and how many went back on the shelf
+  receivedQuantity: {
+    type: Number,
+    default: 0
+  },
+  restockedQuantity: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+// Status history schema for tracking return status changes
+const ReturnStatusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  },
+  note: String,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
+const ReturnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  items: [ReturnItemSchema],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot be more than 1000 characters']
+  },
+  photos: [{
+    type: String // URL under /uploads/returns
+  }],
+  // What the customer would like; the admin picks the actual outcome on receipt
+  preferredOutcome: {
+    type: String,
+    enum: ['refund', 'exchange', 'store_credit'],
+    default: 'refund'
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'received', 'completed', 'cancelled'],
+    default: 'requested',
+    index: true
+  },
+  outcome: {
+    type: {
+      type: String,
+      enum: ['refund', 'exchange', 'store_credit']
+    },
+    amount: Number,
+    // Replacement order created for exchanges
+    exchangeOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    processedAt: Date
+  },
+  adminNote: String,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when the goods are back in stock, before the outcome is settled
+  receivedAt: Date,
+  statusHistory: [ReturnStatusHistorySchema]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Value of the items requested for return
+ReturnRequestSchema.virtual('requestedAmount').get(function() {
+  return Math.round(this.items.reduce((sum, item) => sum + item.unitAmount * item.quantity, 0) * 100) / 100;
+});
+
+// Change status and record it in the history
+ReturnRequestSchema.methods.updateStatus = async function(newStatus, note, userId, options = {}) {
+  this.status = newStatus;
+  this.statusHistory.push({
+    status: newStatus,
+    timestamp: Date.now(),
+    note: note || `Return ${newStatus}`,
+    updatedBy: userId
+  });
+
+  await this.save(options);
+  return this;
+};
+
+// Generate unique RMA number
+// Format: RMA-YYMMDD-XXXX, from the shared sequence counters
+ReturnRequestSchema.statics.generateRmaNumber = function() {
+  return nextSequence('rma');
+};
+
+module.exports = mongoose.model('ReturnRequest', ReturnRequestSchema);
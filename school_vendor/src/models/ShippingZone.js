@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+
+// Price for parcels up to a given chargeable weight
+const WeightBracketSchema = new mongoose.Schema({
+  maxWeight: {
+    type: Number, // in kg
+    required: true,
+    min: [0, 'Bracket weight cannot be negative']
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [0, 'Bracket rate cannot be negative']
+  }
+}, { _id: false });
+
+// One delivery option within a zone
+const ShippingMethodRateSchema = new mongoose.Schema({
+  method: {
+    type: String,
+    enum: ['standard', 'express', 'pickup'],
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true
+  },
+  baseRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Base rate cannot be negative']
+  },
+  // Brackets are matched on the lowest maxWeight that covers the parcel
+  weightBrackets: [WeightBracketSchema],
+  // Charged per started kg above the heaviest bracket
+  additionalPerKg: {
+    type: Number,
+    default: 0,
+    min: [0, 'Additional rate cannot be negative']
+  },
+  // Item subtotal (before discounts) at which this method becomes free, 0 for never
+  freeShippingThreshold: {
+    type: Number,
+    default: 0,
+    min: [0, 'Free shipping threshold cannot be negative']
+  },
+  estimatedDays: {
+    min: {
+      type: Number,
+      default: 1
+    },
+    max: {
+      type: Number,
+      default: 3
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const ShippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [50, 'Zone name cannot be more than 50 characters']
+  },
+  // Ghana regions, matched against shipping.address.state
+  regions: [{
+    type: String,
+    trim: true
+  }],
+  // Cities take precedence over regions, matched against shipping.address.city
+  cities: [{
+    type: String,
+    trim: true
+  }],
+  // Used when no other zone matches the address
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  rates: [ShippingMethodRateSchema],
+  // Surcharge per unit for products with these shipping classes
+  classSurcharges: {
+    oversized: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    fragile: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    express: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  // cm³ per kg used to turn dimensions into volumetric weight
+  volumetricDivisor: {
+    type: Number,
+    default: 5000,
+    min: [1, 'Volumetric divisor must be at least 1']
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+ShippingZoneSchema.index({ regions: 1 });
+ShippingZoneSchema.index({ cities: 1 });
+
+// Only one zone can be the default
+ShippingZoneSchema.pre('save', async function(next) {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+  next();
+});
+
+// Find the zone for an address: city match, then region match, then default
+ShippingZoneSchema.statics.findForAddress = async function(address = {}) {
+  const exact = value => new RegExp(`^${String(value).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+  if (address.city) {
+    const zone = await this.findOne({ isActive: true, cities: exact(address.city) });
+    if (zone) return zone;
+  }
+
+  if (address.state) {
+    const zone = await this.findOne({ isActive: true, regions: exact(address.state) });
+    if (zone) return zone;
+  }
+
+  return this.findOne({ isActive: true, isDefault: true });
+};
+
+// Price one shipping method for a parcel
+// parcel: { chargeableWeight, surcharge, subtotal }
+ShippingZoneSchema.methods.calculateRate = function(rate, parcel) {
+  if (rate.freeShippingThreshold > 0 && parcel.subtotal >= rate.freeShippingThreshold) {
+    return 0;
+  }
+
+  const brackets = [...rate.weightBrackets].sort((a, b) => a.maxWeight - b.maxWeight);
+  let weightCharge = 0;
+
+  if (brackets.length > 0) {
+    const bracket = brackets.find(b => parcel.chargeableWeight <= b.maxWeight);
+
+    if (bracket) {
+      weightCharge = bracket.rate;
+    } else {
+      const heaviest = brackets[brackets.length - 1];
+      const extraKg = Math.ceil(parcel.chargeableWeight - heaviest.maxWeight);
+      weightCharge = heaviest.rate + extraKg * rate.additionalPerKg;
+    }
+  } else {
+    weightCharge = Math.ceil(parcel.chargeableWeight) * rate.additionalPerKg;
+  }
+
+  return Math.round((rate.baseRate + weightCharge + parcel.surcharge) * 100) / 100;
+};
+
+module.exports = mongoose.model('ShippingZone', ShippingZoneSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// A customer's request to hear when an out-of-stock product is back.
+// One per customer and product; it stays until the customer unsubscribes.
+const StockAlertSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Email at the time of subscribing, so the alert can go out without a join
+  email: {
+    type: String,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+StockAlertSchema.index({ product: 1, user: 1 }, { unique: true });
+StockAlertSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StockAlert', StockAlertSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// One book or supply a school asks every pupil in the grade to bring
+const SupplyListItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Quantity must be at least 1']
+  },
+  required: {
+    type: Boolean,
+    default: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot be more than 200 characters']
+  }
+}, { _id: false });
+
+// The official book and supply list for a grade in one term
+const SupplyListSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  // Matches User.grade
+  grade: {
+    type: String,
+    required: [true, 'Grade is required'],
+    trim: true
+  },
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    match: [/^\d{4}\/\d{4}$/, 'Academic year must look like 2025/2026']
+  },
+  term: {
+    type: Number,
+    required: [true, 'Term is required'],
+    min: 1,
+    max: 3
+  },
+  items: {
+    type: [SupplyListItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A supply list needs at least one item'
+    }
+  },
+  // Orders placed from this date count as bought for the list; all orders when empty
+  purchasesFrom: Date,
+  isPublished: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+SupplyListSchema.index({ grade: 1, academicYear: 1, term: 1 }, { unique: true });
+
+module.exports = mongoose.model('SupplyList', SupplyListSchema);
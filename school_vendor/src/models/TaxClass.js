@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// One levy within a tax class, e.g. VAT, NHIL or GETFund
+const TaxComponentSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax component name is required'],
+    trim: true
+  },
+  code: {
+    type: String,
+    required: [true, 'Tax component code is required'],
+    uppercase: true,
+    trim: true
+  },
+  rate: {
+    type: Number, // percentage, e.g. 2.5 for 2.5%
+    required: [true, 'Tax rate is required'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot be more than 100']
+  },
+  // Which kind of goods the levy is charged on
+  appliesTo: {
+    type: String,
+    enum: ['all', 'physical', 'digital'],
+    default: 'all'
+  },
+  // Compound levies are charged on the price plus the non-compound levies,
+  // the way VAT is charged on top of NHIL and GETFund
+  compound: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+const TaxClassSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tax class name is required'],
+    trim: true,
+    maxlength: [50, 'Tax class name cannot be more than 50 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Tax class code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    index: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot be more than 500 characters']
+  },
+  // An exempt class (e.g. educational materials) simply has no components
+  components: [TaxComponentSchema],
+  // Used for products whose product and categories have no tax class
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Only one tax class can be the default
+TaxClassSchema.pre('save', async function(next) {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await this.constructor.updateMany(
+      { _id: { $ne: this._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+  next();
+});
+
+// Work out the levies for one line
+// Returns each component's amount rounded to the pesewa, plus their total.
+TaxClassSchema.methods.calculateTax = function(taxableAmount, productType) {
+  const goodsType = productType === 'digital' ? 'digital' : 'physical';
+  const components = this.components.filter(component =>
+    component.appliesTo === 'all' || component.appliesTo === goodsType);
+
+  const round = value => Math.round(value * 100) / 100;
+  const taxes = [];
+  let simpleTotal = 0;
+
+  for (const component of components.filter(c => !c.compound)) {
+    const amount = round(taxableAmount * component.rate / 100);
+    simpleTotal += amount;
+    taxes.push({ code: component.code, name: component.name, rate: component.rate, amount });
+  }
+
+  for (const component of components.filter(c => c.compound)) {
+    const amount = round((taxableAmount + simpleTotal) * component.rate / 100);
+    taxes.push({ code: component.code, name: component.name, rate: component.rate, amount });
+  }
+
+  return {
+    taxes,
+    taxAmount: round(taxes.reduce((sum, tax) => sum + tax.amount, 0))
+  };
+};
+
+module.exports = mongoose.model('TaxClass', TaxClassSchema);
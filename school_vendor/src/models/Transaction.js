@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { nextSequence } = require('../services/sequenceService');
 
 // Status history for tracking changes in transaction status
 const TransactionStatusHistorySchema = new mongoose.Schema({
@@ -289,7 +290,8 @@ TransactionSchema.methods.addRefund = async function(amount, reason, userId) {
     reason,
     processedBy: userId,
     status: 'pending',
-    refundDate: Date.now()
+    refundDate: Date.now(),
+    refundReference: await nextSequence('refund')
   };
   
   this.refunds.push(refund);
@@ -337,13 +339,30 @@ TransactionSchema.methods.verifyTransaction = async function(method, details, us
   return true;
 };
 
-// Generate transaction ID based on payment method and timestamp
+// Expire the order's previous payment attempt when a new one replaces it.
+// Only a transaction that is still open is touched; settled ones keep their status.
+TransactionSchema.statics.expireSuperseded = async function(order, transactionId, userId) {
+  const previousId = order.payment.transactionId;
+
+  if (!previousId || previousId === transactionId) {
+    return false;
+  }
+
+  const previous = await this.findOne({
+    transactionId: previousId,
+    status: { $in: ['initiated', 'pending', 'processing'] }
+  });
+
+  if (!previous) {
+    return false;
+  }
+
+  return previous.updateStatus('expired', `Superseded by transaction ${transactionId}`, userId);
+};
+
+// Generate transaction ID based on payment method and date
 TransactionSchema.statics.generateTransactionId = function(paymentMethod) {
-  const prefix = paymentMethod.substring(0, 3).toUpperCase();
-  const timestamp = Date.now().toString();
-  const randomStr = Math.random().toString(36).substring(2, 6).toUpperCase();
-  
-  return `${prefix}-${timestamp.substring(timestamp.length - 8)}-${randomStr}`;
+  return nextSequence('transaction', { prefix: paymentMethod.substring(0, 3).toUpperCase() });
 };
 
 module.exports = mongoose.model('Transaction', TransactionSchema);
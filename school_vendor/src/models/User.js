@@ -86,6 +86,12 @@ const UserSchema = new mongoose.Schema({
       enum: ['father', 'mother', 'guardian', 'other']
     }
   },
+  // Balance issued from returns, in GHS
+  storeCredit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Store credit cannot be negative']
+  },
   resetPasswordToken: String,
   resetPasswordExpire: Date,
   createdAt: {
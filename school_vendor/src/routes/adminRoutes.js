@@ -0,0 +1,157 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const orderController = require('../controllers/orderController');
+const couponController = require('../controllers/couponController');
+const taxClassController = require('../controllers/taxClassController');
+const shippingController = require('../controllers/shippingController');
+const pickupController = require('../controllers/pickupController');
+const returnController = require('../controllers/returnController');
+const orderMessageController = require('../controllers/orderMessageController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// All admin routes require an authenticated admin
+router.use(protect, authorize('admin'));
+
+// Dashboard
+router.get('/dashboard', adminController.getDashboardStats);
+
+// Inventory management
+router.get('/products/low-stock', adminController.getLowStockProducts);
+
+router.post(
+  '/products',
+  validate.product.create,
+  adminController.createProduct
+);
+
+router.put(
+  '/products/:id',
+  validate.product.update,
+  adminController.updateProduct
+);
+
+router.delete('/products/:id', adminController.deleteProduct);
+
+// User management
+router.get('/users', adminController.getAllUsers);
+router.get('/users/:id', adminController.getUserById);
+router.put('/users/:id', adminController.updateUser);
+router.delete('/users/:id', adminController.deleteUser);
+
+// Order management
+router.get('/orders', orderController.getAllOrders);
+router.get('/orders/analytics', orderController.getOrderAnalytics);
+router.get('/orders/export', orderController.exportOrders);
+router.get('/orders/count', orderController.getOrderCountByStatus);
+router.put('/orders/bulk/status', orderController.bulkUpdateOrderStatus);
+
+router.put(
+  '/orders/:id/status',
+  validate.order.updateStatus,
+  orderController.updateOrderStatus
+);
+
+// Staff-only order notes, kept apart from the customer message thread
+router.get('/orders/:id/notes', orderMessageController.getInternalNotes);
+
+router.post(
+  '/orders/:id/notes',
+  validate.order.internalNote,
+  orderMessageController.addInternalNote
+);
+
+// Coupon management
+router.get('/coupons', couponController.getAllCoupons);
+router.get('/coupons/:id', couponController.getCouponById);
+
+router.post(
+  '/coupons',
+  validate.coupon.create,
+  couponController.createCoupon
+);
+
+router.put(
+  '/coupons/:id',
+  validate.coupon.update,
+  couponController.updateCoupon
+);
+
+router.delete('/coupons/:id', couponController.deleteCoupon);
+
+// Tax classes
+router.get('/tax-classes', taxClassController.getAllTaxClasses);
+router.get('/tax-classes/:id', taxClassController.getTaxClassById);
+
+router.post(
+  '/tax-classes',
+  validate.taxClass.create,
+  taxClassController.createTaxClass
+);
+
+router.put(
+  '/tax-classes/:id',
+  validate.taxClass.update,
+  taxClassController.updateTaxClass
+);
+
+router.delete('/tax-classes/:id', taxClassController.deleteTaxClass);
+
+// Shipping zones
+router.get('/shipping-zones', shippingController.getAllShippingZones);
+router.get('/shipping-zones/:id', shippingController.getShippingZoneById);
+
+router.post(
+  '/shipping-zones',
+  validate.shippingZone.create,
+  shippingController.createShippingZone
+);
+
+router.put(
+  '/shipping-zones/:id',
+  validate.shippingZone.update,
+  shippingController.updateShippingZone
+);
+
+router.delete('/shipping-zones/:id', shippingController.deleteShippingZone);
+
+// Pickup points and handover
+router.get('/pickup-points', pickupController.getAllPickupPoints);
+
+router.post(
+  '/pickup-points',
+  validate.pickup.createPoint,
+  pickupController.createPickupPoint
+);
+
+router.put(
+  '/pickup-points/:id',
+  validate.pickup.updatePoint,
+  pickupController.updatePickupPoint
+);
+
+router.delete('/pickup-points/:id', pickupController.deletePickupPoint);
+
+router.post(
+  '/pickups/verify',
+  validate.pickup.verify,
+  pickupController.verifyPickup
+);
+
+// Returns
+router.get('/returns', returnController.getAllReturns);
+
+router.put(
+  '/returns/:id/review',
+  validate.returns.review,
+  returnController.reviewReturn
+);
+
+router.put(
+  '/returns/:id/receive',
+  validate.returns.receive,
+  returnController.receiveReturn
+);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const cartController = require('../controllers/cartController');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Guest and signed-in routes; guests send their cart token in X-Cart-Token
+router.get('/', optionalAuth, cartController.getCart);
+router.delete('/', optionalAuth, cartController.clearCart);
+
+router.post(
+  '/items',
+  optionalAuth,
+  validate.cart.addItem,
+  cartController.addCartItem
+);
+
+router.put(
+  '/items/:itemId',
+  optionalAuth,
+  validate.cart.updateItem,
+  cartController.updateCartItem
+);
+
+router.delete('/items/:itemId', optionalAuth, cartController.removeCartItem);
+
+// Signed-in routes
+router.post(
+  '/merge',
+  protect,
+  validate.cart.merge,
+  cartController.mergeCart
+);
+
+router.post(
+  '/checkout',
+  protect,
+  validate.cart.checkout,
+  cartController.checkoutCart
+);
+
+module.exports = router;
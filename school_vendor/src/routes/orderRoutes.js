@@ -1,136 +1,180 @@
 const express = require('express');
 const router = express.Router();
+const orderController = require('../controllers/orderController');
+const orderMessageController = require('../controllers/orderMessageController');
+const { protect, authorize, orderLookupLimiter } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { documentUpload } = require('../middleware/upload');
 
-/**
- * @route   POST /api/orders
- * @desc    Create a new order
- * @access  Private
- */
-router.post('/', (req, res) => {
-  try {
-    // TODO: Implement order creation logic
-    res.status(201).json({
-      message: 'Order created successfully',
-      order: {
-        id: 'ord-' + Date.now(),
-        // Other order details
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to create order', error: error.message });
-  }
-});
-
-/**
- * @route   GET /api/orders/:id
- * @desc    Get order by ID
- * @access  Private
- */
-router.get('/:id', (req, res) => {
-  try {
-    const orderId = req.params.id;
-    // TODO: Implement order retrieval logic
-    res.status(200).json({
-      message: 'Order retrieved successfully',
-      order: {
-        id: orderId,
-        // Other order details
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to retrieve order', error: error.message });
-  }
-});
-
-/**
- * @route   GET /api/orders
- * @desc    Get user's order history
- * @access  Private
- */
-router.get('/', (req, res) => {
-  try {
-    // TODO: Implement order history retrieval logic
-    res.status(200).json({
-      message: 'Order history retrieved',
-      orders: []
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to retrieve order history', error: error.message });
-  }
-});
-
-/**
- * @route   GET /api/orders/:id/track
- * @desc    Track order status and shipping
- * @access  Private
- */
-router.get('/:id/track', (req, res) => {
-  try {
-    const orderId = req.params.id;
-    // TODO: Implement order tracking logic
-    res.status(200).json({
-      message: 'Order tracking information retrieved',
-      tracking: {
-        orderId,
-        status: 'processing', // or 'shipped', 'delivered', etc.
-        shippingInfo: {
-          carrier: 'Example Carrier',
-          trackingNumber: 'TRK123456789',
-          estimatedDelivery: '2025-05-25'
-        },
-        history: [
-          {
-            status: 'order_placed',
-            timestamp: '2025-05-18T19:00:00Z',
-            description: 'Order has been received'
-          },
-          {
-            status: 'processing',
-            timestamp: '2025-05-19T10:00:00Z',
-            description: 'Order is being processed'
-          }
-        ]
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to retrieve tracking information', error: error.message });
-  }
-});
-
-/**
- * @route   PUT /api/orders/:id/cancel
- * @desc    Cancel an order
- * @access  Private
- */
-router.put('/:id/cancel', (req, res) => {
-  try {
-    const orderId = req.params.id;
-    // TODO: Implement order cancellation logic
-    res.status(200).json({
-      message: 'Order cancelled successfully',
-      orderId
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to cancel order', error: error.message });
-  }
-});
-
-/**
- * @route   GET /api/orders/digital
- * @desc    Get user's digital orders
- * @access  Private
- */
-router.get('/digital', (req, res) => {
-  try {
-    // TODO: Implement digital orders retrieval logic
-    res.status(200).json({
-      message: 'Digital orders retrieved',
-      orders: []
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to retrieve digital orders', error: error.message });
-  }
-});
+// Customer routes
+router.post(
+  '/',
+  protect,
+  validate.order.create,
+  orderController.createOrder
+);
 
-module.exports = router;
+router.post(
+  '/quote',
+  protect,
+  validate.order.quote,
+  orderController.getOrderQuote
+);
+
+// Public order tracking by order number and email
+router.post(
+  '/track',
+  orderLookupLimiter,
+  validate.order.track,
+  orderController.trackOrderByNumber
+);
+
+router.get('/', protect, orderController.getUserOrders);
+router.get('/digital', protect, orderController.getDigitalOrders);
+router.get('/messages/unread', protect, orderMessageController.getUnreadMessageCounts);
+
+// Admin routes (declared before /:id so the static paths are matched first).
+// The same handlers are also mounted under /api/admin/orders.
+router.get(
+  '/all',
+  protect,
+  authorize('admin'),
+  orderController.getAllOrders
+);
+
+router.get(
+  '/analytics',
+  protect,
+  authorize('admin'),
+  orderController.getOrderAnalytics
+);
+
+router.get(
+  '/export',
+  protect,
+  authorize('admin'),
+  orderController.exportOrders
+);
+
+router.get(
+  '/count',
+  protect,
+  authorize('admin'),
+  orderController.getOrderCountByStatus
+);
+
+router.put(
+  '/bulk/status',
+  protect,
+  authorize('admin'),
+  orderController.bulkUpdateOrderStatus
+);
+
+// Single order routes
+router.get('/:id', protect, orderController.getOrderById);
+router.get('/:id/track', protect, orderController.getOrderTracking);
+router.get('/:id/shipments/:shipmentId/track', protect, orderController.getOrderTracking);
+
+router.put(
+  '/:id',
+  protect,
+  validate.order.update,
+  orderController.updateOrder
+);
+
+router.post(
+  '/:id/reorder',
+  protect,
+  validate.order.reorder,
+  orderController.reorder
+);
+
+router.post(
+  '/:id/reorder/confirm',
+  protect,
+  validate.order.confirmReorder,
+  orderController.confirmOrderReorder
+);
+
+router.put(
+  '/:id/cancel',
+  protect,
+  validate.order.cancelOrder,
+  orderController.cancelOrder
+);
+
+// Conversation with staff about an order
+router.get('/:id/messages', protect, orderMessageController.getOrderMessages);
 
+router.post(
+  '/:id/messages',
+  protect,
+  documentUpload,
+  validate.order.message,
+  orderMessageController.sendOrderMessage
+);
+
+router.put('/:id/messages/read', protect, orderMessageController.markOrderMessagesRead);
+
+router.post('/:id/payment', protect, orderController.processPayment);
+
+// Marking an order paid without a gateway callback is a staff decision
+router.post('/:id/verify-payment', protect, authorize('admin'), orderController.verifyPayment);
+
+router.get(
+  '/:orderId/download/:itemId',
+  protect,
+  orderController.downloadDigitalProduct
+);
+
+router.get('/:id/documents', protect, orderController.getOrderDocumentList);
+router.get('/:id/documents/:type', protect, orderController.downloadOrderDocument);
+
+router.put(
+  '/:id/status',
+  protect,
+  authorize('admin'),
+  validate.order.updateStatus,
+  orderController.updateOrderStatus
+);
+
+router.put(
+  '/:id/tracking',
+  protect,
+  authorize('admin'),
+  validate.order.updateTracking,
+  orderController.addTrackingInfo
+);
+
+router.post(
+  '/:id/shipments',
+  protect,
+  authorize('admin'),
+  validate.order.createShipment,
+  orderController.createOrderShipment
+);
+
+router.put(
+  '/:id/shipments/:shipmentId/tracking',
+  protect,
+  authorize('admin'),
+  validate.order.updateTracking,
+  orderController.addTrackingInfo
+);
+
+router.put(
+  '/:id/shipments/:shipmentId/status',
+  protect,
+  authorize('admin'),
+  validate.order.updateShipmentStatus,
+  orderController.updateShipmentStatus
+);
+
+router.post(
+  '/:id/refund',
+  protect,
+  authorize('admin'),
+  orderController.processRefund
+);
+
+module.exports = router;
@@ -1,236 +1,64 @@
 const express = require('express');
 const router = express.Router();
+const paymentController = require('../controllers/paymentController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
-// Middleware to verify payment requests
-const verifyPaymentRequest = (req, res, next) => {
-  // TODO: Implement proper payment request verification
-  // This should validate the order, amount, and other details
-  next();
-};
+// Public routes
+router.get('/methods', paymentController.getPaymentMethods);
 
-/**
- * @route   POST /api/payments/initialize
- * @desc    Initialize payment process
- * @access  Private
- */
-router.post('/initialize', verifyPaymentRequest, (req, res) => {
-  try {
-    const { orderId, amount, paymentMethod } = req.body;
-    
-    if (!orderId || !amount || !paymentMethod) {
-      return res.status(400).json({ 
-        message: 'Missing required fields', 
-        required: ['orderId', 'amount', 'paymentMethod'] 
-      });
-    }
-    
-    // TODO: Implement payment initialization based on method
-    let paymentResponse;
-    
-    switch (paymentMethod) {
-      case 'expresspay':
-        paymentResponse = initializeExpressPay(orderId, amount);
-        break;
-      case 'mobile_money':
-        paymentResponse = initializeMobileMoney(orderId, amount);
-        break;
-      case 'hubtel':
-        paymentResponse = initializeHubtel(orderId, amount);
-        break;
-      case 'bank_transfer':
-        paymentResponse = initializeBankTransfer(orderId, amount);
-        break;
-      case 'western_union':
-        paymentResponse = initializeWesternUnion(orderId, amount);
-        break;
-      default:
-        return res.status(400).json({ message: 'Invalid payment method' });
-    }
-    
-    res.status(200).json({
-      message: 'Payment initialized',
-      paymentId: 'pay-' + Date.now(),
-      redirectUrl: paymentResponse?.redirectUrl || '',
-      reference: paymentResponse?.reference || '',
-      // Other payment details
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Payment initialization failed', error: error.message });
-  }
-});
+// Webhook routes (public; each handler rejects requests without a valid HMAC signature)
+router.post('/webhook/expresspay', paymentController.expressPayWebhook);
+router.post('/webhook/mobile_money', paymentController.mobileMoneyWebhook);
+router.post('/webhook/hubtel', paymentController.hubtelWebhook);
 
-// Placeholder payment initialization functions
-function initializeExpressPay(orderId, amount) {
-  // TODO: Implement ExpressPay initialization
-  return { redirectUrl: '/payment/expresspay/redirect', reference: 'EXP' + Date.now() };
-}
+// Customer routes
+router.post(
+  '/initialize',
+  protect,
+  validate.payment.initialize,
+  paymentController.initializePayment
+);
 
-function initializeMobileMoney(orderId, amount) {
-  // TODO: Implement Mobile Money initialization
-  return { redirectUrl: '/payment/mobile-money/redirect', reference: 'MM' + Date.now() };
-}
+router.post(
+  '/mobile-money/:transactionId',
+  protect,
+  validate.payment.mobileMoney,
+  paymentController.processMobileMoneyDetails
+);
 
-function initializeHubtel(orderId, amount) {
-  // TODO: Implement Hubtel initialization
-  return { redirectUrl: '/payment/hubtel/redirect', reference: 'HUB' + Date.now() };
-}
+router.post(
+  '/verify/:transactionId',
+  protect,
+  validate.payment.verify,
+  paymentController.verifyManualPayment
+);
 
-function initializeBankTransfer(orderId, amount) {
-  // TODO: Implement Bank Transfer initialization
-  return { 
-    reference: 'BT' + Date.now(),
-    accountDetails: {
-      bankName: 'School Vendor Bank',
-      accountNumber: '1234567890',
-      accountName: 'School Vendor Account'
-    }
-  };
-}
+router.get('/transactions', protect, paymentController.getTransactionHistory);
+router.get('/:transactionId/status', protect, paymentController.checkPaymentStatus);
 
-function initializeWesternUnion(orderId, amount) {
-  // TODO: Implement Western Union initialization
-  return { 
-    reference: 'WU' + Date.now(),
-    recipientDetails: {
-      name: 'School Vendor',
-      location: 'School Address',
-      mtcn: 'Will be provided after payment'
-    }
-  };
-}
+// Admin routes
+router.get(
+  '/analytics',
+  protect,
+  authorize('admin'),
+  paymentController.getPaymentAnalytics
+);
 
-/**
- * @route   GET /api/payments/:paymentId/status
- * @desc    Check payment status
- * @access  Private
- */
-router.get('/:paymentId/status', (req, res) => {
-  try {
-    const paymentId = req.params.paymentId;
-    
-    // TODO: Implement payment status check
-    
-    res.status(200).json({
-      message: 'Payment status retrieved',
-      paymentId,
-      status: 'pending', // or 'completed', 'failed', etc.
-      // Other payment details
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to retrieve payment status', error: error.message });
-  }
-});
+router.post(
+  '/admin-verify/:transactionId',
+  protect,
+  authorize('admin'),
+  validate.payment.adminVerify,
+  paymentController.adminVerifyPayment
+);
 
-/**
- * @route   POST /api/payments/verify
- * @desc    Verify payment manually (for bank transfers, Western Union)
- * @access  Private (Admin)
- */
-router.post('/verify', (req, res) => {
-  try {
-    const { paymentId, reference, receiptNumber } = req.body;
-    
-    if (!paymentId || !reference) {
-      return res.status(400).json({ 
-        message: 'Missing required fields', 
-        required: ['paymentId', 'reference'] 
-      });
-    }
-    
-    // TODO: Implement manual payment verification
-    
-    res.status(200).json({
-      message: 'Payment verified successfully',
-      paymentId,
-      status: 'completed'
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Payment verification failed', error: error.message });
-  }
-});
-
-/**
- * @route   GET /api/payments/transactions
- * @desc    Get user's transaction history
- * @access  Private
- */
-router.get('/transactions', (req, res) => {
-  try {
-    // TODO: Implement transaction history retrieval
-    
-    res.status(200).json({
-      message: 'Transaction history retrieved',
-      transactions: []
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to retrieve transaction history', error: error.message });
-  }
-});
-
-/**
- * @route   POST /api/payments/webhook/:provider
- * @desc    Webhook handlers for payment notifications
- * @access  Public (but secured with secret verification)
- */
-router.post('/webhook/:provider', (req, res) => {
-  try {
-    const provider = req.params.provider;
-    
-    // Verify webhook signature/authentication
-    // TODO: Implement proper webhook signature verification for each provider
-    
-    // Process the webhook based on the provider
-    switch (provider) {
-      case 'expresspay':
-        // Handle ExpressPay webhook
-        break;
-      case 'mobile_money':
-        // Handle Mobile Money webhook
-        break;
-      case 'hubtel':
-        // Handle Hubtel webhook
-        break;
-      default:
-        return res.status(400).json({ message: 'Invalid payment provider' });
-    }
-    
-    // Always return a 200 response to webhooks
-    res.status(200).json({ message: 'Webhook received' });
-  } catch (error) {
-    console.error('Webhook processing error:', error);
-    // Still return 200 to prevent retries, but log the error
-    res.status(200).json({ message: 'Webhook received with errors' });
-  }
-});
-
-/**
- * @route   POST /api/payments/refund
- * @desc    Process refund request
- * @access  Private (Admin)
- */
-router.post('/refund', (req, res) => {
-  try {
-    const { paymentId, amount, reason } = req.body;
-    
-    if (!paymentId || !amount) {
-      return res.status(400).json({ 
-        message: 'Missing required fields', 
-        required: ['paymentId', 'amount'] 
-      });
-    }
-    
-    // TODO: Implement refund processing
-    
-    res.status(200).json({
-      message: 'Refund processed successfully',
-      refundId: 'refund-' + Date.now(),
-      paymentId,
-      amount
-    });
-  } catch (error) {
-    res.status(500).json({ message: 'Refund processing failed', error: error.message });
-  }
-});
+router.post(
+  '/refund/:transactionId',
+  protect,
+  authorize('admin'),
+  validate.payment.refund,
+  paymentController.processRefund
+);
 
 module.exports = router;
-
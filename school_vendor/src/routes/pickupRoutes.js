@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const pickupController = require('../controllers/pickupController');
+
+// Public routes
+router.get('/', pickupController.getPickupPoints);
+router.get('/:id/slots', pickupController.getPickupSlots);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const { productImagesUpload } = require('../middleware/upload');
 // Public routes
 router.get('/', productController.getProducts);
 router.get('/featured', productController.getFeaturedProducts);
+router.get('/stock-alerts', protect, productController.getMyStockAlerts);
 router.get('/:id', productController.getProductById);
 router.get('/category/:categoryId', productController.getProductsByCategory);
 router.get('/search', productController.searchProducts);
@@ -78,5 +79,9 @@ router.put(
   productController.updateStock
 );
 
+// Back-in-stock alerts
+router.post('/:id/stock-alert', protect, productController.createStockAlert);
+router.delete('/:id/stock-alert', protect, productController.deleteStockAlert);
+
 module.exports = router;
 
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const returnController = require('../controllers/returnController');
+const { protect } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { returnPhotosUpload } = require('../middleware/upload');
+
+// Customer routes
+router.post(
+  '/',
+  protect,
+  returnPhotosUpload,
+  validate.returns.create,
+  returnController.createReturn
+);
+
+router.get('/', protect, returnController.getMyReturns);
+router.get('/:id', protect, returnController.getReturnById);
+router.put('/:id/cancel', protect, returnController.cancelReturn);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const shippingController = require('../controllers/shippingController');
+const { validate } = require('../middleware/validate');
+
+// Public routes
+router.post(
+  '/quote',
+  validate.shipping.quote,
+  shippingController.getShippingQuote
+);
+
+module.exports = router;
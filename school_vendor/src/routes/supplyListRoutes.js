@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const supplyListController = require('../controllers/supplyListController');
+const { protect, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+
+// Roles that maintain supply lists; teachers will join once they have accounts
+const SUPPLY_LIST_EDITORS = ['admin'];
+
+// Every supply list route needs a signed-in user
+router.use(protect);
+
+// Parent and pupil routes; ?student= picks the child when there is more than one
+router.get('/', supplyListController.getSupplyLists);
+router.get('/students', supplyListController.getMyStudents);
+router.get('/:id', supplyListController.getSupplyList);
+
+router.post(
+  '/:id/cart',
+  validate.supplyList.cart,
+  supplyListController.addSupplyListToCart
+);
+
+router.post(
+  '/:id/order',
+  validate.supplyList.order,
+  supplyListController.orderFromSupplyList
+);
+
+// List maintenance
+router.post(
+  '/',
+  authorize(...SUPPLY_LIST_EDITORS),
+  validate.supplyList.create,
+  supplyListController.createSupplyList
+);
+
+router.put(
+  '/:id',
+  authorize(...SUPPLY_LIST_EDITORS),
+  validate.supplyList.update,
+  supplyListController.updateSupplyList
+);
+
+router.delete(
+  '/:id',
+  authorize(...SUPPLY_LIST_EDITORS),
+  supplyListController.deleteSupplyList
+);
+
+module.exports = router;
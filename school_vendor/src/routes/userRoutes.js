@@ -1,106 +1,62 @@
 const express = require('express');
 const router = express.Router();
+const userController = require('../controllers/userController');
+const { protect, authorize, loginLimiter } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
 
 // Authentication routes
-/**
- * @route   POST /api/users/register
- * @desc    Register a new user
- * @access  Public
- */
-router.post('/register', (req, res) => {
-  try {
-    // TODO: Implement user registration logic
-    res.status(201).json({ message: 'User registered successfully' });
-  } catch (error) {
-    res.status(500).json({ message: 'Registration failed', error: error.message });
-  }
-});
-
-/**
- * @route   POST /api/users/login
- * @desc    Authenticate user & get token
- * @access  Public
- */
-router.post('/login', (req, res) => {
-  try {
-    // TODO: Implement user login logic
-    res.status(200).json({ message: 'Login successful', token: 'sample-token' });
-  } catch (error) {
-    res.status(401).json({ message: 'Authentication failed', error: error.message });
-  }
-});
-
-/**
- * @route   POST /api/users/logout
- * @desc    Logout user / clear session
- * @access  Private
- */
-router.post('/logout', (req, res) => {
-  try {
-    // TODO: Implement logout logic
-    res.status(200).json({ message: 'Logged out successfully' });
-  } catch (error) {
-    res.status(500).json({ message: 'Logout failed', error: error.message });
-  }
-});
-
-// Profile management routes
-/**
- * @route   GET /api/users/profile
- * @desc    Get user profile
- * @access  Private
- */
-router.get('/profile', (req, res) => {
-  try {
-    // TODO: Implement profile retrieval logic
-    res.status(200).json({ message: 'Profile retrieved', user: {} });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to retrieve profile', error: error.message });
-  }
-});
-
-/**
- * @route   PUT /api/users/profile
- * @desc    Update user profile
- * @access  Private
- */
-router.put('/profile', (req, res) => {
-  try {
-    // TODO: Implement profile update logic
-    res.status(200).json({ message: 'Profile updated successfully' });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to update profile', error: error.message });
-  }
-});
+router.post('/register', validate.user.register, userController.registerUser);
+router.post('/login', loginLimiter, validate.user.login, userController.loginUser);
+router.post('/logout', protect, userController.logoutUser);
 
 // Password reset routes
-/**
- * @route   POST /api/users/forgot-password
- * @desc    Request password reset
- * @access  Public
- */
-router.post('/forgot-password', (req, res) => {
-  try {
-    // TODO: Implement forgot password logic
-    res.status(200).json({ message: 'Password reset email sent' });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to process password reset', error: error.message });
-  }
-});
+router.post(
+  '/forgot-password',
+  validate.user.forgotPassword,
+  userController.forgotPassword
+);
+
+router.post(
+  '/reset-password/:token',
+  validate.user.resetPassword,
+  userController.resetPassword
+);
 
-/**
- * @route   POST /api/users/reset-password/:token
- * @desc    Reset password
- * @access  Public
- */
-router.post('/reset-password/:token', (req, res) => {
-  try {
-    // TODO: Implement password reset logic
-    res.status(200).json({ message: 'Password has been reset' });
-  } catch (error) {
-    res.status(500).json({ message: 'Failed to reset password', error: error.message });
-  }
-});
+// Profile management routes
+router.get('/profile', protect, userController.getUserProfile);
+
+router.put(
+  '/profile',
+  protect,
+  validate.user.updateProfile,
+  userController.updateUserProfile
+);
+
+router.put(
+  '/password',
+  protect,
+  validate.user.updatePassword,
+  userController.updatePassword
+);
+
+router.put('/deactivate', protect, userController.deactivateAccount);
+
+// Admin user management
+router.get('/', protect, authorize('admin'), userController.getAllUsers);
+router.get('/:id', protect, authorize('admin'), userController.getUserById);
+
+router.put(
+  '/:id/status',
+  protect,
+  authorize('admin'),
+  userController.updateUserStatus
+);
+
+router.put(
+  '/:id/role',
+  protect,
+  authorize('admin'),
+  userController.updateUserRole
+);
 
 module.exports = router;
-
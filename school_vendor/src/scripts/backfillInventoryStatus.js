@@ -0,0 +1,119 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { connectDB, withTransaction, mongoose } = require('../config/database');
+const { expandBundles, reserveStock } = require('../services/stockService');
+
+/**
+ * Inventory status backfill
+ * One-off migration for orders placed before stock was reserved at checkout.
+ * Those orders took their units straight off `stock` and carry no
+ * inventoryStatus, so cancelling or sweeping them would never give the units
+ * back. Open orders have their units put back on the shelf and reserved in
+ * the same transaction, so available stock does not move; orders that already
+ * shipped or were cancelled are only labelled.
+ *
+ * Run once after deploying: npm run migrate:inventory-status
+ */
+
+// Orders still holding the units they took at checkout
+const OPEN_STATUSES = ['pending', 'payment_pending', 'payment_failed', 'paid', 'processing', 'ready_for_shipping'];
+
+// Orders whose units have left the shelf
+const FULFILLED_STATUSES = ['partially_shipped', 'shipped', 'delivered', 'completed'];
+
+// Orders whose units were given back when they were cancelled
+const RELEASED_STATUSES = ['cancelled', 'refunded'];
+
+const LEGACY = { inventoryStatus: { $exists: false } };
+
+/**
+ * Turn the units a legacy order took off the shelf into a reservation
+ * The order is re-read inside the transaction so a second run skips it.
+ * @param {String} orderId - Order ID
+ * @returns {Boolean} Whether the order was converted
+ */
+const convertOpenOrder = async (orderId) => {
+  return withTransaction(async (session) => {
+    const order = await Order.findOne({ _id: orderId, ...LEGACY }).session(session);
+
+    if (!order) {
+      return false;
+    }
+
+    const reason = `Reservation backfilled for order ${order.orderNumber}`;
+
+    for (const line of await expandBundles(order.items, { session })) {
+      if (line.productType === 'digital') {
+        continue;
+      }
+
+      const product = await Product.findById(line.product).session(session);
+      if (product) {
+        await product.updateStock(line.quantity, 'add', reason, null, session);
+      }
+    }
+
+    await reserveStock(order.items, { session, reason });
+    await Order.updateOne({ _id: order._id }, { $set: { inventoryStatus: 'reserved' } }, { session });
+    return true;
+  });
+};
+
+/**
+ * Set inventoryStatus on every order that does not have one
+ * @returns {Object} Orders updated per inventory status
+ */
+const backfillInventoryStatus = async () => {
+  const result = { none: 0, reserved: 0, fulfilled: 0, released: 0 };
+
+  const digitalOnly = await Order.updateMany(
+    { ...LEGACY, hasPhysicalItems: { $ne: true } },
+    { $set: { inventoryStatus: 'none' } }
+  );
+  result.none = digitalOnly.modifiedCount;
+
+  const fulfilled = await Order.updateMany(
+    { ...LEGACY, status: { $in: FULFILLED_STATUSES } },
+    { $set: { inventoryStatus: 'fulfilled' } }
+  );
+  result.fulfilled = fulfilled.modifiedCount;
+
+  const released = await Order.updateMany(
+    { ...LEGACY, status: { $in: RELEASED_STATUSES } },
+    { $set: { inventoryStatus: 'released' } }
+  );
+  result.released = released.modifiedCount;
+
+  const openOrders = await Order.find({ ...LEGACY, status: { $in: OPEN_STATUSES } })
+    .select('_id')
+    .sort('createdAt');
+
+  for (const { _id } of openOrders) {
+    try {
+      if (await convertOpenOrder(_id)) {
+        result.reserved++;
+      }
+    } catch (error) {
+      // Leave the order for a later run and carry on with the rest
+      console.error(`Could not backfill order ${_id}: ${error.message}`);
+    }
+  }
+
+  return result;
+};
+
+const run = async () => {
+  await connectDB();
+
+  try {
+    const result = await backfillInventoryStatus();
+    console.log('Inventory status backfilled:', result);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('Inventory status backfill failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const StockAlert = require('../models/StockAlert');
+const { withTransaction } = require('../config/database');
+const { allocateBackorders } = require('./stockService');
+const { NotFoundError, ValidationError } = require('../middleware/error');
+
+/**
+ * Back-order service
+ * Hands newly arrived stock to the orders waiting for it, oldest order first,
+ * releases fully allocated orders for processing and keeps the alerts of
+ * customers who asked to hear when an out-of-stock product is back.
+ */
+
+// Orders that may still be given stock for their back-ordered units, including
+// back-ordered orders that have already shipped what was in stock
+const ALLOCATABLE_STATUSES = ['pending', 'payment_pending', 'payment_failed', 'backordered', 'partially_shipped'];
+
+/**
+ * Whether a product has run out and can be watched for restock
+ * Bundles run out when any component does.
+ * @param {Object} product - Product document
+ * @returns {Boolean}
+ */
+const isOutOfStock = async (product) => await product.getAvailableStock() <= 0;
+
+/**
+ * Give one order as much of a product's stock as its back-order needs
+ * The order is re-read inside the transaction so a cancellation or another
+ * allocation at the same moment is seen.
+ * @param {String} orderId - Order ID
+ * @param {String} productId - Restocked product ID
+ * @param {String} userId - User who added the stock
+ * @returns {Boolean} Whether the order was released for processing
+ */
+const allocateToOrder = async (orderId, productId, userId) => {
+  return withTransaction(async (session) => {
+    const order = await Order.findOne({
+      _id: orderId,
+      status: { $in: ALLOCATABLE_STATUSES }
+    }).session(session);
+
+    if (!order) {
+      return false;
+    }
+
+    const complete = await allocateBackorders(order, {
+      session,
+      userId,
+      product: productId
+    });
+
+    if (complete && order.status === 'backordered') {
+      return order.updateStatus('processing', 'Back-ordered items are in stock', userId, { session });
+    }
+
+    await order.save({ session });
+    return false;
+  });
+};
+
+/**
+ * Count the customers waiting to hear that a product is back
+ * There is no email or SMS channel to deliver alerts through yet, so alerts
+ * are kept as they are; customers see the product back in stock on their
+ * alert list.
+ * @param {Object} product - Product document
+ * @returns {Number} Alerts on the product
+ */
+const countWaitingAlerts = (product) => StockAlert.countDocuments({ product: product._id });
+
+/**
+ * Share out a product's new stock after it arrives
+ * Back-ordered orders are served first come, first served; if stock is left,
+ * the customers waiting on the product, or a bundle it completes, are counted.
+ * @param {String} productId - Product ID
+ * @param {Object} options - { userId }
+ * @returns {Object} { allocatedOrders, releasedOrders, alertsWaiting }
+ */
+const allocateRestockedProduct = async (productId, options = {}) => {
+  const orders = await Order.find({
+    status: { $in: ALLOCATABLE_STATUSES },
+    items: { $elemMatch: { product: productId, backorderedQuantity: { $gt: 0 } } }
+  })
+    .select('_id')
+    .sort('createdAt');
+
+  let allocatedOrders = 0;
+  let releasedOrders = 0;
+
+  for (const { _id } of orders) {
+    const product = await Product.findById(productId);
+
+    if (!product || (product.stockManagement && product.availableStock <= 0)) {
+      break;
+    }
+
+    if (await allocateToOrder(_id, productId, options.userId)) {
+      releasedOrders++;
+    }
+    allocatedOrders++;
+  }
+
+  // The product, and any bundle it completes again, may now be bought
+  const products = [
+    await Product.findById(productId),
+    ...await Product.find({ productType: 'bundle', 'bundle.components.product': productId })
+  ];
+  let alertsWaiting = 0;
+
+  for (const product of products.filter(Boolean)) {
+    if (!await isOutOfStock(product)) {
+      alertsWaiting += await countWaitingAlerts(product);
+    }
+  }
+
+  return { allocatedOrders, releasedOrders, alertsWaiting };
+};
+
+/**
+ * Ask to be told when an out-of-stock product is back
+ * @param {String} productId - Product ID
+ * @param {Object} user - Customer
+ * @returns {Object} StockAlert document
+ */
+const subscribeStockAlert = async (productId, user) => {
+  const product = await Product.findById(productId);
+
+  if (!product || !product.isPublished) {
+    throw new NotFoundError('Product not found');
+  }
+
+  if (!await isOutOfStock(product)) {
+    throw new ValidationError(`${product.name} is in stock`);
+  }
+
+  return StockAlert.findOneAndUpdate(
+    { product: product._id, user: user._id },
+    { $set: { email: user.email } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Stop waiting for a product to come back
+ * @param {String} productId - Product ID
+ * @param {Object} user - Customer
+ */
+const unsubscribeStockAlert = async (productId, user) => {
+  const result = await StockAlert.deleteOne({ product: productId, user: user._id });
+
+  if (result.deletedCount === 0) {
+    throw new NotFoundError('Stock alert not found');
+  }
+};
+
+/**
+ * A customer's stock alerts, newest first
+ * @param {Object} user - Customer
+ * @returns {Array} StockAlert documents with the product populated
+ */
+const getStockAlerts = async (user) => {
+  return StockAlert.find({ user: user._id })
+    .sort('-createdAt')
+    .populate('product', 'name sku price images stock reservedStock backorders');
+};
+
+module.exports = {
+  allocateRestockedProduct,
+  subscribeStockAlert,
+  unsubscribeStockAlert,
+  getStockAlerts
+};
@@ -0,0 +1,297 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { placeOrder } = require('./orderService');
+const { ValidationError, NotFoundError } = require('../middleware/error');
+
+/**
+ * Cart service
+ * Server-side carts for signed-in users and guests (found by cart token), so
+ * a cart started on one device can be finished on another. Lines are checked
+ * against live prices, sale windows and stock whenever the cart is read, and
+ * checkout goes through the same order placement as createOrder.
+ */
+
+/**
+ * Find the cart for a user or guest token
+ * @param {Object} user - Signed-in user, if any
+ * @param {String} token - Guest cart token, if any
+ * @returns {Object|null} Cart document
+ */
+const findCart = async (user, token) => {
+  if (user) {
+    return Cart.findOne({ user: user._id });
+  }
+
+  if (token) {
+    return Cart.findOne({ token, user: { $exists: false } });
+  }
+
+  return null;
+};
+
+/**
+ * Find the cart for a user or guest token, starting an empty one if needed
+ * @param {Object} user - Signed-in user, if any
+ * @param {String} token - Guest cart token, if any
+ * @returns {Object} Cart document (unsaved if new)
+ */
+const getOrCreateCart = async (user, token) => {
+  const cart = await findCart(user, token);
+
+  if (cart) {
+    return cart;
+  }
+
+  return user
+    ? new Cart({ user: user._id, items: [] })
+    : new Cart({ token: Cart.generateToken(), items: [] });
+};
+
+/**
+ * Load a product that can be put in a cart
+ * @param {String} productId - Product ID
+ * @returns {Object} Product document
+ */
+const getPurchasableProduct = async (productId) => {
+  const product = await Product.findById(productId);
+
+  if (!product) {
+    throw new NotFoundError(`Product with ID ${productId} not found`);
+  }
+
+  if (!product.isPublished || product.status !== 'active') {
+    throw new ValidationError(`Product ${product.name} is not available for purchase`);
+  }
+
+  return product;
+};
+
+/**
+ * Throw if a product cannot supply a quantity
+ * Products taking back-orders can always be added.
+ * @param {Object} product - Product document
+ * @param {Number} quantity - Units wanted
+ */
+const checkStock = async (product, quantity) => {
+  if (product.acceptsBackorders) {
+    return;
+  }
+
+  const available = await product.getAvailableStock();
+  if (available < quantity) {
+    throw new ValidationError(`Insufficient stock for ${product.name}. Available: ${available}`);
+  }
+};
+
+/**
+ * Tell the customer that some units will be sent later
+ * @param {Object} product - Product document taking back-orders
+ * @param {Number} quantity - Units beyond the stock available
+ * @returns {String} Warning
+ */
+const getBackorderMessage = (product, quantity) => {
+  const kind = product.backorders.mode === 'preorder' ? 'pre-ordered' : 'back-ordered';
+  const date = product.backorders.expectedRestockDate;
+
+  return date
+    ? `${quantity} will be ${kind}, expected ${date.toISOString().slice(0, 10)}`
+    : `${quantity} will be ${kind}`;
+};
+
+/**
+ * Add units of a product to a cart
+ * @param {Object} cart - Cart document
+ * @param {String} productId - Product ID
+ * @param {Number} quantity - Units to add
+ * @returns {Object} Saved cart
+ */
+const addToCart = async (cart, productId, quantity) => {
+  const product = await getPurchasableProduct(productId);
+  const existing = cart.findItem(product._id);
+
+  await checkStock(product, quantity + (existing ? existing.quantity : 0));
+
+  cart.addItem(product._id, quantity, product.currentPrice);
+  return cart.save();
+};
+
+/**
+ * Set the quantity of a cart line
+ * @param {Object} cart - Cart document
+ * @param {String} itemId - Cart item ID
+ * @param {Number} quantity - New quantity
+ * @returns {Object} Saved cart
+ */
+const updateCartItem = async (cart, itemId, quantity) => {
+  const item = cart.items.id(itemId);
+
+  if (!item) {
+    throw new NotFoundError('Cart item not found');
+  }
+
+  const product = await getPurchasableProduct(item.product);
+  await checkStock(product, quantity);
+
+  item.quantity = quantity;
+  item.priceAtAdd = product.currentPrice;
+  return cart.save();
+};
+
+/**
+ * Remove a line from a cart
+ * @param {Object} cart - Cart document
+ * @param {String} itemId - Cart item ID
+ * @returns {Object} Saved cart
+ */
+const removeCartItem = async (cart, itemId) => {
+  const item = cart.items.id(itemId);
+
+  if (!item) {
+    throw new NotFoundError('Cart item not found');
+  }
+
+  item.deleteOne();
+  return cart.save();
+};
+
+/**
+ * Check every cart line against the live catalogue
+ * Lines are never dropped here; problems are reported so the customer can act.
+ * @param {Object} cart - Cart document
+ * @returns {Object} { items, subtotal, itemsCount, canCheckout }
+ */
+const getCartDetails = async (cart) => {
+  const productIds = cart.items.map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  const stockMap = new Map();
+
+  for (const product of products) {
+    stockMap.set(product._id.toString(), await product.getAvailableStock());
+  }
+
+  let subtotal = 0;
+  let canCheckout = cart.items.length > 0;
+
+  const items = cart.items.map(item => {
+    const product = productMap.get(item.product.toString());
+    const warnings = [];
+
+    if (!product || !product.isPublished || product.status !== 'active') {
+      canCheckout = false;
+      return {
+        id: item._id,
+        product: item.product,
+        name: product ? product.name : undefined,
+        quantity: item.quantity,
+        available: false,
+        warnings: ['This product is no longer available']
+      };
+    }
+
+    const unitPrice = product.currentPrice;
+    const lineTotal = unitPrice * item.quantity;
+
+    if (unitPrice !== item.priceAtAdd) {
+      warnings.push(`Price changed from ${item.priceAtAdd} to ${unitPrice}`);
+    }
+
+    // Bundles count the kits their components make up
+    const availableStock = stockMap.get(product._id.toString());
+    const tracksStock = availableStock !== Infinity;
+    if (availableStock < item.quantity) {
+      if (product.acceptsBackorders) {
+        warnings.push(getBackorderMessage(product, item.quantity - availableStock));
+      } else {
+        canCheckout = false;
+        warnings.push(availableStock === 0
+          ? 'Out of stock'
+          : `Only ${availableStock} left in stock`);
+      }
+    }
+
+    subtotal += lineTotal;
+
+    return {
+      id: item._id,
+      product: item.product,
+      name: product.name,
+      sku: product.sku,
+      image: product.images && product.images.length > 0 ? product.images[0].url : null,
+      productType: product.productType,
+      quantity: item.quantity,
+      unitPrice,
+      regularPrice: product.price,
+      onSale: unitPrice < product.price,
+      lineTotal,
+      available: true,
+      availableStock: tracksStock ? availableStock : undefined,
+      warnings
+    };
+  });
+
+  return {
+    items,
+    subtotal,
+    itemsCount: cart.items.reduce((sum, item) => sum + item.quantity, 0),
+    canCheckout
+  };
+};
+
+/**
+ * Fold a guest cart into a user's cart after they sign in
+ * The guest cart is deleted once merged.
+ * @param {Object} user - Signed-in user
+ * @param {String} token - Guest cart token
+ * @returns {Object|null} The user's cart, or null if there was nothing to merge
+ */
+const mergeGuestCart = async (user, token) => {
+  const guestCart = await findCart(null, token);
+
+  if (!guestCart) {
+    return null;
+  }
+
+  const cart = await getOrCreateCart(user);
+  cart.mergeFrom(guestCart);
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return cart;
+};
+
+/**
+ * Turn a cart into an order and empty it
+ * @param {Object} user - Signed-in user
+ * @param {Object} cart - Cart document
+ * @param {Object} details - { shipping, billingAddress, notes, paymentMethod, couponCode, student }
+ * @param {Object} requestInfo - { ipAddress, userAgent }
+ * @returns {Object} { order, pickupSlot }
+ */
+const checkoutCart = async (user, cart, details, requestInfo) => {
+  if (!cart || cart.items.length === 0) {
+    throw new ValidationError('Your cart is empty');
+  }
+
+  const placed = await placeOrder(user, {
+    ...details,
+    items: cart.items.map(item => ({ product: item.product, quantity: item.quantity }))
+  }, requestInfo);
+
+  cart.items = [];
+  await cart.save();
+
+  return placed;
+};
+
+module.exports = {
+  findCart,
+  getOrCreateCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  getCartDetails,
+  mergeGuestCart,
+  checkoutCart
+};
@@ -0,0 +1,132 @@
+const Coupon = require('../models/Coupon');
+const { ValidationError } = require('../middleware/error');
+
+/**
+ * Coupon service
+ * Checks discount codes against a checkout and records or reverses their use.
+ * Pass a session in the options to run the updates inside a MongoDB transaction.
+ */
+
+/**
+ * Validate a coupon code for a checkout and work out the discount
+ * @param {String} code - Coupon code entered by the customer
+ * @param {Object} checkout - { user, lines, orderId } where each line is
+ *   { product, categories, lineTotal }; pass orderId when re-pricing an
+ *   existing order so the use it already holds is not counted against it
+ * @returns {Object} { coupon, discount, eligibleSubtotal }
+ */
+const applyCoupon = async (code, { user, lines, orderId }) => {
+  const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+
+  if (!coupon || !coupon.isActive) {
+    throw new ValidationError('Invalid coupon code');
+  }
+
+  if (!coupon.isWithinValidity()) {
+    throw new ValidationError('This coupon has expired or is not yet active');
+  }
+
+  if (coupon.eligibleRoles.length > 0 && !coupon.eligibleRoles.includes(user.role)) {
+    throw new ValidationError('This coupon is not available for your account');
+  }
+
+  const heldByOrder = orderId &&
+    coupon.redemptions.some(redemption => redemption.order.toString() === orderId.toString()) ? 1 : 0;
+
+  if (coupon.usageLimit > 0 && coupon.usageCount - heldByOrder >= coupon.usageLimit) {
+    throw new ValidationError('This coupon has reached its usage limit');
+  }
+
+  if (coupon.perUserLimit > 0 && coupon.getUserUsageCount(user._id) - heldByOrder >= coupon.perUserLimit) {
+    throw new ValidationError('You have already used this coupon the maximum number of times');
+  }
+
+  const eligibleSubtotal = lines
+    .filter(line => coupon.appliesTo(line.product, line.categories))
+    .reduce((sum, line) => sum + line.lineTotal, 0);
+
+  if (eligibleSubtotal === 0) {
+    throw new ValidationError('This coupon does not apply to any items in your order');
+  }
+
+  if (eligibleSubtotal < coupon.minimumSpend) {
+    throw new ValidationError(`A minimum spend of ${coupon.minimumSpend} is required for this coupon`);
+  }
+
+  return {
+    coupon,
+    discount: coupon.calculateDiscount(eligibleSubtotal),
+    eligibleSubtotal
+  };
+};
+
+/**
+ * Spread a discount over the lines the coupon applies to, in proportion to
+ * their totals, so tax can be charged on each line's discounted amount
+ * @param {Object} coupon - Coupon document, or null
+ * @param {Array} lines - Lines as passed to applyCoupon
+ * @param {Number} discount - Discount returned by applyCoupon
+ * @returns {Array} Discount per line, in the same order as lines
+ */
+const allocateDiscount = (coupon, lines, discount) => {
+  const shares = lines.map(() => 0);
+
+  if (!coupon || !discount) {
+    return shares;
+  }
+
+  const eligible = lines
+    .map((line, index) => ({ line, index }))
+    .filter(({ line }) => coupon.appliesTo(line.product, line.categories));
+  const eligibleSubtotal = eligible.reduce((sum, { line }) => sum + line.lineTotal, 0);
+
+  let remaining = discount;
+  eligible.forEach(({ line, index }, position) => {
+    // The last line takes whatever rounding left over
+    const share = position === eligible.length - 1
+      ? remaining
+      : Math.round(discount * line.lineTotal / eligibleSubtotal * 100) / 100;
+    shares[index] = Math.round(share * 100) / 100;
+    remaining -= share;
+  });
+
+  return shares;
+};
+
+/**
+ * Record a coupon's use against an order
+ * @param {Object} coupon - Coupon document returned by applyCoupon
+ * @param {Object} options - { userId, orderId, amount, session }
+ */
+const redeemCoupon = async (coupon, options = {}) => {
+  const updated = await Coupon.redeem(coupon._id, options);
+
+  // Another checkout took the last use between validation and redemption
+  if (!updated) {
+    throw new ValidationError('This coupon has reached its usage limit');
+  }
+
+  return updated;
+};
+
+/**
+ * Reverse the coupon use recorded for an order, if any
+ * @param {Object} order - Order document
+ * @param {Object} options - { session }
+ * @returns {Boolean} Whether a redemption was reversed
+ */
+const releaseOrderCoupon = async (order, options = {}) => {
+  if (!order.coupon) {
+    return false;
+  }
+
+  const coupon = await Coupon.releaseForOrder(order.coupon, order._id, options);
+  return Boolean(coupon);
+};
+
+module.exports = {
+  applyCoupon,
+  allocateDiscount,
+  redeemCoupon,
+  releaseOrderCoupon
+};
@@ -0,0 +1,368 @@
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const { withTransaction } = require('../config/database');
+const { BUSINESS, BANK_ACCOUNT, getBankTransferReference } = require('../config/business');
+const { getHoldExpiry } = require('../config/paymentHolds');
+const { onStatus } = require('./orderStateMachine');
+const { nextSequence } = require('./sequenceService');
+const { ValidationError } = require('../middleware/error');
+
+/**
+ * Invoice service
+ * Proforma invoices (for paying by bank transfer), tax invoices and payment
+ * receipts for orders, rendered as PDFs with pdfkit. Each document type has its
+ * own number sequence; an order's number is taken the first time the document
+ * is issued and kept from then on.
+ */
+
+// Payment statuses after which an order has been paid for
+const PAID_PAYMENT_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+
+const isPaid = (order) => PAID_PAYMENT_STATUSES.includes(order.payment?.status);
+
+// Document types, keyed by the name used in download URLs
+const DOCUMENT_TYPES = {
+  proforma: {
+    title: 'Proforma Invoice',
+    numberPath: 'proforma.number',
+    issuedAtPath: 'proforma.issuedAt',
+    isAvailable: (order) => !isPaid(order) && !['cancelled', 'refunded'].includes(order.status),
+    unavailableMessage: 'A proforma invoice is only available for orders awaiting payment'
+  },
+  invoice: {
+    title: 'Tax Invoice',
+    numberPath: 'invoice.number',
+    issuedAtPath: 'invoice.issuedAt',
+    isAvailable: isPaid,
+    unavailableMessage: 'The invoice is available once the order has been paid'
+  },
+  receipt: {
+    title: 'Payment Receipt',
+    numberPath: 'payment.receiptNumber',
+    isAvailable: isPaid,
+    unavailableMessage: 'The receipt is available once the order has been paid'
+  }
+};
+
+/**
+ * Look up a document type or fail
+ * @param {String} type - proforma, invoice or receipt
+ * @returns {Object} Document type
+ */
+const getDocumentType = (type) => {
+  const documentType = DOCUMENT_TYPES[type];
+
+  if (!documentType) {
+    throw new ValidationError(`Unknown document type ${type}`);
+  }
+
+  return documentType;
+};
+
+/**
+ * Give an order the next number for a document type, if it has none yet
+ * The order is not saved.
+ * @param {Object} order - Order document
+ * @param {String} type - proforma, invoice or receipt
+ * @param {Object} options - { session }
+ * @returns {String} Document number
+ */
+const assignDocumentNumber = async (order, type, options = {}) => {
+  const { numberPath, issuedAtPath } = getDocumentType(type);
+
+  if (order.get(numberPath)) {
+    return order.get(numberPath);
+  }
+
+  const number = await nextSequence(type, { session: options.session });
+
+  order.set(numberPath, number);
+  if (issuedAtPath) {
+    order.set(issuedAtPath, Date.now());
+  }
+
+  return number;
+};
+
+/**
+ * Make sure an order has a number for a document type
+ * The number is taken in a transaction with the order update, so two
+ * requests at once cannot give the same order two numbers.
+ * @param {Object} order - Order document
+ * @param {String} type - proforma, invoice or receipt
+ * @returns {Object} Order document carrying the number
+ */
+const issueDocument = async (order, type) => {
+  const { numberPath, isAvailable, unavailableMessage } = getDocumentType(type);
+
+  if (!isAvailable(order)) {
+    throw new ValidationError(unavailableMessage);
+  }
+
+  if (order.get(numberPath)) {
+    return order;
+  }
+
+  return withTransaction(async (session) => {
+    const current = await Order.findById(order._id).session(session);
+
+    await assignDocumentNumber(current, type, { session });
+    await current.save({ session });
+
+    return current;
+  });
+};
+
+/**
+ * List the documents an order can be downloaded as
+ * @param {Object} order - Order document
+ * @returns {Array} [{ type, title, number, available }]
+ */
+const getOrderDocuments = (order) => Object.entries(DOCUMENT_TYPES).map(([type, documentType]) => ({
+  type,
+  title: documentType.title,
+  number: order.get(documentType.numberPath) || undefined,
+  available: documentType.isAvailable(order)
+}));
+
+const formatMoney = (amount, currency) =>
+  `${amount < 0 ? '-' : ''}${currency} ${Math.abs(Number(amount || 0)).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric'
+});
+
+/**
+ * Address the documents are made out to
+ * @param {Object} order - Order document
+ * @returns {Array} Address lines
+ */
+const getBillingLines = (order) => {
+  const billing = order.billingAddress;
+  const address = billing && !billing.sameAsShipping && billing.address?.street
+    ? billing.address
+    : order.shipping?.address;
+
+  return [
+    order.customerInfo.name,
+    address?.street,
+    [address?.city, address?.state, address?.postalCode].filter(Boolean).join(', '),
+    address?.country,
+    order.customerInfo.email,
+    order.customerInfo.phone
+  ].filter(Boolean);
+};
+
+/**
+ * Write labelled values in two columns
+ * @param {Object} pdf - PDF document
+ * @param {Array} rows - [[label, value]]
+ * @param {Number} x - Left edge
+ */
+const drawDetails = (pdf, rows, x = 50) => {
+  for (const [label, value] of rows) {
+    const y = pdf.y;
+    pdf.font('Helvetica-Bold').text(label, x, y, { width: 140 });
+    pdf.font('Helvetica').text(value, x + 150, y, { width: 345 - x });
+    pdf.moveDown(0.2);
+  }
+};
+
+/**
+ * Seller, document title and number, and who the document is for
+ * @param {Object} pdf - PDF document
+ * @param {String} title - Document title
+ * @param {Array} details - [[label, value]] shown under the title
+ * @param {Object} order - Order document
+ */
+const drawHeader = (pdf, title, details, order) => {
+  pdf.font('Helvetica-Bold').fontSize(18).text(BUSINESS.name, 50, 50);
+  pdf.font('Helvetica').fontSize(9)
+    .text([BUSINESS.address, BUSINESS.email, BUSINESS.phone].filter(Boolean).join('\n'));
+  if (BUSINESS.taxId) {
+    pdf.text(`TIN: ${BUSINESS.taxId}`);
+  }
+
+  pdf.font('Helvetica-Bold').fontSize(16).text(title.toUpperCase(), 300, 50, { width: 245, align: 'right' });
+  pdf.fontSize(9).moveDown(0.5);
+  for (const [label, value] of details) {
+    pdf.font('Helvetica').text(`${label}: ${value}`, 300, pdf.y, { width: 245, align: 'right' });
+  }
+
+  pdf.moveDown(2);
+  const top = Math.max(pdf.y, 140);
+  pdf.font('Helvetica-Bold').fontSize(10).text('Bill to', 50, top);
+  pdf.font('Helvetica').fontSize(9).text(getBillingLines(order).join('\n'));
+  pdf.moveDown(1.5);
+};
+
+/**
+ * Order lines and totals
+ * @param {Object} pdf - PDF document
+ * @param {Object} order - Order document
+ */
+const drawItems = (pdf, order) => {
+  const columns = [
+    { label: 'Item', x: 50, width: 235 },
+    { label: 'Qty', x: 290, width: 40, align: 'right' },
+    { label: 'Unit price', x: 335, width: 100, align: 'right' },
+    { label: 'Amount', x: 440, width: 105, align: 'right' }
+  ];
+
+  const drawRow = (values, font) => {
+    if (pdf.y > pdf.page.height - 120) {
+      pdf.addPage();
+    }
+
+    // Cells can wrap, so the row ends below its tallest cell
+    const y = pdf.y;
+    let bottom = y;
+    pdf.font(font);
+    columns.forEach((column, index) => {
+      pdf.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+      bottom = Math.max(bottom, pdf.y);
+    });
+    pdf.y = bottom;
+    pdf.moveDown(0.4);
+  };
+
+  pdf.fontSize(9);
+  drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+  pdf.moveTo(50, pdf.y).lineTo(545, pdf.y).stroke();
+  pdf.moveDown(0.4);
+
+  for (const item of order.items) {
+    drawRow([
+      `${item.name}\n${item.sku}`,
+      String(item.quantity),
+      formatMoney(item.price, order.currency),
+      formatMoney(item.price * item.quantity, order.currency)
+    ], 'Helvetica');
+  }
+
+  pdf.moveTo(50, pdf.y).lineTo(545, pdf.y).stroke();
+  pdf.moveDown(0.5);
+
+  const totals = [['Subtotal', order.subtotal]];
+  if (order.discount > 0) {
+    totals.push([`Discount${order.discountCode ? ` (${order.discountCode})` : ''}`, -order.discount]);
+  }
+  if (order.shippingAmount > 0) {
+    totals.push(['Delivery', order.shippingAmount]);
+  }
+  for (const tax of order.taxBreakdown) {
+    totals.push([`${tax.name || tax.code} (${tax.rate}%)`, tax.amount]);
+  }
+
+  for (const [label, amount] of totals) {
+    const y = pdf.y;
+    pdf.font('Helvetica').text(label, 290, y, { width: 145, align: 'right' });
+    pdf.text(formatMoney(amount, order.currency), 440, y, { width: 105, align: 'right' });
+  }
+
+  const y = pdf.y + 4;
+  pdf.font('Helvetica-Bold').text('Total', 290, y, { width: 145, align: 'right' });
+  pdf.text(formatMoney(order.totalAmount, order.currency), 440, y, { width: 105, align: 'right' });
+  pdf.moveDown(2);
+};
+
+// Body of each document after the header
+const DOCUMENT_BODIES = {
+  proforma: (pdf, order) => {
+    drawItems(pdf, order);
+
+    pdf.font('Helvetica-Bold').fontSize(10).text('Payment by bank transfer', 50);
+    pdf.moveDown(0.5).fontSize(9);
+    drawDetails(pdf, [
+      ['Bank', BANK_ACCOUNT.bankName],
+      ['Account name', BANK_ACCOUNT.accountName],
+      ['Account number', BANK_ACCOUNT.accountNumber],
+      ['SWIFT code', BANK_ACCOUNT.swiftCode],
+      ['Payment reference', getBankTransferReference(order)],
+      ['Amount', formatMoney(order.totalAmount, order.currency)]
+    ]);
+    pdf.moveDown(1).font('Helvetica').text(
+      'Please transfer the exact amount and quote the payment reference. ' +
+      'This is not a tax invoice; a tax invoice is issued once payment is received.',
+      50, pdf.y, { width: 495 }
+    );
+  },
+
+  invoice: (pdf, order) => {
+    drawItems(pdf, order);
+    pdf.font('Helvetica').fontSize(9).text(
+      `Paid in full on ${formatDate(order.payment.paymentDate || order.invoice.issuedAt)}.`,
+      50, pdf.y, { width: 495 }
+    );
+  },
+
+  receipt: (pdf, order) => {
+    pdf.font('Helvetica').fontSize(10).text(
+      `Received with thanks from ${order.customerInfo.name} the sum of ` +
+      `${formatMoney(order.payment.amount || order.totalAmount, order.currency)} ` +
+      `in payment of order ${order.orderNumber}.`,
+      50, pdf.y, { width: 495 }
+    );
+    pdf.moveDown(1).fontSize(9);
+    drawDetails(pdf, [
+      ['Payment method', order.payment.method.replace(/_/g, ' ')],
+      ['Payment date', formatDate(order.payment.paymentDate || order.updatedAt)],
+      ['Payment reference', order.payment.paymentReference || order.payment.transactionId || '-'],
+      ['Invoice number', order.invoice?.number || '-']
+    ]);
+  }
+};
+
+/**
+ * Render an order document as a PDF
+ * @param {Object} order - Order document with the document's number assigned
+ * @param {String} type - proforma, invoice or receipt
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderDocument = (order, type) => {
+  const { title, numberPath, issuedAtPath } = getDocumentType(type);
+  const number = order.get(numberPath);
+
+  const details = [
+    ['No.', number],
+    ['Date', formatDate((issuedAtPath && order.get(issuedAtPath)) || order.payment.paymentDate || Date.now())],
+    ['Order', order.orderNumber]
+  ];
+  if (type === 'proforma') {
+    details.push(['Valid until', formatDate(getHoldExpiry(order.payment.method, order.createdAt))]);
+  }
+
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: `${title} ${number}`, Author: BUSINESS.name }
+    });
+    const chunks = [];
+
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    drawHeader(pdf, title, details, order);
+    DOCUMENT_BODIES[type](pdf, order);
+
+    pdf.end();
+  });
+};
+
+// Paid orders get their invoice and receipt numbers straight away
+onStatus('paid', async (order, { session }) => {
+  await assignDocumentNumber(order, 'invoice', { session });
+  await assignDocumentNumber(order, 'receipt', { session });
+});
+
+module.exports = {
+  DOCUMENT_TYPES,
+  assignDocumentNumber,
+  issueDocument,
+  getOrderDocuments,
+  renderDocument
+};
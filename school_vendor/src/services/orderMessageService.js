@@ -0,0 +1,143 @@
+const Order = require('../models/Order');
+const OrderMessage = require('../models/OrderMessage');
+
+/**
+ * Order message service
+ * The conversation between a customer and staff about one order: messages with
+ * optional attachments, read receipts per user and unread counts. Staff-only
+ * internal notes are kept on Order.notes and never reach the thread.
+ */
+
+// Staff answer customers; an admin writing on their own order is a customer there
+const getSenderRole = (order, user) =>
+  user.role === 'admin' && order.user.toString() !== user._id.toString() ? 'staff' : 'customer';
+
+/**
+ * Filter for messages a user has not read yet
+ * Customers see replies on their own orders; staff see customer messages on all orders.
+ * @param {Object} user - Reader
+ * @returns {Object} MongoDB filter
+ */
+const getUnreadFilter = (user) => {
+  const unread = { sender: { $ne: user._id }, 'readBy.user': { $ne: user._id } };
+
+  return user.role === 'admin'
+    ? { ...unread, senderRole: 'customer' }
+    : { ...unread, customer: user._id };
+};
+
+/**
+ * Add a message to an order's thread
+ * @param {Object} order - Order document
+ * @param {Object} user - Sender
+ * @param {String} body - Message text
+ * @param {Object} file - Uploaded attachment from documentUpload, if any
+ * @returns {Object} OrderMessage document
+ */
+const postMessage = async (order, user, body, file) => {
+  return OrderMessage.create({
+    order: order._id,
+    customer: order.user,
+    sender: user._id,
+    senderRole: getSenderRole(order, user),
+    body,
+    attachments: file ? [{
+      url: `/uploads/documents/${file.filename}`,
+      name: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    }] : []
+  });
+};
+
+/**
+ * Record that a user has read every message on an order's thread
+ * @param {Object} order - Order document
+ * @param {Object} user - Reader
+ * @returns {Number} Messages newly marked read
+ */
+const markThreadRead = async (order, user) => {
+  const result = await OrderMessage.updateMany(
+    { order: order._id, sender: { $ne: user._id }, 'readBy.user': { $ne: user._id } },
+    { $push: { readBy: { user: user._id, readAt: Date.now() } } }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Shape a message for a reader
+ * Customers see who on the other side has read their messages only as a time;
+ * staff see every read receipt.
+ * @param {Object} message - OrderMessage document with sender populated
+ * @param {Object} user - Reader
+ * @returns {Object} Message for the response
+ */
+const formatMessage = (message, user) => {
+  const senderId = message.sender._id || message.sender;
+  const othersRead = message.readBy.filter(receipt => !receipt.user.equals(senderId));
+
+  return {
+    id: message._id,
+    body: message.body,
+    attachments: message.attachments,
+    senderRole: message.senderRole,
+    senderName: message.sender.firstName
+      ? `${message.sender.firstName} ${message.sender.lastName}`
+      : undefined,
+    isMine: senderId.toString() === user._id.toString(),
+    createdAt: message.createdAt,
+    readAt: othersRead.length > 0 ? othersRead[0].readAt : null,
+    readBy: user.role === 'admin' ? message.readBy : undefined
+  };
+};
+
+/**
+ * Load an order's thread, oldest first, and mark it read for the reader
+ * @param {Object} order - Order document
+ * @param {Object} user - Reader
+ * @returns {Array} Messages
+ */
+const getThread = async (order, user) => {
+  await markThreadRead(order, user);
+
+  const messages = await OrderMessage.find({ order: order._id })
+    .sort('createdAt')
+    .populate('sender', 'firstName lastName');
+
+  return messages.map(message => formatMessage(message, user));
+};
+
+/**
+ * Count a user's unread messages, per order
+ * @param {Object} user - Reader
+ * @returns {Object} { total, orders: [{ order, orderNumber, unread, lastMessageAt }] }
+ */
+const getUnreadCounts = async (user) => {
+  const counts = await OrderMessage.aggregate([
+    { $match: getUnreadFilter(user) },
+    { $group: { _id: '$order', unread: { $sum: 1 }, lastMessageAt: { $max: '$createdAt' } } },
+    { $sort: { lastMessageAt: -1 } }
+  ]);
+
+  const orders = await Order.find({ _id: { $in: counts.map(count => count._id) } }).select('orderNumber');
+  const orderNumbers = new Map(orders.map(order => [order._id.toString(), order.orderNumber]));
+
+  return {
+    total: counts.reduce((sum, count) => sum + count.unread, 0),
+    orders: counts.map(count => ({
+      order: count._id,
+      orderNumber: orderNumbers.get(count._id.toString()),
+      unread: count.unread,
+      lastMessageAt: count.lastMessageAt
+    }))
+  };
+};
+
+module.exports = {
+  postMessage,
+  markThreadRead,
+  formatMessage,
+  getThread,
+  getUnreadCounts
+};
@@ -0,0 +1,688 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { withTransaction } = require('../config/database');
+const { reserveStock, restoreStock, getReservableLines } = require('./stockService');
+const {
+  applyCoupon,
+  allocateDiscount,
+  redeemCoupon,
+  releaseOrderCoupon
+} = require('./couponService');
+const { calculateOrderTax } = require('./taxService');
+const { quoteShipping, calculateShippingCost } = require('./shippingService');
+const {
+  resolvePickupSlot,
+  bookPickupSlot,
+  releaseOrderPickupSlot,
+  generatePickupCode,
+  getPickupQrPayload
+} = require('./pickupService');
+const { ValidationError, NotFoundError } = require('../middleware/error');
+
+/**
+ * Order service
+ * Prices and places orders from a list of { product, quantity } lines. Used by
+ * createOrder and cart checkout so both validate products and work out
+ * delivery, discounts and tax the same way.
+ */
+
+// Order statuses in which the customer can still change the order
+const EDITABLE_STATUSES = ['pending', 'payment_failed'];
+
+// Transaction statuses that could still turn into a payment
+const OPEN_TRANSACTION_STATUSES = ['initiated', 'pending', 'processing'];
+
+/**
+ * Load the products for some lines and build order items at today's prices
+ * With `lenient`, problems are collected per line instead of thrown: missing or
+ * unavailable products are left out and short stock is priced anyway. Units
+ * beyond the stock of a product taking back-orders are marked back-ordered.
+ * @param {Array} items - [{ product, quantity }]
+ * @param {Object} options - { lenient, heldQuantities } where heldQuantities maps
+ *   product IDs to units the order already has reserved
+ * @returns {Object} { orderItems, products, couponLines, subtotal, hasDigitalItems,
+ *   hasPhysicalItems, warnings } where warnings is [{ product, name, message }]
+ */
+const buildOrderItems = async (items, options = {}) => {
+  const orderItems = [];
+  const products = [];
+  const couponLines = [];
+  const warnings = [];
+  let subtotal = 0;
+  let hasDigitalItems = false;
+  let hasPhysicalItems = false;
+
+  const report = (error, item, name) => {
+    if (!options.lenient) {
+      throw error;
+    }
+    warnings.push({ product: item.product, name, message: error.message });
+  };
+
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+
+    if (!product) {
+      report(new NotFoundError(`Product with ID ${item.product} not found`), item);
+      continue;
+    }
+
+    // Check if product is active and published
+    if (!product.isPublished || product.status !== 'active') {
+      report(new ValidationError(`Product ${product.name} is not available for purchase`), item, product.name);
+      continue;
+    }
+
+    let backorderedQuantity = 0;
+
+    // Check stock for physical products; bundles count the kits their components make up
+    if (product.productType !== 'digital') {
+      const available = await product.getAvailableStock({ heldQuantities: options.heldQuantities });
+
+      if (product.acceptsBackorders) {
+        backorderedQuantity = Math.max(0, item.quantity - Math.max(0, available));
+      } else if (available < item.quantity) {
+        report(
+          new ValidationError(`Insufficient stock for ${product.name}. Available: ${available}`),
+          item,
+          product.name
+        );
+      }
+      hasPhysicalItems = true;
+    }
+
+    if (product.productType === 'digital' || product.productType === 'both') {
+      hasDigitalItems = true;
+    }
+
+    // Sale price only applies inside the sale window
+    const price = product.currentPrice;
+    const components = await product.getBundleComponents();
+
+    orderItems.push({
+      product: product._id,
+      name: product.name,
+      sku: product.sku,
+      price,
+      quantity: item.quantity,
+      productType: product.productType,
+      components: components.map(component => ({
+        product: component.product._id,
+        name: component.product.name,
+        sku: component.product.sku,
+        quantity: component.quantity
+      })),
+      backorderedQuantity,
+      expectedRestockDate: backorderedQuantity > 0 ? product.backorders.expectedRestockDate : undefined,
+      productSnapshot: {
+        name: product.name,
+        price,
+        description: product.shortDescription || product.description.substring(0, 100),
+        image: product.images && product.images.length > 0 ? product.images[0].url : null
+      },
+      // For digital products, initialize delivery status
+      digitalDelivery: product.productType === 'digital' || product.productType === 'both' ? {
+        deliveryStatus: 'pending',
+        downloadLimit: product.digitalDetails?.downloadLimit || 0,
+        accessExpiration: product.digitalDetails?.accessDuration ?
+          new Date(Date.now() + product.digitalDetails.accessDuration * 24 * 60 * 60 * 1000) : null
+      } : undefined
+    });
+
+    subtotal += price * item.quantity;
+
+    // Keep what coupon scoping and tax need for this line
+    products.push(product);
+    couponLines.push({
+      product: product._id,
+      categories: [product.category, product.subcategory],
+      lineTotal: price * item.quantity
+    });
+  }
+
+  return { orderItems, products, couponLines, subtotal, hasDigitalItems, hasPhysicalItems, warnings };
+};
+
+/**
+ * Spread the discount over the lines and tax each line on what is left
+ * Sets discount and tax fields on the order items.
+ * @param {Object} built - Result of buildOrderItems
+ * @param {Object} coupon - Coupon document or null
+ * @param {Number} discount - Total discount
+ * @returns {Object} Tax result from calculateOrderTax
+ */
+const applyLineDiscountsAndTax = async ({ orderItems, products, couponLines }, coupon, discount) => {
+  const lineDiscounts = allocateDiscount(coupon, couponLines, discount);
+  const tax = await calculateOrderTax(products.map((product, index) => ({
+    product,
+    productType: product.productType,
+    taxableAmount: couponLines[index].lineTotal - lineDiscounts[index]
+  })));
+
+  orderItems.forEach((orderItem, index) => {
+    orderItem.discount = lineDiscounts[index];
+    orderItem.taxClass = tax.lines[index].taxClass;
+    orderItem.taxAmount = tax.lines[index].taxAmount;
+    orderItem.taxes = tax.lines[index].taxes;
+  });
+
+  return tax;
+};
+
+/**
+ * Physical lines in the shape the shipping service prices
+ * Bundles are weighed as the components that go in the parcel. Components that
+ * have been deleted are left out; a lenient quote already warns that such a
+ * bundle is out of stock.
+ * @param {Object} built - Result of buildOrderItems
+ * @returns {Array} [{ product, quantity }]
+ */
+const getShippingLines = ({ orderItems, products }) => products
+  .flatMap((product, index) => product.productType === 'bundle'
+    ? product.bundle.components.map(component => ({
+      product: component.product,
+      quantity: component.quantity * orderItems[index].quantity
+    }))
+    : [{ product, quantity: orderItems[index].quantity }])
+  .filter(line => line.product && line.product.productType !== 'digital');
+
+/**
+ * Work out everything an order would charge, without saving anything
+ * Fills in the shipping cost, zone and pickup details on `shipping`.
+ * @param {Object} user - Customer
+ * @param {Object} details - { items, shipping, couponCode }
+ * @param {Object} options - { orderId, heldQuantities } when re-pricing an existing
+ *   order, heldQuantities being the units per product it already has reserved
+ * @returns {Object} Priced order: items, totals, coupon, tax and pickup slot
+ */
+const priceOrder = async (user, { items, shipping, couponCode }, options = {}) => {
+  const built = await buildOrderItems(items, { heldQuantities: options.heldQuantities });
+  const { couponLines, subtotal, hasPhysicalItems } = built;
+
+  if (hasPhysicalItems && !shipping) {
+    throw new ValidationError('Shipping details are required for physical items');
+  }
+
+  // Validate the coupon, if one was entered, and work out the discount
+  const { coupon, discount } = couponCode
+    ? await applyCoupon(couponCode, { user, lines: couponLines, orderId: options.orderId })
+    : { coupon: null, discount: 0 };
+
+  // Price delivery from the shipping zone for the address, or take the
+  // pickup point's fee for orders collected on campus
+  let shippingAmount = 0;
+  let pickupSlot = null;
+  if (hasPhysicalItems && shipping.shippingMethod === 'pickup') {
+    pickupSlot = await resolvePickupSlot(shipping.pickup.pickupPoint, shipping.pickup.slotStart);
+
+    shippingAmount = pickupSlot.pickupPoint.fee;
+    shipping.shippingCost = pickupSlot.pickupPoint.fee;
+    shipping.pickup = {
+      pickupPoint: pickupSlot.pickupPoint._id,
+      pickupPointName: pickupSlot.pickupPoint.name,
+      slotStart: pickupSlot.slot.start,
+      slotEnd: pickupSlot.slot.end,
+      status: 'booked',
+      code: generatePickupCode()
+    };
+  } else if (hasPhysicalItems) {
+    const shippingRate = await calculateShippingCost(
+      shipping.shippingMethod,
+      shipping.address,
+      getShippingLines(built),
+      subtotal
+    );
+
+    shippingAmount = shippingRate.cost;
+    shipping.shippingCost = shippingRate.cost;
+    shipping.zone = shippingRate.zone;
+  }
+
+  // Calculate tax per line on the discounted amount, using each product's tax class
+  const tax = await applyLineDiscountsAndTax(built, coupon, discount);
+
+  return {
+    ...built,
+    coupon,
+    discount,
+    shipping,
+    shippingAmount,
+    pickupSlot,
+    tax,
+    taxAmount: tax.taxAmount,
+    totalAmount: subtotal - discount + shippingAmount + tax.taxAmount
+  };
+};
+
+/**
+ * Price an order for display without saving or reserving anything
+ * Unlike priceOrder, problems with items, the coupon or delivery come back as
+ * warnings so the rest of the breakdown can still be shown.
+ * @param {Object} user - Customer
+ * @param {Object} details - Same payload as order creation
+ * @returns {Object} Quote with lines, delivery options, tax components and total
+ */
+const quoteOrder = async (user, { items, shipping, couponCode }) => {
+  const built = await buildOrderItems(items, { lenient: true });
+  const { orderItems, products, couponLines, subtotal, hasPhysicalItems } = built;
+  const warnings = [];
+
+  // Only business errors become warnings; anything else is a real failure
+  const collect = (error) => {
+    if (!error.isOperational) {
+      throw error;
+    }
+    warnings.push(error.message);
+  };
+
+  let coupon = null;
+  let discount = 0;
+  let couponResult;
+  if (couponCode) {
+    try {
+      ({ coupon, discount } = await applyCoupon(couponCode, { user, lines: couponLines }));
+      couponResult = { code: coupon.code, valid: true, discount };
+    } catch (error) {
+      collect(error);
+      couponResult = { code: couponCode, valid: false, message: error.message };
+    }
+  }
+
+  let delivery;
+  if (hasPhysicalItems) {
+    delivery = { method: shipping.shippingMethod, cost: 0, options: [] };
+
+    try {
+      if (shipping.shippingMethod === 'pickup') {
+        const { pickupPoint, slot } = await resolvePickupSlot(
+          shipping.pickup.pickupPoint,
+          shipping.pickup.slotStart
+        );
+
+        delivery.pickup = {
+          pickupPoint: pickupPoint._id,
+          name: pickupPoint.name,
+          slotStart: slot.start,
+          slotEnd: slot.end
+        };
+        delivery.options = [{
+          method: 'pickup',
+          label: `Collect from ${pickupPoint.name}`,
+          cost: pickupPoint.fee,
+          freeShipping: pickupPoint.fee === 0
+        }];
+      } else {
+        const quote = await quoteShipping(shipping.address, getShippingLines(built), subtotal);
+
+        delivery.zone = quote.zone;
+        delivery.options = quote.options;
+
+        if (!quote.options.some(option => option.method === shipping.shippingMethod)) {
+          warnings.push(`${shipping.shippingMethod} delivery is not available for this address`);
+        }
+      }
+
+      const selected = delivery.options.find(option => option.method === shipping.shippingMethod);
+      delivery.cost = selected ? selected.cost : 0;
+    } catch (error) {
+      collect(error);
+    }
+  }
+
+  const tax = await applyLineDiscountsAndTax(built, coupon, discount);
+  const shippingAmount = delivery ? delivery.cost : 0;
+
+  return {
+    items: orderItems.map((item, index) => ({
+      product: item.product,
+      name: item.name,
+      sku: item.sku,
+      image: item.productSnapshot.image,
+      quantity: item.quantity,
+      backorderedQuantity: item.backorderedQuantity,
+      expectedRestockDate: item.expectedRestockDate,
+      unitPrice: item.price,
+      regularPrice: products[index].price,
+      onSale: item.price < products[index].price,
+      lineTotal: item.price * item.quantity,
+      discount: item.discount,
+      taxAmount: item.taxAmount,
+      taxes: item.taxes,
+      warnings: built.warnings
+        .filter(warning => warning.product.toString() === item.product.toString())
+        .map(warning => warning.message)
+    })),
+    // Lines left out of the quote because the product cannot be bought
+    unavailableItems: built.warnings.filter(warning =>
+      !orderItems.some(item => item.product.toString() === warning.product.toString())
+    ),
+    subtotal,
+    discount,
+    coupon: couponResult,
+    shipping: delivery,
+    shippingAmount,
+    taxBreakdown: tax.breakdown,
+    taxAmount: tax.taxAmount,
+    totalAmount: subtotal - discount + shippingAmount + tax.taxAmount,
+    warnings,
+    canPlaceOrder: built.warnings.length === 0 && warnings.length === 0 && orderItems.length > 0
+  };
+};
+
+/**
+ * The pupil an order is bought for: the customer or one of their children
+ * @param {Object} user - Customer; admins may name any pupil
+ * @param {String} studentId - User ID of the pupil
+ * @returns {Object} User document of the pupil
+ */
+const findOrderStudent = async (user, studentId) => {
+  if (studentId.toString() === user._id.toString()) {
+    return user;
+  }
+
+  const student = await User.findOne({
+    _id: studentId,
+    ...(user.role === 'admin' ? {} : { 'parentInfo.parentId': user._id })
+  });
+
+  if (!student) {
+    throw new NotFoundError('Student not found');
+  }
+
+  return student;
+};
+
+/**
+ * Price an order, reserve its stock and pickup slot, redeem the coupon and
+ * save it, all in one transaction
+ * @param {Object} user - Customer
+ * @param {Object} details - { items, shipping, billingAddress, notes, paymentMethod, couponCode,
+ *   student } where student is the user ID of the pupil a parent is buying for
+ * @param {Object} requestInfo - { ipAddress, userAgent }
+ * @returns {Object} { order, pickupSlot }
+ */
+const placeOrder = async (user, details, requestInfo = {}) => {
+  const { shipping, billingAddress, notes, paymentMethod } = details;
+  const student = details.student ? await findOrderStudent(user, details.student) : null;
+  const priced = await priceOrder(user, details);
+  const { orderItems, coupon, discount, pickupSlot, hasPhysicalItems, totalAmount } = priced;
+
+  // Generate a unique order number
+  const orderNumber = await Order.generateOrderNumber();
+
+  // Reserve stock and create the order in one transaction so that a failure
+  // on any line leaves neither a partial reservation nor an orphaned order
+  const order = await withTransaction(async (session) => {
+    if (hasPhysicalItems) {
+      await reserveStock(getReservableLines(orderItems), { session, userId: user._id });
+    }
+
+    if (pickupSlot) {
+      await bookPickupSlot(pickupSlot.pickupPoint, pickupSlot.slot, { session });
+    }
+
+    const [createdOrder] = await Order.create([{
+      orderNumber,
+      user: user._id,
+      customerInfo: {
+        name: `${user.firstName} ${user.lastName}`,
+        email: user.email,
+        // Digital-only orders have no delivery contact
+        phone: shipping?.contactPhone || user.contactNumber,
+        studentId: student ? student.studentId : user.studentId,
+        student: student ? student._id : undefined
+      },
+      items: orderItems,
+      itemsCount: orderItems.length,
+      hasDigitalItems: priced.hasDigitalItems,
+      hasPhysicalItems,
+      subtotal: priced.subtotal,
+      taxAmount: priced.taxAmount,
+      taxBreakdown: priced.tax.breakdown,
+      discount,
+      discountCode: coupon ? coupon.code : undefined,
+      coupon: coupon ? coupon._id : undefined,
+      shippingAmount: priced.shippingAmount,
+      totalAmount,
+      status: 'pending',
+      shipping: hasPhysicalItems ? shipping : undefined,
+      billingAddress,
+      payment: {
+        method: paymentMethod,
+        amount: totalAmount,
+        status: 'pending'
+      },
+      notes,
+      inventoryStatus: hasPhysicalItems ? 'reserved' : 'none',
+      ipAddress: requestInfo.ipAddress,
+      userAgent: requestInfo.userAgent,
+      statusHistory: [{
+        status: 'pending',
+        timestamp: Date.now(),
+        note: 'Order created'
+      }]
+    }], { session });
+
+    if (coupon) {
+      await redeemCoupon(coupon, {
+        userId: user._id,
+        orderId: createdOrder._id,
+        amount: discount,
+        session
+      });
+    }
+
+    return createdOrder;
+  });
+
+  return { order, pickupSlot };
+};
+
+/**
+ * Units reserved per product for some order items
+ * Bundle lines count against their components, which is where the stock is.
+ * @param {Array} items - Order items
+ * @returns {Map} Product ID string -> quantity
+ */
+const getReservedQuantities = (items) => {
+  const quantities = new Map();
+  const add = (product, quantity) => {
+    const key = product.toString();
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  };
+
+  for (const item of getReservableLines(items).filter(i => i.productType !== 'digital')) {
+    if (item.productType === 'bundle') {
+      item.components.forEach(component => add(component.product, component.quantity * item.quantity));
+    } else {
+      add(item.product, item.quantity);
+    }
+  }
+
+  return quantities;
+};
+
+/**
+ * Shipping details of an existing order in the shape order creation takes
+ * @param {Object} order - Order document
+ * @returns {Object|undefined} Shipping details
+ */
+const getCurrentShipping = (order) => {
+  if (!order.shipping) {
+    return undefined;
+  }
+
+  const { shippingMethod, address, contactPhone, pickup } = order.shipping.toObject();
+
+  return shippingMethod === 'pickup'
+    ? { shippingMethod, contactPhone, pickup: { pickupPoint: pickup.pickupPoint, slotStart: pickup.slotStart } }
+    : { shippingMethod, contactPhone, address };
+};
+
+/**
+ * Change an unpaid order's items, delivery method or address
+ * Totals are worked out again, stock reservations move by the difference,
+ * the pickup slot and coupon use follow the new details, and any payment
+ * still open for the old total is cancelled so a new one has to be started.
+ * @param {Object} order - Order document
+ * @param {Object} user - Order owner
+ * @param {Object} changes - { items, shipping, couponCode }; omitted fields keep
+ *   their current values and a null couponCode removes the coupon
+ * @returns {Object} Updated order
+ */
+const editOrder = async (order, user, changes) => {
+  if (!EDITABLE_STATUSES.includes(order.status)) {
+    throw new ValidationError(`Cannot edit an order in ${order.status} status`);
+  }
+
+  const items = changes.items ||
+    order.items.map(item => ({ product: item.product, quantity: item.quantity }));
+  const shipping = changes.shipping || getCurrentShipping(order);
+  const couponCode = changes.couponCode === undefined ? order.discountCode : changes.couponCode || null;
+
+  // Units the order already holds count as available to it
+  const before = getReservedQuantities(order.inventoryStatus === 'reserved' ? order.items : []);
+
+  const priced = await priceOrder(user, { items, shipping, couponCode }, {
+    orderId: order._id,
+    heldQuantities: before
+  });
+  const { orderItems, coupon, discount, pickupSlot, hasPhysicalItems } = priced;
+
+  // Keep the booked place and its code if the pickup slot did not change
+  const oldPickup = order.shipping?.pickup;
+  const keepPickup = Boolean(pickupSlot && oldPickup && oldPickup.status === 'booked' &&
+    oldPickup.pickupPoint.toString() === pickupSlot.pickupPoint._id.toString() &&
+    oldPickup.slotStart.getTime() === pickupSlot.slot.start.getTime());
+
+  if (keepPickup) {
+    priced.shipping.pickup.code = oldPickup.code;
+  }
+
+  // Only move the difference between the old and new reservations
+  const after = getReservedQuantities(orderItems);
+  const toReserve = [];
+  const toRelease = [];
+
+  for (const key of new Set([...before.keys(), ...after.keys()])) {
+    const delta = (after.get(key) || 0) - (before.get(key) || 0);
+
+    if (delta > 0) {
+      toReserve.push({ product: key, productType: 'physical', quantity: delta });
+    } else if (delta < 0) {
+      toRelease.push({ product: key, productType: 'physical', quantity: -delta });
+    }
+  }
+
+  // What the order held before the edit; the transaction may be retried
+  // after the order below already carries the new details
+  const previous = {
+    _id: order._id,
+    coupon: order.coupon,
+    pickup: oldPickup ? oldPickup.toObject() : null
+  };
+
+  order.set({
+    items: orderItems,
+    hasDigitalItems: priced.hasDigitalItems,
+    hasPhysicalItems,
+    subtotal: priced.subtotal,
+    discount,
+    discountCode: coupon ? coupon.code : undefined,
+    coupon: coupon ? coupon._id : undefined,
+    taxAmount: priced.taxAmount,
+    taxBreakdown: priced.tax.breakdown,
+    shippingAmount: priced.shippingAmount,
+    totalAmount: priced.totalAmount,
+    shipping: hasPhysicalItems ? priced.shipping : undefined,
+    inventoryStatus: hasPhysicalItems ? 'reserved' : 'none',
+    'payment.amount': priced.totalAmount,
+    'payment.transactionId': undefined
+  });
+  order.notes.push({
+    content: `Order edited by customer; new total ${priced.totalAmount}`,
+    createdBy: user._id
+  });
+
+  await withTransaction(async (session) => {
+    const stockOptions = { session, userId: user._id };
+
+    await restoreStock(toRelease, { ...stockOptions, reason: `Released from edited order ${order.orderNumber}` });
+    await reserveStock(toReserve, { ...stockOptions, reason: `Reserved for edited order ${order.orderNumber}` });
+
+    if (!keepPickup) {
+      await releaseOrderPickupSlot({ shipping: { pickup: previous.pickup && { ...previous.pickup } } }, { session });
+
+      if (pickupSlot) {
+        await bookPickupSlot(pickupSlot.pickupPoint, pickupSlot.slot, { session });
+      }
+    }
+
+    // Record the coupon use again so its amount matches the new discount
+    await releaseOrderCoupon(previous, { session });
+    if (coupon) {
+      await redeemCoupon(coupon, { userId: user._id, orderId: order._id, amount: discount, session });
+    }
+
+    await Transaction.updateMany(
+      { order: order._id, status: { $in: OPEN_TRANSACTION_STATUSES } },
+      {
+        $set: { status: 'cancelled' },
+        $push: {
+          statusHistory: {
+            status: 'cancelled',
+            timestamp: Date.now(),
+            note: 'Order was edited; a new payment is needed for the new total'
+          }
+        }
+      },
+      { session }
+    );
+
+    await order.save({ session });
+  });
+
+  return order;
+};
+
+/**
+ * Response body for a newly placed order
+ * @param {Object} order - Order document
+ * @param {Object} pickupSlot - Booked pickup slot, if any
+ * @returns {Object} { order, paymentDetails }
+ */
+const getPlacedOrderSummary = (order, pickupSlot) => ({
+  order: {
+    id: order._id,
+    orderNumber: order.orderNumber,
+    discount: order.discount,
+    discountCode: order.discountCode,
+    totalAmount: order.totalAmount,
+    status: order.status,
+    paymentMethod: order.payment.method,
+    pickup: pickupSlot ? {
+      pickupPoint: order.shipping.pickup.pickupPointName,
+      slotStart: order.shipping.pickup.slotStart,
+      slotEnd: order.shipping.pickup.slotEnd,
+      code: order.shipping.pickup.code,
+      qrPayload: getPickupQrPayload(order)
+    } : undefined
+  },
+  paymentDetails: {
+    amount: order.totalAmount,
+    currency: order.currency,
+    paymentMethod: order.payment.method
+  }
+});
+
+module.exports = {
+  buildOrderItems,
+  priceOrder,
+  quoteOrder,
+  placeOrder,
+  editOrder,
+  getCurrentShipping,
+  getPlacedOrderSummary
+};
@@ -0,0 +1,176 @@
+const Product = require('../models/Product');
+const { releaseOrderStock, fulfilOrderStock, allocateBackorders } = require('./stockService');
+const { releaseOrderCoupon } = require('./couponService');
+const { releaseOrderPickupSlot } = require('./pickupService');
+const { InvalidTransitionError } = require('../middleware/error');
+
+/**
+ * Order state machine
+ * The single list of allowed order status changes, used by Order.updateStatus
+ * so controllers, webhooks and jobs all follow the same rules. Side-effects of
+ * reaching a status run as hooks registered with onStatus.
+ */
+
+// Allowed status changes, keyed by current status
+const ORDER_TRANSITIONS = {
+  pending: ['processing', 'payment_pending', 'cancelled'],
+  processing: ['ready_for_shipping', 'partially_shipped', 'shipped', 'delivered', 'completed', 'cancelled'],
+  payment_pending: ['paid', 'payment_failed', 'cancelled'],
+  payment_failed: ['payment_pending', 'cancelled'],
+  paid: ['processing', 'backordered', 'ready_for_shipping', 'partially_shipped', 'shipped', 'delivered', 'completed', 'refunded'],
+  backordered: ['processing', 'partially_shipped', 'cancelled', 'refunded'],
+  ready_for_shipping: ['partially_shipped', 'shipped', 'delivered', 'cancelled'],
+  partially_shipped: ['shipped', 'delivered'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: ['completed', 'refunded'],
+  completed: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Extra conditions on some transitions, keyed by target status
+const TRANSITION_GUARDS = {
+  // Back-ordered units must have stock before the order is worked on
+  processing: (order) => order.items.every(item => !item.backorderedQuantity),
+  // Only pickup orders are handed over without shipping first
+  delivered: (order, from) =>
+    ['partially_shipped', 'shipped'].includes(from) || order.shipping?.shippingMethod === 'pickup'
+};
+
+// Side-effects, keyed by target status
+const statusHooks = new Map();
+
+/**
+ * Check whether an order may move to a status
+ * @param {Object} order - Order document
+ * @param {String} to - Target status
+ * @returns {Boolean} Whether the transition is allowed
+ */
+const canTransition = (order, to) => {
+  const allowed = ORDER_TRANSITIONS[order.status] || [];
+
+  if (!allowed.includes(to)) {
+    return false;
+  }
+
+  const guard = TRANSITION_GUARDS[to];
+  return guard ? guard(order, order.status) : true;
+};
+
+/**
+ * Throw if an order may not move to a status
+ * @param {Object} order - Order document
+ * @param {String} to - Target status
+ */
+const assertTransition = (order, to) => {
+  if (!canTransition(order, to)) {
+    throw new InvalidTransitionError(order.status, to);
+  }
+};
+
+/**
+ * Register a side-effect to run when an order reaches a status
+ * Hooks run in registration order, after the status is set and before the
+ * order is saved, so changes they make to the order are saved with it.
+ * @param {String} status - Target status
+ * @param {Function} hook - async (order, context) where context is
+ *   { from, note, userId, session, reason }
+ */
+const onStatus = (status, hook) => {
+  if (!statusHooks.has(status)) {
+    statusHooks.set(status, []);
+  }
+  statusHooks.get(status).push(hook);
+};
+
+/**
+ * Run the hooks registered for the status an order just reached
+ * @param {Object} order - Order document
+ * @param {Object} context - { from, note, userId, session, reason }
+ */
+const runStatusHooks = async (order, context) => {
+  for (const hook of statusHooks.get(order.status) || []) {
+    await hook(order, context);
+  }
+};
+
+/**
+ * Build the download link for a digital item
+ * @param {String} orderId - Order ID
+ * @param {String} productId - Product ID
+ * @returns {String} Secure download link
+ */
+const generateSecureDownloadLink = (orderId, productId) => {
+  // In a real application, this would generate a secure, time-limited link
+  return `${process.env.API_URL}/api/downloads/${orderId}/${productId}`;
+};
+
+/**
+ * Attach download links to an order's digital items
+ * @param {Object} order - Order document
+ * @param {Object} session - MongoDB session
+ */
+const generateDigitalDownloadLinks = async (order, session) => {
+  for (const item of order.items) {
+    if (item.productType === 'digital' || item.productType === 'both') {
+      const product = await Product.findById(item.product).session(session || null);
+
+      if (product && product.digitalDetails && product.digitalDetails.fileUrl) {
+        item.digitalDelivery.downloadLink = generateSecureDownloadLink(order._id, item.product);
+        item.digitalDelivery.deliveryStatus = 'delivered';
+      }
+    }
+  }
+};
+
+// Payment confirmed: record it and fulfil digital-only orders straight away
+onStatus('paid', async (order, { userId, session }) => {
+  order.payment.status = 'completed';
+  if (!order.payment.paymentDate) {
+    order.payment.paymentDate = Date.now();
+  }
+
+  if (order.hasDigitalItems && !order.hasPhysicalItems) {
+    await generateDigitalDownloadLinks(order, session);
+    await order.updateStatus('completed', 'Digital order fulfilled automatically', userId, { session });
+  } else if (order.items.some(item => item.backorderedQuantity > 0)) {
+    await order.updateStatus('backordered', 'Waiting for back-ordered items to arrive', userId, { session });
+  }
+});
+
+// Stock may already have arrived while the order was awaiting payment
+onStatus('backordered', async (order, { userId, session }) => {
+  if (await allocateBackorders(order, { session, userId })) {
+    await order.updateStatus('processing', 'Back-ordered items are in stock', userId, { session });
+  }
+});
+
+// Give back any stock still reserved for the order, the coupon use and the pickup slot
+onStatus('cancelled', async (order, { userId, session, reason }) => {
+  await releaseOrderStock(order, {
+    session,
+    userId,
+    reason: reason || `Released from cancelled order ${order.orderNumber}`
+  });
+  await releaseOrderCoupon(order, { session });
+  await releaseOrderPickupSlot(order, { session });
+});
+
+// Reserved units leave the shelf once the order ships or is handed over
+for (const status of ['shipped', 'delivered', 'completed']) {
+  onStatus(status, async (order, { userId, session }) => {
+    await fulfilOrderStock(order, { session, userId });
+  });
+}
+
+onStatus('refunded', async (order) => {
+  order.payment.status = 'refunded';
+});
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  canTransition,
+  assertTransition,
+  onStatus,
+  runStatusHooks
+};
@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const PickupPoint = require('../models/PickupPoint');
+const PickupSlot = require('../models/PickupSlot');
+const { NotFoundError, ValidationError } = require('../middleware/error');
+
+/**
+ * Pickup service
+ * Books capacity-limited collection slots at campus pickup points and issues
+ * the one-time codes students show when they collect.
+ */
+
+/**
+ * List a pickup point's slots for a date with the places left in each
+ * @param {Object} pickupPoint - PickupPoint document
+ * @param {String} date - YYYY-MM-DD
+ * @param {Date} now - Reference time
+ * @returns {Array} { start, end, capacity, remaining, available }
+ */
+const getAvailableSlots = async (pickupPoint, date, now = new Date()) => {
+  const slots = pickupPoint.getSlotsForDate(date);
+  const earliest = now.getTime() + pickupPoint.leadTimeHours * 60 * 60 * 1000;
+
+  const bookings = await PickupSlot.find({
+    pickupPoint: pickupPoint._id,
+    start: { $in: slots.map(slot => slot.start) }
+  });
+  const booked = new Map(bookings.map(b => [b.start.getTime(), b.booked]));
+
+  return slots.map(slot => {
+    const remaining = Math.max(0, pickupPoint.slotCapacity - (booked.get(slot.start.getTime()) || 0));
+
+    return {
+      start: slot.start,
+      end: slot.end,
+      capacity: pickupPoint.slotCapacity,
+      remaining,
+      available: remaining > 0 && slot.start.getTime() >= earliest
+    };
+  });
+};
+
+/**
+ * Find an active pickup point and check a requested slot against its schedule
+ * @param {String} pickupPointId - PickupPoint ID
+ * @param {String|Date} slotStart - Requested slot start
+ * @returns {Object} { pickupPoint, slot }
+ */
+const resolvePickupSlot = async (pickupPointId, slotStart, now = new Date()) => {
+  const pickupPoint = await PickupPoint.findById(pickupPointId);
+
+  if (!pickupPoint || !pickupPoint.isActive) {
+    throw new NotFoundError('Pickup point not found');
+  }
+
+  const slot = pickupPoint.findSlot(slotStart);
+
+  if (!slot) {
+    throw new ValidationError(`${pickupPoint.name} has no pickup slot at that time`);
+  }
+
+  if (slot.start.getTime() < now.getTime() + pickupPoint.leadTimeHours * 60 * 60 * 1000) {
+    throw new ValidationError(`Pickup slots at ${pickupPoint.name} must be booked at least ${pickupPoint.leadTimeHours} hours ahead`);
+  }
+
+  return { pickupPoint, slot };
+};
+
+/**
+ * Take a place in a pickup slot
+ * @param {Object} pickupPoint - PickupPoint document
+ * @param {Object} slot - { start, end }
+ * @param {Object} options - { session }
+ */
+const bookPickupSlot = async (pickupPoint, slot, options = {}) => {
+  try {
+    await PickupSlot.book(pickupPoint._id, slot, pickupPoint.slotCapacity, options);
+  } catch (error) {
+    // The upsert hit the existing, full slot
+    if (error.code === 11000) {
+      throw new ValidationError('This pickup slot is fully booked, please choose another');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Give back an order's pickup slot if it still holds one
+ * Updates the order's pickup status; the caller is responsible for saving.
+ * @param {Object} order - Order document
+ * @param {Object} options - { session }
+ * @returns {Boolean} Whether a slot was released
+ */
+const releaseOrderPickupSlot = async (order, options = {}) => {
+  const pickup = order.shipping?.pickup;
+
+  if (!pickup || pickup.status !== 'booked') {
+    return false;
+  }
+
+  await PickupSlot.release(pickup.pickupPoint, pickup.slotStart, options);
+  pickup.status = 'released';
+  return true;
+};
+
+/**
+ * Generate a six-digit pickup code
+ * @returns {String} Pickup code
+ */
+const generatePickupCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+/**
+ * Build the payload encoded in an order's pickup QR code
+ * @param {Object} order - Order document
+ * @returns {String} QR payload
+ */
+const getPickupQrPayload = (order) => `PICKUP:${order.orderNumber}:${order.shipping.pickup.code}`;
+
+module.exports = {
+  getAvailableSlots,
+  resolvePickupSlot,
+  bookPickupSlot,
+  releaseOrderPickupSlot,
+  generatePickupCode,
+  getPickupQrPayload
+};
@@ -0,0 +1,191 @@
+const Product = require('../models/Product');
+const { quoteOrder, placeOrder, getCurrentShipping } = require('./orderService');
+const { getOrCreateCart, getCartDetails } = require('./cartService');
+const { ValidationError } = require('../middleware/error');
+
+/**
+ * Reorder service
+ * Buy again from a past order: its lines are matched to today's catalogue and
+ * priced at the current price, with the ones that cannot be bought in full
+ * reported, then turned into a cart, a quote or a new order.
+ */
+
+/**
+ * Match a past order's lines to the current catalogue
+ * Short lines are cut down to the stock left unless the product takes
+ * back-orders; lines that cannot be bought at all get a quantity of 0.
+ * @param {Object} order - Past order
+ * @returns {Object} { lines, items } where lines describe every past line with
+ *   a status of available, backorder, short_stock, discontinued or unavailable, and items
+ *   are the [{ product, quantity }] that can be ordered again
+ */
+const getReorderLines = async (order) => {
+  const productIds = order.items.map(item => item.product);
+  const products = await Product.find({ _id: { $in: productIds } });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  const stockMap = new Map();
+
+  for (const product of products) {
+    stockMap.set(product._id.toString(), await product.getAvailableStock());
+  }
+
+  const lines = order.items.map(item => {
+    const product = productMap.get(item.product.toString());
+    const line = {
+      product: item.product,
+      name: product ? product.name : item.name,
+      previousPrice: item.price,
+      quantityOrdered: item.quantity,
+      quantity: 0
+    };
+
+    if (!product) {
+      return { ...line, status: 'unavailable', message: 'This product no longer exists' };
+    }
+
+    if (product.status === 'archived') {
+      return { ...line, status: 'discontinued', message: 'This product has been discontinued' };
+    }
+
+    // Out-of-stock products are still listed, so they fall through to the stock check
+    if (!product.isPublished || !['active', 'out_of_stock'].includes(product.status)) {
+      return { ...line, status: 'unavailable', message: 'This product is not available for purchase' };
+    }
+
+    const unitPrice = product.currentPrice;
+    // Bundles count the kits their components make up
+    const available = stockMap.get(product._id.toString());
+    const inStock = product.status === 'active'
+      ? Math.min(Math.max(available, 0), item.quantity)
+      : 0;
+
+    if (product.status === 'active' && product.acceptsBackorders && inStock < item.quantity) {
+      return {
+        ...line,
+        sku: product.sku,
+        unitPrice,
+        quantity: item.quantity,
+        lineTotal: unitPrice * item.quantity,
+        priceChanged: unitPrice !== item.price,
+        status: 'backorder',
+        expectedRestockDate: product.backorders.expectedRestockDate,
+        message: `${item.quantity - inStock} of ${item.quantity} will be back-ordered`
+      };
+    }
+
+    const quantity = Math.min(item.quantity, inStock);
+
+    return {
+      ...line,
+      sku: product.sku,
+      unitPrice,
+      quantity,
+      lineTotal: unitPrice * quantity,
+      priceChanged: unitPrice !== item.price,
+      status: quantity < item.quantity ? 'short_stock' : 'available',
+      message: quantity < item.quantity
+        ? (quantity === 0 ? 'Out of stock' : `Only ${quantity} of ${item.quantity} in stock`)
+        : undefined
+    };
+  });
+
+  return {
+    lines,
+    items: lines
+      .filter(line => line.quantity > 0)
+      .map(line => ({ product: line.product, quantity: line.quantity }))
+  };
+};
+
+/**
+ * Delivery details to reuse from a past order
+ * Pickup slots are never reused since the old one has passed.
+ * @param {Object} order - Past order
+ * @returns {Object|undefined} Shipping details
+ */
+const getPreviousShipping = (order) => {
+  const shipping = getCurrentShipping(order);
+  return shipping && shipping.shippingMethod !== 'pickup' ? shipping : undefined;
+};
+
+/**
+ * Throw if nothing from a past order can be bought again
+ * @param {Array} items - Orderable items from getReorderLines
+ */
+const assertReorderable = (items) => {
+  if (items.length === 0) {
+    throw new ValidationError('None of the items in this order are available any more');
+  }
+};
+
+/**
+ * Add what can be bought again from a past order to the user's cart
+ * @param {Object} user - Order owner
+ * @param {Object} order - Past order
+ * @returns {Object} { cart, cartDetails, lines }
+ */
+const reorderToCart = async (user, order) => {
+  const { lines, items } = await getReorderLines(order);
+  assertReorderable(items);
+
+  const cart = await getOrCreateCart(user);
+  const priced = new Map(lines.map(line => [line.product.toString(), line.unitPrice]));
+
+  for (const item of items) {
+    cart.addItem(item.product, item.quantity, priced.get(item.product.toString()));
+  }
+  await cart.save();
+
+  return { cart, cartDetails: await getCartDetails(cart), lines };
+};
+
+/**
+ * Quote buying a past order again
+ * @param {Object} user - Order owner
+ * @param {Object} order - Past order
+ * @param {Object} details - { shipping, couponCode }; shipping defaults to the
+ *   past order's delivery address
+ * @returns {Object} { quote, lines }
+ */
+const quoteReorder = async (user, order, details = {}) => {
+  const { lines, items } = await getReorderLines(order);
+  assertReorderable(items);
+
+  const shipping = details.shipping || getPreviousShipping(order);
+  if (order.hasPhysicalItems && !shipping) {
+    throw new ValidationError('Shipping details are required for physical items');
+  }
+
+  const quote = await quoteOrder(user, { items, shipping, couponCode: details.couponCode });
+
+  return { quote, lines };
+};
+
+/**
+ * Place a new order for what can be bought again from a past order
+ * @param {Object} user - Order owner
+ * @param {Object} order - Past order
+ * @param {Object} details - Order creation payload without items; shipping
+ *   defaults to the past order's delivery address
+ * @param {Object} requestInfo - { ipAddress, userAgent }
+ * @returns {Object} { order, pickupSlot, lines }
+ */
+const confirmReorder = async (user, order, details, requestInfo) => {
+  const { lines, items } = await getReorderLines(order);
+  assertReorderable(items);
+
+  const placed = await placeOrder(user, {
+    ...details,
+    shipping: details.shipping || getPreviousShipping(order),
+    items
+  }, requestInfo);
+
+  return { ...placed, lines };
+};
+
+module.exports = {
+  getReorderLines,
+  reorderToCart,
+  quoteReorder,
+  confirmReorder
+};
@@ -0,0 +1,361 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const ReturnRequest = require('../models/ReturnRequest');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const { withTransaction } = require('../config/database');
+const { expandBundles, reserveStock } = require('./stockService');
+const { allocateRestockedProduct } = require('./backorderService');
+const { ValidationError, NotFoundError, PaymentError } = require('../middleware/error');
+
+/**
+ * Return service
+ * Handles return requests (RMAs) for physical items: which units can still be
+ * returned, restocking on receipt and settling the refund, exchange or credit.
+ */
+
+// Days after delivery during which items can be returned
+const getReturnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS) || 14;
+
+// Return statuses that still hold on to the units they name
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'received', 'completed'];
+
+/**
+ * Units of each physical item that have reached the customer and are not
+ * already part of another return
+ * @param {Object} order - Order document
+ * @returns {Map} Order item ID string -> returnable quantity
+ */
+const getReturnableQuantities = async (order) => {
+  const returnable = new Map();
+  const fullyDelivered = ['delivered', 'completed'].includes(order.status);
+
+  if (fullyDelivered) {
+    for (const item of order.items) {
+      if (item.productType !== 'digital') {
+        returnable.set(item._id.toString(), item.quantity);
+      }
+    }
+  } else {
+    // Partially delivered orders can return what arrived
+    for (const shipment of order.shipments.filter(s => s.status === 'delivered')) {
+      for (const line of shipment.items) {
+        const key = line.orderItem.toString();
+        returnable.set(key, (returnable.get(key) || 0) + line.quantity);
+      }
+    }
+  }
+
+  const returns = await ReturnRequest.find({
+    order: order._id,
+    status: { $in: OPEN_RETURN_STATUSES }
+  });
+
+  for (const request of returns) {
+    for (const item of request.items) {
+      const key = item.orderItem.toString();
+      if (returnable.has(key)) {
+        returnable.set(key, returnable.get(key) - item.quantity);
+      }
+    }
+  }
+
+  return returnable;
+};
+
+/**
+ * Create a return request for some of an order's items
+ * @param {Object} order - Order document
+ * @param {Object} details - { items, description, preferredOutcome } where items
+ *   is [{ itemId, quantity, reason }]
+ * @param {Array} photos - Photo URLs
+ * @returns {Object} ReturnRequest document
+ */
+const createReturnRequest = async (order, details, photos = []) => {
+  const shipmentDates = order.shipments
+    .filter(s => s.deliveredDate)
+    .map(s => s.deliveredDate.getTime());
+  const deliveredAt = order.shipping?.deliveredDate || order.completedAt ||
+    (shipmentDates.length > 0 ? Math.max(...shipmentDates) : order.updatedAt);
+  const windowEnds = new Date(deliveredAt);
+  windowEnds.setDate(windowEnds.getDate() + getReturnWindowDays());
+
+  if (Date.now() > windowEnds.getTime()) {
+    throw new ValidationError(`Items can only be returned within ${getReturnWindowDays()} days of delivery`);
+  }
+
+  const returnable = await getReturnableQuantities(order);
+
+  const items = details.items.map(({ itemId, quantity, reason }) => {
+    const item = order.items.id(itemId);
+    const left = returnable.get(String(itemId)) || 0;
+
+    if (!item || left <= 0) {
+      throw new ValidationError(`Order item ${itemId} cannot be returned`);
+    }
+
+    if (quantity > left) {
+      throw new ValidationError(`Only ${left} of ${item.name} can be returned`);
+    }
+
+    // Spread the line's discount and tax over its units
+    const lineAmount = item.price * item.quantity - (item.discount || 0) + (item.taxAmount || 0);
+
+    return {
+      orderItem: item._id,
+      product: item.product,
+      name: item.name,
+      quantity,
+      unitAmount: Math.round(lineAmount / item.quantity * 100) / 100,
+      reason
+    };
+  });
+
+  const returnRequest = new ReturnRequest({
+    rmaNumber: await ReturnRequest.generateRmaNumber(),
+    order: order._id,
+    user: order.user,
+    items,
+    description: details.description,
+    photos,
+    preferredOutcome: details.preferredOutcome
+  });
+
+  return returnRequest.updateStatus('requested', 'Return requested', order.user);
+};
+
+/**
+ * Approve or reject a return request
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Boolean} approved - Whether the return is accepted
+ * @param {String} note - Note for the customer
+ * @param {String} userId - Admin reviewing the request
+ */
+const reviewReturnRequest = async (returnRequest, approved, note, userId) => {
+  if (returnRequest.status !== 'requested') {
+    throw new ValidationError(`Cannot review a return in ${returnRequest.status} status`);
+  }
+
+  returnRequest.adminNote = note;
+  returnRequest.reviewedBy = userId;
+  returnRequest.reviewedAt = Date.now();
+
+  return returnRequest.updateStatus(
+    approved ? 'approved' : 'rejected',
+    note || (approved ? 'Return approved' : 'Return rejected'),
+    userId
+  );
+};
+
+/**
+ * Create a no-charge replacement order for an exchange
+ * Stock for the replacement is reserved like any other order.
+ * @param {Object} order - Original order
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Array} replacements - [{ product, quantity }]
+ * @param {String} userId - Admin processing the exchange
+ * @returns {Object} Replacement order
+ */
+const createExchangeOrder = async (order, returnRequest, replacements, userId) => {
+  const items = [];
+
+  for (const replacement of replacements) {
+    const product = await Product.findById(replacement.product);
+
+    if (!product || product.productType === 'digital') {
+      throw new NotFoundError(`Product with ID ${replacement.product} not found`);
+    }
+
+    items.push({
+      product: product._id,
+      name: product.name,
+      sku: product.sku,
+      price: 0,
+      quantity: replacement.quantity,
+      productType: product.productType,
+      productSnapshot: {
+        name: product.name,
+        price: 0,
+        description: `Exchange under ${returnRequest.rmaNumber}`,
+        image: product.images && product.images.length > 0 ? product.images[0].url : null
+      }
+    });
+  }
+
+  // Pickup slots are not carried over; the replacement is collected at the counter
+  const { pickup, zone, trackingNumber, carrier, ...shipping } = order.shipping.toObject();
+  const orderNumber = await Order.generateOrderNumber();
+
+  return withTransaction(async (session) => {
+    await reserveStock(items, { session, userId, reason: `Reserved for exchange ${returnRequest.rmaNumber}` });
+
+    const [exchangeOrder] = await Order.create([{
+      orderNumber,
+      user: order.user,
+      customerInfo: order.customerInfo,
+      items,
+      itemsCount: items.length,
+      hasPhysicalItems: true,
+      subtotal: 0,
+      totalAmount: 0,
+      status: 'processing',
+      shipping: { ...shipping, shippingCost: 0 },
+      billingAddress: order.billingAddress,
+      payment: {
+        method: order.payment.method,
+        amount: 0,
+        status: 'completed'
+      },
+      inventoryStatus: 'reserved',
+      statusHistory: [{
+        status: 'processing',
+        timestamp: Date.now(),
+        note: `Replacement for ${order.orderNumber} under ${returnRequest.rmaNumber}`,
+        updatedBy: userId
+      }]
+    }], { session });
+
+    return exchangeOrder;
+  });
+};
+
+/**
+ * Record the goods coming back, restock them and settle the outcome
+ * The receipt and the restock are saved together in one transaction before the
+ * outcome is settled. If settling fails, receiving the return again goes
+ * straight to settlement with the quantities already recorded, so nothing is
+ * restocked twice.
+ * @param {Object} returnRequest - ReturnRequest document
+ * @param {Object} details - { items, outcome, note, exchangeItems } where items
+ *   is [{ itemId, receivedQuantity, restock }]; items default to everything
+ *   requested, restocked
+ * @param {String} userId - Admin receiving the goods
+ */
+const receiveReturn = async (returnRequest, details, userId) => {
+  if (returnRequest.status !== 'approved') {
+    throw new ValidationError(`Cannot receive a return in ${returnRequest.status} status`);
+  }
+
+  const order = await Order.findById(returnRequest.order);
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  // receivedAt is only set once the goods are back in stock
+  if (!returnRequest.receivedAt) {
+    const received = new Map((details.items || []).map(item => [String(item.itemId), item]));
+
+    for (const item of returnRequest.items) {
+      const entry = received.get(item.orderItem.toString());
+      const quantity = entry ? entry.receivedQuantity : item.quantity;
+
+      if (quantity > item.quantity) {
+        throw new ValidationError(`Received more ${item.name} than requested for return`);
+      }
+
+      item.receivedQuantity = quantity;
+      item.restockedQuantity = entry && entry.restock === false ? 0 : quantity;
+    }
+
+    returnRequest.receivedBy = userId;
+    returnRequest.receivedAt = Date.now();
+    returnRequest.statusHistory.push({
+      status: 'received',
+      timestamp: Date.now(),
+      note: details.note || 'Returned goods received',
+      updatedBy: userId
+    });
+
+    // Bundles hold no stock of their own, so their components go back instead
+    const restocked = await expandBundles(returnRequest.items
+      .filter(item => item.restockedQuantity > 0)
+      .map(item => {
+        const orderItem = order.items.id(item.orderItem);
+
+        return {
+          product: item.product,
+          productType: orderItem ? orderItem.productType : undefined,
+          components: orderItem ? orderItem.components : undefined,
+          quantity: item.restockedQuantity
+        };
+      }));
+
+    // Put the goods back on the shelf and record the receipt in one go
+    await withTransaction(async (session) => {
+      for (const line of restocked) {
+        const product = await Product.findById(line.product).session(session);
+
+        if (product) {
+          await product.updateStock(
+            line.quantity,
+            'add',
+            `Returned under ${returnRequest.rmaNumber}`,
+            userId,
+            session
+          );
+        }
+      }
+
+      await returnRequest.save({ session });
+    });
+
+    // Back-orders waiting on the returned products get first call on them
+    const productIds = new Set(restocked.map(line => line.product.toString()));
+    for (const productId of productIds) {
+      await allocateRestockedProduct(productId, { userId });
+    }
+  }
+
+  const amount = Math.round(returnRequest.items
+    .reduce((sum, item) => sum + item.unitAmount * item.receivedQuantity, 0) * 100) / 100;
+
+  const outcome = { type: details.outcome, amount, processedAt: Date.now() };
+
+  switch (details.outcome) {
+    case 'refund': {
+      const transaction = await Transaction.findOne({
+        order: order._id,
+        transactionId: order.payment.transactionId
+      });
+
+      if (!transaction) {
+        throw new NotFoundError('Transaction record not found');
+      }
+
+      try {
+        await transaction.addRefund(amount, `Return ${returnRequest.rmaNumber}`, userId);
+      } catch (error) {
+        throw new PaymentError('Failed to process refund: ' + error.message);
+      }
+      break;
+    }
+
+    case 'store_credit':
+      await User.updateOne({ _id: returnRequest.user }, { $inc: { storeCredit: amount } });
+      break;
+
+    case 'exchange': {
+      const replacements = details.exchangeItems && details.exchangeItems.length > 0
+        ? details.exchangeItems
+        : returnRequest.items
+          .filter(item => item.receivedQuantity > 0)
+          .map(item => ({ product: item.product, quantity: item.receivedQuantity }));
+      const exchangeOrder = await createExchangeOrder(order, returnRequest, replacements, userId);
+
+      outcome.amount = 0;
+      outcome.exchangeOrder = exchangeOrder._id;
+      break;
+    }
+  }
+
+  returnRequest.outcome = outcome;
+  return returnRequest.updateStatus('completed', `Return settled by ${details.outcome.replace('_', ' ')}`, userId);
+};
+
+module.exports = {
+  getReturnableQuantities,
+  createReturnRequest,
+  reviewReturnRequest,
+  receiveReturn
+};
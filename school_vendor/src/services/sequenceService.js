@@ -0,0 +1,68 @@
+const Counter = require('../models/Counter');
+const { getSequenceFormat } = require('../config/sequences');
+
+/**
+ * Sequence service
+ * Reference numbers for orders, transactions, invoices, receipts, refunds and
+ * returns, taken from atomically incremented counters so concurrent requests
+ * never get the same number. Formats are set per document type in
+ * config/sequences.
+ */
+
+// {name} or {name:width}
+const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+
+const pad = (value, width) => String(value).padStart(width, '0');
+
+/**
+ * Date tokens for a moment, in server local time
+ * @param {Date} date - Date to format
+ * @returns {Object} { YYYY, YY, MM, DD }
+ */
+const getDateTokens = (date) => ({
+  YYYY: String(date.getFullYear()),
+  YY: String(date.getFullYear()).slice(-2),
+  MM: pad(date.getMonth() + 1, 2),
+  DD: pad(date.getDate(), 2)
+});
+
+/**
+ * Atomically take the next value of a named counter
+ * @param {String} name - Counter name
+ * @param {Object} options - { session }
+ * @returns {Number} Next value, starting at 1
+ */
+const nextValue = (name, options = {}) => Counter.next(name, options);
+
+/**
+ * Generate the next reference number for a document type
+ * @param {String} type - Document type (order, transaction, invoice, ...)
+ * @param {Object} options - { session, prefix, date } where prefix replaces the
+ *   configured one for this number and date defaults to now
+ * @returns {String} Formatted reference number
+ */
+const nextSequence = async (type, options = {}) => {
+  const { format, prefix } = getSequenceFormat(type);
+  const dateTokens = getDateTokens(options.date || new Date());
+
+  // Each distinct date part gets its own counter
+  const period = [...format.matchAll(TOKEN_PATTERN)]
+    .map(([, token]) => dateTokens[token])
+    .filter(Boolean)
+    .join('');
+
+  const seq = await nextValue(period ? `${type}:${period}` : type, { session: options.session });
+  const values = { ...dateTokens, prefix: options.prefix || prefix, seq };
+
+  return format.replace(TOKEN_PATTERN, (match, token, width) => {
+    if (values[token] === undefined) {
+      return match;
+    }
+    return width ? pad(values[token], Number(width)) : String(values[token]);
+  });
+};
+
+module.exports = {
+  nextValue,
+  nextSequence
+};
@@ -0,0 +1,223 @@
+const { withTransaction } = require('../config/database');
+const { ValidationError, NotFoundError } = require('../middleware/error');
+const { fulfilShipmentStock } = require('./stockService');
+
+/**
+ * Shipment service
+ * Splits an order's physical items into shipments and keeps the order status
+ * in line with them (partially shipped, shipped, delivered).
+ */
+
+// Order statuses in which new shipments can be created; a back-ordered order
+// can ship the units that are in stock
+const SHIPPABLE_STATUSES = ['paid', 'backordered', 'processing', 'ready_for_shipping', 'partially_shipped'];
+
+// Allowed shipment status changes
+const SHIPMENT_TRANSITIONS = {
+  pending: ['shipped'],
+  shipped: ['delivered'],
+  delivered: []
+};
+
+/**
+ * Move the order to the status its shipments imply, if that changed
+ * @param {Object} order - Order document
+ * @param {String} userId - User making the change
+ * @param {Object} options - { session }
+ */
+const syncOrderFulfilmentStatus = async (order, userId, options = {}) => {
+  const status = order.getFulfilmentStatus();
+
+  if (status && status !== order.status) {
+    const note = status === 'partially_shipped'
+      ? 'Some items have shipped'
+      : `All items ${status}`;
+    await order.updateStatus(status, note, userId, { session: options.session });
+  } else {
+    await order.save({ session: options.session });
+  }
+};
+
+/**
+ * Mark a shipment as sent, take its units off the shelf and save the order
+ * The stock and the order are written in one transaction so they never
+ * disagree about what has left the building.
+ * @param {Object} order - Order document
+ * @param {Object} shipment - Shipment subdocument
+ * @param {String} userId - User making the change
+ */
+const markShipped = async (order, shipment, userId) => {
+  shipment.status = 'shipped';
+  shipment.shippedDate = Date.now();
+
+  // A retried transaction starts again from the quantities as loaded
+  const fulfilled = order.items.map(item => item.fulfilledQuantity);
+  const { inventoryStatus } = order;
+
+  await withTransaction(async (session) => {
+    order.items.forEach((item, index) => {
+      item.fulfilledQuantity = fulfilled[index];
+    });
+    order.inventoryStatus = inventoryStatus;
+
+    await fulfilShipmentStock(order, shipment, { session, userId });
+    await syncOrderFulfilmentStatus(order, userId, { session });
+  });
+};
+
+/**
+ * Find a shipment on an order
+ * @param {Object} order - Order document
+ * @param {String} shipmentId - Shipment ID
+ * @returns {Object} Shipment subdocument
+ */
+const getShipment = (order, shipmentId) => {
+  const shipment = order.shipments.id(shipmentId);
+
+  if (!shipment) {
+    throw new NotFoundError('Shipment not found');
+  }
+
+  return shipment;
+};
+
+/**
+ * Create a shipment for some or all of an order's unshipped units
+ * A shipment created with a tracking number is treated as already sent.
+ * @param {Object} order - Order document
+ * @param {Object} details - { items, carrier, trackingNumber, estimatedDelivery, note }
+ *   where items is [{ itemId, quantity }]; omit items to ship everything left
+ * @param {String} userId - User creating the shipment
+ * @returns {Object} Shipment subdocument
+ */
+const createShipment = async (order, details, userId) => {
+  if (!order.hasPhysicalItems) {
+    throw new ValidationError('Cannot ship an order without physical items');
+  }
+
+  if (order.shipping?.shippingMethod === 'pickup') {
+    throw new ValidationError('Pickup orders are handed over at the pickup point, not shipped');
+  }
+
+  if (!SHIPPABLE_STATUSES.includes(order.status)) {
+    throw new ValidationError(`Cannot ship an order in ${order.status} status`);
+  }
+
+  const remaining = order.getUnshippedQuantities();
+  const requested = details.items && details.items.length > 0
+    ? details.items
+    : [...remaining.entries()]
+      .filter(([, quantity]) => quantity > 0)
+      .map(([itemId, quantity]) => ({ itemId, quantity }));
+
+  if (requested.length === 0) {
+    throw new ValidationError(order.items.some(item => item.backorderedQuantity > 0)
+      ? 'The items left to ship are still on back-order'
+      : 'All items on this order have already been shipped');
+  }
+
+  const lines = requested.map(({ itemId, quantity }) => {
+    const item = order.items.id(itemId);
+
+    if (!item || !remaining.has(itemId.toString())) {
+      throw new ValidationError(`Order item ${itemId} is not a physical item on this order`);
+    }
+
+    const left = remaining.get(itemId.toString());
+    if (quantity > left) {
+      throw new ValidationError(`Only ${left} of ${item.name} left to ship`);
+    }
+    remaining.set(itemId.toString(), left - quantity);
+
+    return {
+      orderItem: item._id,
+      product: item.product,
+      name: item.name,
+      quantity,
+      components: item.components.map(component => ({
+        product: component.product,
+        name: component.name,
+        sku: component.sku,
+        quantity: component.quantity * quantity
+      }))
+    };
+  });
+
+  order.shipments.push({
+    shipmentNumber: `${order.orderNumber}-S${order.shipments.length + 1}`,
+    items: lines,
+    carrier: details.carrier,
+    trackingNumber: details.trackingNumber,
+    estimatedDelivery: details.estimatedDelivery,
+    note: details.note,
+    createdBy: userId
+  });
+
+  const shipment = order.shipments[order.shipments.length - 1];
+
+  if (details.trackingNumber) {
+    await markShipped(order, shipment, userId);
+  } else {
+    await syncOrderFulfilmentStatus(order, userId);
+  }
+
+  return shipment;
+};
+
+/**
+ * Add or replace tracking on a shipment; a pending shipment is marked as sent
+ * @param {Object} order - Order document
+ * @param {String} shipmentId - Shipment ID
+ * @param {Object} tracking - { trackingNumber, carrier, estimatedDelivery }
+ * @param {String} userId - User making the change
+ * @returns {Object} Shipment subdocument
+ */
+const addShipmentTracking = async (order, shipmentId, tracking, userId) => {
+  const shipment = getShipment(order, shipmentId);
+
+  shipment.trackingNumber = tracking.trackingNumber;
+  shipment.carrier = tracking.carrier;
+  if (tracking.estimatedDelivery) {
+    shipment.estimatedDelivery = new Date(tracking.estimatedDelivery);
+  }
+
+  if (shipment.status === 'pending') {
+    await markShipped(order, shipment, userId);
+  } else {
+    await syncOrderFulfilmentStatus(order, userId);
+  }
+
+  return shipment;
+};
+
+/**
+ * Move a shipment to shipped or delivered
+ * @param {Object} order - Order document
+ * @param {String} shipmentId - Shipment ID
+ * @param {String} status - New shipment status
+ * @param {String} userId - User making the change
+ * @returns {Object} Shipment subdocument
+ */
+const updateShipmentStatus = async (order, shipmentId, status, userId) => {
+  const shipment = getShipment(order, shipmentId);
+
+  if (!SHIPMENT_TRANSITIONS[shipment.status].includes(status)) {
+    throw new ValidationError(`Cannot move shipment from ${shipment.status} to ${status}`);
+  }
+
+  if (status === 'shipped') {
+    await markShipped(order, shipment, userId);
+  } else {
+    shipment.status = 'delivered';
+    shipment.deliveredDate = Date.now();
+    await syncOrderFulfilmentStatus(order, userId);
+  }
+
+  return shipment;
+};
+
+module.exports = {
+  createShipment,
+  addShipmentTracking,
+  updateShipmentStatus
+};
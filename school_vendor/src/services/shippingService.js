@@ -0,0 +1,139 @@
+const ShippingZone = require('../models/ShippingZone');
+const { ValidationError } = require('../middleware/error');
+
+/**
+ * Shipping service
+ * Prices delivery from the admin-configured shipping zones using the parcel's
+ * actual or volumetric weight, whichever is greater.
+ */
+
+// Used until any shipping zone has been configured
+const FALLBACK_RATES = {
+  standard: 25,
+  express: 50,
+  pickup: 0
+};
+
+const METHOD_LABELS = {
+  standard: 'Standard delivery',
+  express: 'Express delivery',
+  pickup: 'Pickup'
+};
+
+/**
+ * Work out the weights and surcharges for a set of lines
+ * @param {Object} zone - ShippingZone document
+ * @param {Array} lines - { product, quantity } for physical items
+ * @returns {Object} { actualWeight, volumetricWeight, chargeableWeight, surcharge }
+ */
+const buildParcel = (zone, lines) => {
+  let actualWeight = 0;
+  let volumetricWeight = 0;
+  let surcharge = 0;
+
+  for (const { product, quantity } of lines) {
+    const details = product.physicalDetails || {};
+    const dimensions = details.dimensions || {};
+
+    actualWeight += (details.weight || 0) * quantity;
+    volumetricWeight += ((dimensions.length || 0) * (dimensions.width || 0) * (dimensions.height || 0) /
+      zone.volumetricDivisor) * quantity;
+
+    const classSurcharge = zone.classSurcharges?.[details.shippingClass] || 0;
+    surcharge += classSurcharge * quantity;
+  }
+
+  const round = value => Math.round(value * 100) / 100;
+
+  return {
+    actualWeight: round(actualWeight),
+    volumetricWeight: round(volumetricWeight),
+    chargeableWeight: round(Math.max(actualWeight, volumetricWeight)),
+    surcharge
+  };
+};
+
+/**
+ * List the delivery options and prices for an address
+ * @param {Object} address - Shipping address ({ city, state, ... })
+ * @param {Array} lines - { product, quantity } for physical items
+ * @param {Number} subtotal - Item subtotal before discounts
+ * @returns {Object} { zone, options } where each option is
+ *   { method, label, cost, estimatedDays, freeShipping }
+ */
+const quoteShipping = async (address, lines, subtotal) => {
+  const zone = await ShippingZone.findForAddress(address);
+
+  if (!zone) {
+    const configured = await ShippingZone.exists({ isActive: true });
+
+    if (configured) {
+      throw new ValidationError(`Delivery is not available to ${address.city}, ${address.state}`);
+    }
+
+    return {
+      zone: null,
+      parcel: null,
+      options: Object.entries(FALLBACK_RATES).map(([method, cost]) => ({
+        method,
+        label: METHOD_LABELS[method],
+        cost,
+        freeShipping: cost === 0
+      }))
+    };
+  }
+
+  const parcel = buildParcel(zone, lines);
+
+  const options = zone.rates
+    .filter(rate => rate.isActive)
+    .map(rate => {
+      // Surcharges cover handling in transit, which pickup does not need
+      const cost = zone.calculateRate(rate, {
+        chargeableWeight: parcel.chargeableWeight,
+        surcharge: rate.method === 'pickup' ? 0 : parcel.surcharge,
+        subtotal
+      });
+
+      return {
+        method: rate.method,
+        label: rate.label || METHOD_LABELS[rate.method],
+        cost,
+        estimatedDays: rate.estimatedDays,
+        freeShipping: cost === 0
+      };
+    });
+
+  return {
+    zone: { id: zone._id, name: zone.name },
+    parcel,
+    options
+  };
+};
+
+/**
+ * Price one shipping method for an order
+ * @param {String} shippingMethod - standard, express or pickup
+ * @param {Object} address - Shipping address
+ * @param {Array} lines - { product, quantity } for physical items
+ * @param {Number} subtotal - Item subtotal before discounts
+ * @returns {Object} { cost, zone }
+ */
+const calculateShippingCost = async (shippingMethod, address, lines, subtotal) => {
+  const quote = await quoteShipping(address, lines, subtotal);
+  const option = quote.options.find(o => o.method === shippingMethod);
+
+  if (!option) {
+    throw new ValidationError(`${METHOD_LABELS[shippingMethod] || shippingMethod} is not available for this address`);
+  }
+
+  return {
+    cost: option.cost,
+    zone: quote.zone ? quote.zone.id : undefined
+  };
+};
+
+module.exports = {
+  quoteShipping,
+  calculateShippingCost
+};
@@ -0,0 +1,261 @@
+const Product = require('../models/Product');
+const { ValidationError } = require('../middleware/error');
+
+/**
+ * Stock service
+ * Shared helpers that move stock between products and orders. Pass a session
+ * in the options to run the updates inside a MongoDB transaction. Bundles hold
+ * no stock of their own, so their lines move their components' stock.
+ */
+
+/**
+ * Replace bundle lines with lines for their components
+ * Order items carry their components; other lines load them from the bundle.
+ * @param {Array} items - { product, productType, quantity, components } per line
+ * @param {Object} options - { session }
+ * @returns {Array} { product, productType, quantity } per line, none of them bundles
+ */
+const expandBundles = async (items, options = {}) => {
+  const lines = [];
+
+  for (const item of items) {
+    if (item.productType !== 'bundle') {
+      lines.push(item);
+      continue;
+    }
+
+    let components = item.components;
+    if (!components || components.length === 0) {
+      const bundle = await Product.findById(item.product, 'productType bundle', { session: options.session });
+      components = bundle ? bundle.bundle.components : [];
+    }
+
+    for (const component of components) {
+      lines.push({
+        product: component.product._id || component.product,
+        productType: 'physical',
+        quantity: component.quantity * item.quantity
+      });
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Helper function to reserve stock for order items
+ * Each line is decremented with a conditional update, so an insufficient
+ * line throws and the surrounding transaction rolls back earlier lines.
+ * @param {Array} items - Order items
+ * @param {Object} options - { session, userId, reason }
+ */
+const reserveStock = async (items, options = {}) => {
+  for (const item of await expandBundles(items, options)) {
+    if (item.productType !== 'digital') {
+      try {
+        await Product.reserveStock(item.product, item.quantity, {
+          reason: 'Reserved for order',
+          ...options
+        });
+      } catch (error) {
+        // Let driver errors through untouched so transient ones are retried
+        if (typeof error.hasErrorLabel === 'function') {
+          throw error;
+        }
+        throw new ValidationError(error.message);
+      }
+    }
+  }
+};
+
+/**
+ * Helper function to restore stock for cancelled orders
+ * Gives back the reservation made by reserveStock.
+ * @param {Array} items - Order items
+ * @param {Object} options - { session, userId, reason }
+ */
+const restoreStock = async (items, options = {}) => {
+  for (const item of await expandBundles(items, options)) {
+    if (item.productType !== 'digital') {
+      // Add stock back
+      await Product.releaseStock(item.product, item.quantity, {
+        reason: 'Restored from cancelled order',
+        ...options
+      });
+    }
+  }
+};
+
+/**
+ * Helper function to take reserved stock off the shelf for fulfilled items
+ * @param {Array} items - Order items
+ * @param {Object} options - { session, userId, reason }
+ */
+const fulfilStock = async (items, options = {}) => {
+  for (const item of await expandBundles(items, options)) {
+    if (item.productType !== 'digital') {
+      await Product.fulfilStock(item.product, item.quantity, {
+        reason: 'Fulfilled order',
+        ...options
+      });
+    }
+  }
+};
+
+/**
+ * Order items reduced to the units that hold stock: not back-ordered
+ * @param {Array} items - Order items
+ * @returns {Array} { product, productType, components, quantity } per item with units to reserve
+ */
+const getReservableLines = (items) => items
+  .map(item => ({
+    product: item.product,
+    productType: item.productType,
+    components: item.components,
+    quantity: item.quantity - (item.backorderedQuantity || 0)
+  }))
+  .filter(line => line.quantity > 0);
+
+/**
+ * Order items reduced to the units still reserved (not back-ordered or shipped)
+ * @param {Object} order - Order document
+ * @returns {Array} { product, productType, components, quantity } per item with units left
+ */
+const getReservedLines = (order) => order.items
+  .map(item => ({
+    product: item.product,
+    productType: item.productType,
+    components: item.components,
+    quantity: item.quantity - (item.backorderedQuantity || 0) - (item.fulfilledQuantity || 0)
+  }))
+  .filter(line => line.quantity > 0);
+
+/**
+ * Release an order's reservation if it still holds one
+ * Only units that have not shipped yet are given back.
+ * Updates order.inventoryStatus; the caller is responsible for saving the order.
+ * @param {Object} order - Order document
+ * @param {Object} options - { session, userId, reason }
+ * @returns {Boolean} Whether stock was released
+ */
+const releaseOrderStock = async (order, options = {}) => {
+  if (order.inventoryStatus !== 'reserved') {
+    return false;
+  }
+  
+  await restoreStock(getReservedLines(order), options);
+  order.inventoryStatus = 'released';
+  return true;
+};
+
+/**
+ * Fulfil whatever is left of an order's reservation
+ * Updates order.inventoryStatus; the caller is responsible for saving the order.
+ * @param {Object} order - Order document
+ * @param {Object} options - { session, userId, reason }
+ * @returns {Boolean} Whether stock was fulfilled
+ */
+const fulfilOrderStock = async (order, options = {}) => {
+  if (order.inventoryStatus !== 'reserved') {
+    return false;
+  }
+  
+  await fulfilStock(getReservedLines(order), {
+    reason: `Fulfilled order ${order.orderNumber}`,
+    ...options
+  });
+  
+  for (const item of order.items) {
+    item.fulfilledQuantity = item.quantity;
+  }
+  order.inventoryStatus = 'fulfilled';
+  return true;
+};
+
+/**
+ * Fulfil the units sent in one shipment
+ * Updates the items' fulfilledQuantity and, once every unit has shipped,
+ * order.inventoryStatus; the caller is responsible for saving the order.
+ * @param {Object} order - Order document
+ * @param {Object} shipment - Shipment subdocument
+ * @param {Object} options - { session, userId, reason }
+ * @returns {Boolean} Whether stock was fulfilled
+ */
+const fulfilShipmentStock = async (order, shipment, options = {}) => {
+  if (order.inventoryStatus !== 'reserved') {
+    return false;
+  }
+  
+  for (const line of shipment.items) {
+    const item = order.items.id(line.orderItem);
+    
+    await fulfilStock([{
+      product: item.product,
+      productType: item.productType,
+      components: item.components,
+      quantity: line.quantity
+    }], {
+      reason: `Fulfilled shipment ${shipment.shipmentNumber}`,
+      ...options
+    });
+    item.fulfilledQuantity = (item.fulfilledQuantity || 0) + line.quantity;
+  }
+  
+  // Units still on back-order will be reserved, and shipped, later
+  if (getReservedLines(order).every(line => line.productType === 'digital') &&
+      order.items.every(item => !item.backorderedQuantity)) {
+    order.inventoryStatus = 'fulfilled';
+  }
+  return true;
+};
+
+/**
+ * Reserve stock for an order's back-ordered units, as far as stock allows
+ * Updates the items' backorderedQuantity; the caller is responsible for saving
+ * the order.
+ * @param {Object} order - Order document
+ * @param {Object} options - { session, userId, product } where product limits
+ *   the allocation to one product's lines
+ * @returns {Boolean} Whether every back-ordered unit now has stock
+ */
+const allocateBackorders = async (order, options = {}) => {
+  const { product: productId, ...stockOptions } = options;
+
+  for (const item of order.items) {
+    if (!item.backorderedQuantity || (productId && item.product.toString() !== productId.toString())) {
+      continue;
+    }
+
+    const product = await Product.findById(item.product, null, { session: stockOptions.session });
+    if (!product) {
+      continue;
+    }
+
+    // Products that stopped tracking stock have nothing to wait for
+    const quantity = product.stockManagement
+      ? Math.min(item.backorderedQuantity, product.availableStock)
+      : item.backorderedQuantity;
+
+    if (quantity > 0) {
+      await reserveStock([{ product: item.product, productType: item.productType, quantity }], {
+        reason: `Allocated to back-order ${order.orderNumber}`,
+        ...stockOptions
+      });
+      item.backorderedQuantity -= quantity;
+    }
+  }
+
+  return order.items.every(item => !item.backorderedQuantity);
+};
+
+module.exports = {
+  expandBundles,
+  getReservableLines,
+  allocateBackorders,
+  reserveStock,
+  restoreStock,
+  fulfilStock,
+  releaseOrderStock,
+  fulfilOrderStock,
+  fulfilShipmentStock
+};
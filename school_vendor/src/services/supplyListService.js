@@ -0,0 +1,316 @@
+const SupplyList = require('../models/SupplyList');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { placeOrder } = require('./orderService');
+const { getOrCreateCart, getCartDetails } = require('./cartService');
+const { NotFoundError, ValidationError } = require('../middleware/error');
+
+/**
+ * Supply list service
+ * The official book and supply lists schools publish per grade and term. A
+ * parent (or the pupil) sees the list for the pupil's grade next to what past
+ * orders already bought, and turns the rest into a cart or an order.
+ */
+
+// Orders whose items count as bought
+const PURCHASED_STATUSES = [
+  'paid',
+  'backordered',
+  'processing',
+  'ready_for_shipping',
+  'partially_shipped',
+  'shipped',
+  'delivered',
+  'completed'
+];
+
+/**
+ * Pupils a user shops for: themselves if they have a grade, and their children
+ * @param {Object} user - Signed-in user
+ * @returns {Array} User documents
+ */
+const getStudents = async (user) => {
+  const children = await User.find({ 'parentInfo.parentId': user._id, isActive: true })
+    .select('firstName lastName studentId grade')
+    .sort('firstName');
+
+  return user.grade ? [user, ...children] : children;
+};
+
+/**
+ * Pick the pupil a request is about
+ * Without an ID the user's only pupil is used.
+ * @param {Object} user - Signed-in user
+ * @param {String} studentId - User ID of the pupil, if given
+ * @returns {Object} User document of the pupil
+ */
+const findStudent = async (user, studentId) => {
+  if (studentId && user.role === 'admin') {
+    const student = await User.findById(studentId);
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
+    }
+    return student;
+  }
+
+  const students = await getStudents(user);
+
+  if (studentId) {
+    const student = students.find(candidate => candidate._id.toString() === studentId.toString());
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
+    }
+    return student;
+  }
+
+  if (students.length === 0) {
+    throw new ValidationError('Add your child to your account, or set your grade, to see supply lists');
+  }
+
+  if (students.length > 1) {
+    throw new ValidationError('Please choose which student to shop for');
+  }
+
+  return students[0];
+};
+
+/**
+ * Published supply lists for a pupil's grade, newest term first
+ * @param {Object} student - Pupil
+ * @returns {Array} SupplyList documents
+ */
+const getListsForStudent = async (student) => {
+  if (!student.grade) {
+    throw new ValidationError(`No grade is set for ${student.firstName}`);
+  }
+
+  return SupplyList.find({ grade: student.grade, isPublished: true })
+    .select('-items')
+    .sort({ academicYear: -1, term: -1 });
+};
+
+/**
+ * Load a supply list a pupil may shop from
+ * @param {String} listId - SupplyList ID
+ * @param {Object} student - Pupil
+ * @param {Object} user - Signed-in user; admins may open any list
+ * @returns {Object} SupplyList document
+ */
+const findListForStudent = async (listId, student, user) => {
+  const list = await SupplyList.findById(listId);
+
+  if (!list || (user.role !== 'admin' && (!list.isPublished || list.grade !== student.grade))) {
+    throw new NotFoundError('Supply list not found');
+  }
+
+  return list;
+};
+
+/**
+ * Units of each product a pupil's past orders bought
+ * Orders the pupil placed and orders placed for them, recorded by user ID or
+ * by school student ID, all count, as do the components of bundles.
+ * @param {Object} student - Pupil
+ * @param {Object} list - SupplyList document
+ * @returns {Map} Product ID string -> quantity
+ */
+const getPurchasedQuantities = async (student, list) => {
+  const buyers = [{ user: student._id }, { 'customerInfo.student': student._id }];
+  if (student.studentId) {
+    buyers.push({ 'customerInfo.studentId': student.studentId });
+  }
+
+  const orders = await Order.find({
+    status: { $in: PURCHASED_STATUSES },
+    $or: buyers,
+    ...(list.purchasesFrom ? { createdAt: { $gte: list.purchasesFrom } } : {})
+  }).select('items');
+
+  const quantities = new Map();
+  const add = (product, quantity) => {
+    const key = product.toString();
+    quantities.set(key, (quantities.get(key) || 0) + quantity);
+  };
+
+  for (const order of orders) {
+    for (const item of order.items) {
+      add(item.product, item.quantity);
+      item.components.forEach(component => add(component.product, component.quantity * item.quantity));
+    }
+  }
+
+  return quantities;
+};
+
+/**
+ * Compare a supply list with what a pupil already has
+ * Each line gets a status of purchased, available, backorder, short_stock or
+ * unavailable, and an orderable quantity: what is still needed, cut down to
+ * the stock left unless the product takes back-orders.
+ * @param {Object} list - SupplyList document
+ * @param {Object} student - Pupil
+ * @returns {Object} { list, student, lines, summary }
+ */
+const getSupplyListProgress = async (list, student) => {
+  const products = await Product.find({ _id: { $in: list.items.map(item => item.product) } });
+  const productMap = new Map(products.map(product => [product._id.toString(), product]));
+  const purchasedMap = await getPurchasedQuantities(student, list);
+
+  const lines = [];
+
+  for (const item of list.items) {
+    const product = productMap.get(item.product.toString());
+    const purchased = Math.min(item.quantity, purchasedMap.get(item.product.toString()) || 0);
+    const line = {
+      product: item.product,
+      name: product ? product.name : undefined,
+      required: item.required,
+      note: item.note,
+      quantity: item.quantity,
+      purchased,
+      remaining: item.quantity - purchased,
+      orderable: 0
+    };
+
+    if (line.remaining === 0) {
+      lines.push({ ...line, status: 'purchased' });
+      continue;
+    }
+
+    if (!product || !product.isPublished || product.status !== 'active') {
+      lines.push({ ...line, status: 'unavailable', message: 'This item is not available to buy here' });
+      continue;
+    }
+
+    const available = Math.max(await product.getAvailableStock(), 0);
+    const priced = {
+      ...line,
+      sku: product.sku,
+      image: product.images && product.images.length > 0 ? product.images[0].url : null,
+      unitPrice: product.currentPrice
+    };
+
+    if (product.acceptsBackorders) {
+      lines.push({
+        ...priced,
+        orderable: line.remaining,
+        status: available < line.remaining ? 'backorder' : 'available',
+        expectedRestockDate: available < line.remaining ? product.backorders.expectedRestockDate : undefined
+      });
+      continue;
+    }
+
+    const orderable = Math.min(line.remaining, available);
+    lines.push({
+      ...priced,
+      orderable,
+      status: orderable < line.remaining ? 'short_stock' : 'available',
+      message: orderable < line.remaining
+        ? (orderable === 0 ? 'Out of stock' : `Only ${orderable} of ${line.remaining} in stock`)
+        : undefined
+    });
+  }
+
+  const required = lines.filter(line => line.required);
+
+  return {
+    list: {
+      id: list._id,
+      title: list.title,
+      grade: list.grade,
+      academicYear: list.academicYear,
+      term: list.term
+    },
+    student: {
+      id: student._id,
+      name: `${student.firstName} ${student.lastName}`,
+      studentId: student.studentId,
+      grade: student.grade
+    },
+    lines,
+    summary: {
+      requiredItems: required.length,
+      requiredRemaining: required.filter(line => line.remaining > 0).length,
+      optionalRemaining: lines.filter(line => !line.required && line.remaining > 0).length,
+      complete: required.every(line => line.remaining === 0)
+    }
+  };
+};
+
+/**
+ * What is left to buy from a supply list, as order items
+ * @param {Object} progress - Result of getSupplyListProgress
+ * @param {Object} options - { includeOptional }
+ * @returns {Array} [{ product, quantity }]
+ */
+const getRemainingItems = (progress, options = {}) => {
+  const items = progress.lines
+    .filter(line => line.orderable > 0 && (line.required || options.includeOptional))
+    .map(line => ({ product: line.product, quantity: line.orderable }));
+
+  if (items.length === 0) {
+    throw new ValidationError('Nothing left on this list can be bought right now');
+  }
+
+  return items;
+};
+
+/**
+ * Add what is left on a supply list to the user's cart
+ * @param {Object} user - Signed-in user
+ * @param {Object} list - SupplyList document
+ * @param {Object} student - Pupil
+ * @param {Object} options - { includeOptional }
+ * @returns {Object} { cart, cartDetails, progress }
+ */
+const supplyListToCart = async (user, list, student, options = {}) => {
+  const progress = await getSupplyListProgress(list, student);
+  const items = getRemainingItems(progress, options);
+
+  const cart = await getOrCreateCart(user);
+  const priced = new Map(progress.lines.map(line => [line.product.toString(), line.unitPrice]));
+
+  for (const item of items) {
+    cart.addItem(item.product, item.quantity, priced.get(item.product.toString()));
+  }
+  await cart.save();
+
+  return { cart, cartDetails: await getCartDetails(cart), progress };
+};
+
+/**
+ * Place an order for what is left on a supply list
+ * The order records the pupil so it counts towards their list.
+ * @param {Object} user - Signed-in user
+ * @param {Object} list - SupplyList document
+ * @param {Object} student - Pupil
+ * @param {Object} details - Order creation payload without items, plus includeOptional
+ * @param {Object} requestInfo - { ipAddress, userAgent }
+ * @returns {Object} { order, pickupSlot, progress }
+ */
+const orderSupplyList = async (user, list, student, details, requestInfo) => {
+  const { includeOptional, ...orderDetails } = details;
+  const progress = await getSupplyListProgress(list, student);
+  const items = getRemainingItems(progress, { includeOptional });
+
+  const placed = await placeOrder(user, {
+    ...orderDetails,
+    student: student._id,
+    items
+  }, requestInfo);
+
+  return { ...placed, progress };
+};
+
+module.exports = {
+  getStudents,
+  findStudent,
+  getListsForStudent,
+  findListForStudent,
+  getSupplyListProgress,
+  supplyListToCart,
+  orderSupplyList
+};
@@ -0,0 +1,96 @@
+const TaxClass = require('../models/TaxClass');
+const Category = require('../models/Category');
+
+/**
+ * Tax service
+ * Resolves which tax class applies to each product and works out the per-line
+ * and per-component taxes for an order.
+ */
+
+/**
+ * Find the tax class for each product
+ * A product's own class wins, then its subcategory's, then its category's,
+ * then the default class. Products with none of these are not taxed.
+ * @param {Array} products - Product documents
+ * @returns {Map} Product ID string -> TaxClass document or null
+ */
+const resolveTaxClasses = async (products) => {
+  const categoryIds = products
+    .flatMap(product => [product.category, product.subcategory])
+    .filter(Boolean);
+
+  const categories = await Category.find({ _id: { $in: categoryIds } }).select('taxClass');
+  const categoryTaxClass = new Map(
+    categories.map(category => [category._id.toString(), category.taxClass])
+  );
+
+  const taxClassIds = new Set();
+  const assigned = new Map();
+
+  for (const product of products) {
+    const taxClassId = product.taxClass ||
+      (product.subcategory && categoryTaxClass.get(product.subcategory.toString())) ||
+      categoryTaxClass.get(product.category.toString()) ||
+      null;
+
+    assigned.set(product._id.toString(), taxClassId);
+    if (taxClassId) {
+      taxClassIds.add(taxClassId.toString());
+    }
+  }
+
+  const taxClasses = await TaxClass.find({ _id: { $in: [...taxClassIds] }, isActive: true });
+  const byId = new Map(taxClasses.map(taxClass => [taxClass._id.toString(), taxClass]));
+  const defaultClass = await TaxClass.findOne({ isDefault: true, isActive: true });
+
+  const resolved = new Map();
+  for (const [productId, taxClassId] of assigned) {
+    // A class that was deactivated falls back to the default
+    resolved.set(productId, (taxClassId && byId.get(taxClassId.toString())) || defaultClass);
+  }
+
+  return resolved;
+};
+
+/**
+ * Work out taxes for order lines
+ * @param {Array} lines - { product, productType, taxableAmount } per order item
+ * @returns {Object} { lines, breakdown, taxAmount } where lines holds
+ *   { taxClass, taxes, taxAmount } in the same order as the input
+ */
+const calculateOrderTax = async (lines) => {
+  const taxClasses = await resolveTaxClasses(lines.map(line => line.product));
+  const breakdown = new Map();
+  let taxAmount = 0;
+
+  const taxedLines = lines.map(line => {
+    const taxClass = taxClasses.get(line.product._id.toString());
+
+    if (!taxClass) {
+      return { taxClass: null, taxes: [], taxAmount: 0 };
+    }
+
+    const result = taxClass.calculateTax(line.taxableAmount, line.productType);
+
+    for (const tax of result.taxes) {
+      const key = `${tax.code}:${tax.rate}`;
+      const entry = breakdown.get(key) || { code: tax.code, name: tax.name, rate: tax.rate, amount: 0 };
+      entry.amount = Math.round((entry.amount + tax.amount) * 100) / 100;
+      breakdown.set(key, entry);
+    }
+
+    taxAmount += result.taxAmount;
+    return { taxClass: taxClass._id, ...result };
+  });
+
+  return {
+    lines: taxedLines,
+    breakdown: [...breakdown.values()],
+    taxAmount: Math.round(taxAmount * 100) / 100
+  };
+};
+
+module.exports = {
+  resolveTaxClasses,
+  calculateOrderTax
+};
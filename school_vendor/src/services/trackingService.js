@@ -0,0 +1,223 @@
+const Transaction = require('../models/Transaction');
+
+/**
+ * Tracking service
+ * Builds the customer-facing tracking view of an order: one timeline from the
+ * order's status history, its shipments, its payment attempts and the notes
+ * meant for the customer, with wording a parent would understand.
+ */
+
+// Customer-facing wording for each order status
+const STATUS_LABELS = {
+  pending: { label: 'Order placed', description: 'We have received your order.' },
+  processing: { label: 'Preparing your order', description: 'Your order is being prepared.' },
+  payment_pending: { label: 'Awaiting payment', description: 'We are waiting for your payment to arrive.' },
+  payment_failed: { label: 'Payment unsuccessful', description: 'Your payment did not go through. You can try again.' },
+  paid: { label: 'Payment received', description: 'Thank you, your payment has been received.' },
+  backordered: { label: 'Waiting for stock', description: 'Some items are on back-order. We will send your order as soon as they arrive.' },
+  ready_for_shipping: { label: 'Packed', description: 'Your order is packed and ready to go.' },
+  partially_shipped: { label: 'Partly on its way', description: 'Part of your order is on its way.' },
+  shipped: { label: 'On its way', description: 'Your order is on its way.' },
+  delivered: { label: 'Delivered', description: 'Your order has been delivered.' },
+  completed: { label: 'Completed', description: 'Your order is complete.' },
+  cancelled: { label: 'Cancelled', description: 'Your order has been cancelled.' },
+  refunded: { label: 'Refunded', description: 'Your payment has been refunded.' }
+};
+
+// Pickup orders are collected rather than delivered
+const PICKUP_STATUS_LABELS = {
+  shipped: { label: 'Ready for collection', description: 'Your order is waiting for you at the pickup point.' },
+  delivered: { label: 'Collected', description: 'Your order has been collected.' }
+};
+
+// Payment attempt events worth showing; confirmation and failure come from the order's own history
+const PAYMENT_EVENT_LABELS = {
+  initiated: 'Payment started',
+  cancelled: 'Payment attempt cancelled',
+  expired: 'Payment attempt expired'
+};
+
+const PAYMENT_METHOD_NAMES = {
+  expresspay: 'ExpressPay',
+  mobile_money: 'Mobile Money',
+  hubtel: 'Hubtel',
+  bank_transfer: 'bank transfer',
+  western_union: 'Western Union'
+};
+
+/**
+ * Customer-facing wording for an order status
+ * @param {Object} order - Order document
+ * @param {String} status - Order status
+ * @returns {Object} { label, description }
+ */
+const getStatusLabel = (order, status) => {
+  const isPickup = order.shipping?.shippingMethod === 'pickup';
+  return (isPickup && PICKUP_STATUS_LABELS[status]) || STATUS_LABELS[status] ||
+    { label: status, description: '' };
+};
+
+/**
+ * Timeline entries for the order's shipments
+ * @param {Object} order - Order document
+ * @returns {Array} Timeline entries
+ */
+const getShipmentEvents = (order) => {
+  const events = [];
+  const count = order.shipments.length;
+
+  order.shipments.forEach((shipment, index) => {
+    const name = count > 1 ? `Parcel ${index + 1} of ${count}` : 'Your parcel';
+    const via = shipment.carrier ? ` with ${shipment.carrier}` : '';
+
+    if (shipment.shippedDate) {
+      events.push({
+        type: 'shipment',
+        shipment: shipment.shipmentNumber,
+        label: 'Shipped',
+        description: `${name} was sent${via}.`,
+        trackingNumber: shipment.trackingNumber,
+        timestamp: shipment.shippedDate
+      });
+    }
+
+    if (shipment.deliveredDate) {
+      events.push({
+        type: 'shipment',
+        shipment: shipment.shipmentNumber,
+        label: 'Parcel delivered',
+        description: `${name} has been delivered.`,
+        timestamp: shipment.deliveredDate
+      });
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Timeline entries for the order's payment attempts and refunds
+ * @param {Object} order - Order document
+ * @returns {Array} Timeline entries
+ */
+const getPaymentEvents = async (order) => {
+  const transactions = await Transaction.find({ order: order._id })
+    .select('paymentMethod amount currency statusHistory refunds');
+  const events = [];
+
+  for (const transaction of transactions) {
+    const method = PAYMENT_METHOD_NAMES[transaction.paymentMethod] || transaction.paymentMethod;
+
+    for (const entry of transaction.statusHistory) {
+      if (PAYMENT_EVENT_LABELS[entry.status]) {
+        events.push({
+          type: 'payment',
+          label: PAYMENT_EVENT_LABELS[entry.status],
+          description: `${transaction.currency} ${transaction.amount.toFixed(2)} by ${method}`,
+          timestamp: entry.timestamp
+        });
+      }
+    }
+
+    for (const refund of transaction.refunds) {
+      events.push({
+        type: 'payment',
+        label: 'Refund issued',
+        description: `${transaction.currency} ${refund.amount.toFixed(2)} refunded to your ${method} payment`,
+        timestamp: refund.refundDate
+      });
+    }
+  }
+
+  return events;
+};
+
+/**
+ * When the rest of the order is expected to arrive
+ * @param {Object} order - Order document
+ * @returns {Date|undefined} Estimated delivery
+ */
+const getEstimatedDelivery = (order) => {
+  if (['delivered', 'completed', 'cancelled', 'refunded'].includes(order.status)) {
+    return undefined;
+  }
+
+  const pending = order.shipments
+    .filter(shipment => shipment.status !== 'delivered' && shipment.estimatedDelivery)
+    .map(shipment => shipment.estimatedDelivery);
+
+  return order.shipping?.estimatedDelivery ||
+    (pending.length > 0 ? new Date(Math.max(...pending)) : undefined);
+};
+
+/**
+ * Build the tracking view of an order
+ * Internal notes are never included. The public view (for someone checking by
+ * order number and email) also leaves out notes and what is in each parcel.
+ * @param {Object} order - Order document
+ * @param {Object} options - { publicView }
+ * @returns {Object} Tracking view with a timeline sorted oldest first
+ */
+const getOrderTimeline = async (order, options = {}) => {
+  const statusEvents = order.statusHistory.map(entry => ({
+    type: 'status',
+    status: entry.status,
+    ...getStatusLabel(order, entry.status),
+    timestamp: entry.timestamp
+  }));
+
+  const noteEvents = options.publicView ? [] : order.notes
+    .filter(note => note.isInternal === false)
+    .map(note => ({
+      type: 'note',
+      label: 'Message from us',
+      description: note.content,
+      timestamp: note.createdAt
+    }));
+
+  const timeline = [
+    ...statusEvents,
+    ...getShipmentEvents(order),
+    ...await getPaymentEvents(order),
+    ...noteEvents
+  ].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+  const pickup = order.shipping?.pickup;
+
+  return {
+    orderNumber: order.orderNumber,
+    status: order.status,
+    ...getStatusLabel(order, order.status),
+    placedAt: order.createdAt,
+    estimatedDelivery: getEstimatedDelivery(order),
+    delivery: order.shipping ? {
+      method: order.shipping.shippingMethod,
+      carrier: order.shipping.carrier,
+      trackingNumber: order.shipping.trackingNumber,
+      pickup: pickup ? {
+        pickupPoint: pickup.pickupPointName,
+        slotStart: pickup.slotStart,
+        slotEnd: pickup.slotEnd
+      } : undefined
+    } : undefined,
+    shipments: order.shipments.map(shipment => ({
+      id: shipment._id,
+      shipmentNumber: shipment.shipmentNumber,
+      status: shipment.status,
+      items: options.publicView
+        ? undefined
+        : shipment.items.map(line => ({ name: line.name, quantity: line.quantity })),
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      estimatedDelivery: shipment.estimatedDelivery,
+      shippedDate: shipment.shippedDate,
+      deliveredDate: shipment.deliveredDate
+    })),
+    timeline
+  };
+};
+
+module.exports = {
+  STATUS_LABELS,
+  getOrderTimeline
+};
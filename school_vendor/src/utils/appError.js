@@ -0,0 +1,7 @@
+/**
+ * Operational error with an HTTP status code
+ * Re-exported from the error middleware so the global error handler recognises it
+ */
+const { AppError } = require('../middleware/error');
+
+module.exports = AppError;
@@ -0,0 +1,7 @@
+/**
+ * Catch async errors to avoid try-catch blocks
+ * Re-exported from the error middleware so there is a single implementation
+ */
+const { catchAsync } = require('../middleware/error');
+
+module.exports = catchAsync;
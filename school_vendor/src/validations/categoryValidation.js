@@ -70,6 +70,7 @@ const createCategory = {
     order,
     image: Joi.string().trim().allow('').optional(),
     icon: Joi.string().trim().allow('').optional(),
+    taxClass: Joi.string().trim().allow(null).optional(),
     attributes: Joi.array().items(Joi.object()).optional(),
     meta: Joi.object({
       title: Joi.string().trim().max(200).optional(),
@@ -90,6 +91,7 @@ const updateCategory = {
     order,
     image: Joi.string().trim().allow('', null).optional(),
     icon: Joi.string().trim().allow('', null).optional(),
+    taxClass: Joi.string().trim().allow(null).optional(),
     attributes: Joi.array().items(Joi.object()).optional(),
     meta: Joi.object({
       title: Joi.string().trim().max(200).optional(),
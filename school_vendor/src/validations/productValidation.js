@@ -62,6 +62,29 @@ const status = Joi.string().valid('active', 'inactive', 'draft').default('active
 
 const featured = Joi.boolean().default(false);
 
+const backorders = Joi.object({
+  mode: Joi.string().valid('none', 'backorder', 'preorder').optional(),
+  expectedRestockDate: Joi.date().iso().allow(null).optional()
+}).optional()
+  .messages({
+    'any.only': 'Back-order mode must be none, backorder or preorder'
+  });
+
+const bundle = Joi.object({
+  components: Joi.array().items(
+    Joi.object({
+      product: Joi.string().trim().required(),
+      quantity: Joi.number().integer().min(1).default(1)
+    })
+  ).min(1).optional(),
+  pricing: Joi.string().valid('fixed', 'discount').optional(),
+  discountPercent: Joi.number().min(0).max(100).optional()
+}).optional()
+  .messages({
+    'array.min': 'A bundle needs at least one component',
+    'number.max': 'Bundle discount cannot be more than 100%'
+  });
+
 const id = Joi.string().trim().required()
   .messages({
     'string.empty': 'ID is required',
@@ -86,8 +109,11 @@ const createProduct = {
     stock,
     status,
     featured,
+    backorders,
+    bundle,
     sku: Joi.string().trim().max(50).allow('').optional(),
     barcode: Joi.string().trim().max(50).allow('').optional(),
+    taxClass: Joi.string().trim().allow(null).optional(),
     weight: Joi.number().min(0).optional(),
     dimensions: Joi.object({
       length: Joi.number().min(0).optional(),
@@ -120,8 +146,11 @@ const updateProduct = {
     stock,
     status,
     featured,
+    backorders,
+    bundle,
     sku: Joi.string().trim().max(50).allow('').optional(),
     barcode: Joi.string().trim().max(50).allow('').optional(),
+    taxClass: Joi.string().trim().allow(null).optional(),
     weight: Joi.number().min(0).optional(),
     dimensions: Joi.object({
       length: Joi.number().min(0).optional(),
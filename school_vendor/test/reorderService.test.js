@@ -0,0 +1,56 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Product = require('../src/models/Product');
+const Order = require('../src/models/Order');
+const Category = require('../src/models/Category');
+const TaxClass = require('../src/models/TaxClass');
+const { confirmReorder } = require('../src/services/reorderService');
+
+afterEach(() => mock.restoreAll());
+
+test('confirmReorder places a digital-only order that had no shipping', async () => {
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    firstName: 'Ama',
+    lastName: 'Mensah',
+    email: 'ama@example.com',
+    contactNumber: '0241234567'
+  };
+  const ebook = new Product({
+    name: 'Maths Workbook (PDF)',
+    sku: 'EBOOK-001',
+    description: 'Downloadable workbook',
+    price: 25,
+    productType: 'digital',
+    category: new mongoose.Types.ObjectId(),
+    status: 'active',
+    isPublished: true
+  });
+  const pastOrder = new Order({
+    user: user._id,
+    items: [{ product: ebook._id, name: ebook.name, price: 25, quantity: 1, productType: 'digital' }]
+  });
+
+  // No database here: stand in for the queries the reorder makes
+  mock.method(Product, 'find', async () => [ebook]);
+  mock.method(Product, 'findById', async () => ebook);
+  mock.method(Category, 'find', () => ({ select: async () => [] }));
+  mock.method(TaxClass, 'find', async () => []);
+  mock.method(TaxClass, 'findOne', async () => null);
+  mock.method(Order, 'generateOrderNumber', async () => 'SV-261019-0001');
+  mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {}
+  }));
+  const create = mock.method(Order, 'create', async ([doc]) => [new Order(doc)]);
+
+  const { order, lines } = await confirmReorder(user, pastOrder, { paymentMethod: 'hubtel' }, {});
+
+  assert.strictEqual(create.mock.callCount(), 1);
+  assert.strictEqual(lines[0].status, 'available');
+  assert.strictEqual(order.hasPhysicalItems, false);
+  assert.strictEqual(order.shipping, undefined);
+  assert.strictEqual(order.customerInfo.phone, user.contactNumber);
+  assert.strictEqual(order.totalAmount, 25);
+});